@@ -2,11 +2,12 @@
  * Example usage of production-ready Mailgun event webhook handler
  * 
  * This example shows how to use mailgunWebhook to receive event data
- * and save it manually to your database.
+ * and save it manually to your database, and how to register handlers
+ * per event with createEventWebhook.
  */
 
 const express = require('express');
-const { mailgunWebhook } = require('./index');
+const { mailgunWebhook, createEventWebhook } = require('./index');
 
 const app = express();
 
@@ -47,36 +48,35 @@ app.post('/webhook/mailgun-events',
   }
 );
 
-// Alternative: Handle event data manually after webhook processes it
-// You can modify mailgunWebhook to accept a callback, or handle it like this:
-app.post('/webhook/mailgun-events-v2', 
+// Recommended: Register handlers per event with createEventWebhook
+const events = createEventWebhook({
+  ack: 'after', // await handlers before answering Mailgun ('before' answers first)
+  onError: (error, eventData) => {
+    console.error('❌ Event handler failed:', eventData.event, error.message);
+  },
+});
+
+events
+  .on('delivered', async (eventData) => {
+    console.log('✅ Delivered:', eventData.messageId);
+  })
+  .on('failed:permanent', async (eventData) => {
+    console.log('🚫 Permanent failure, stop sending to:', eventData.recipient);
+  })
+  .on('failed:temporary', async (eventData) => {
+    console.log('⏳ Temporary failure, Mailgun will retry:', eventData.recipient);
+  })
+  .on('*', async (eventData) => {
+    // Runs for every event; an error here does not affect the other handlers
+    await db.events.create(eventData);
+  });
+
+app.post('/webhook/mailgun-events-v2',
   express.json({ limit: '10mb' }),
-  async (req, res) => {
-    // Create a custom response handler
-    const originalJson = res.json.bind(res);
-    let eventData = null;
-    
-    res.json = function(data) {
-      eventData = data;
-      return originalJson(data);
-    };
-    
-    // Process webhook
-    await mailgunWebhook(req, res);
-    
-    // Save to database if event was successfully processed
-    if (eventData && eventData.received && eventData.event) {
-      try {
-        await db.events.create(eventData);
-        console.log('✅ Event saved to database');
-      } catch (error) {
-        console.error('❌ Failed to save event:', error);
-      }
-    }
-  }
+  events
 );
 
-// Recommended: Use middleware pattern to save events
+// Alternative: Use middleware pattern to save events
 const saveEventMiddleware = async (req, res, next) => {
   const originalJson = res.json.bind(res);
   
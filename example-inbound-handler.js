@@ -0,0 +1,57 @@
+/**
+ * Example usage of createInboundHandler
+ * 
+ * The handler parses Mailgun's multipart body itself, verifies the
+ * signature and passes you a finished emailData - no multer needed.
+ */
+
+const express = require('express');
+const { createInboundHandler, createMemoryStore } = require('./index');
+
+const app = express();
+
+// Example database (replace with your actual DB)
+const db = {
+  emails: {
+    async create(emailData) {
+      console.log('💾 Saving email:', emailData.messageId, emailData.subject);
+      // await yourDatabase.emails.insert(emailData);
+    }
+  }
+};
+
+// Mailgun inbound webhook endpoint - do NOT add express.urlencoded() or multer here
+app.post('/webhook/inbound', createInboundHandler({
+  // Uses MAILGUN_WEBHOOK_SIGNING_KEY when signingKey is not set
+  nonceStore: createMemoryStore(), // Reject replayed requests
+  limits: {
+    maxFileSize: 10 * 1024 * 1024, // 10MB per attachment
+    maxFiles: 20,
+  },
+  onEmail: async (emailData, { correlationId }) => {
+    console.log(`📧 [${correlationId}] New email from ${emailData.from}: ${emailData.subject}`);
+    console.log('Attachments:', emailData.attachments.map(a => `${a.filename} (${a.size} bytes)`));
+    await db.emails.create(emailData);
+  },
+}));
+
+// Or respond yourself: without onEmail, emailData is set on req and next() is called
+app.post('/webhook/inbound-custom', createInboundHandler(), async (req, res) => {
+  const { emailData } = req;
+  try {
+    await db.emails.create(emailData);
+    res.status(200).json({ received: true, messageId: emailData.messageId });
+  } catch (error) {
+    console.error('❌ Failed to save email:', error);
+    // 5xx makes Mailgun retry the delivery instead of losing the message
+    res.status(503).json({ received: false, error: 'Failed to save email' });
+  }
+});
+
+const PORT = process.env.PORT || 3000;
+app.listen(PORT, () => {
+  console.log(`🚀 Server running on port ${PORT}`);
+  console.log(`📬 Mailgun webhook URL: http://localhost:${PORT}/webhook/inbound`);
+  console.log(`⚠️  Make sure to set MAILGUN_WEBHOOK_SIGNING_KEY environment variable`);
+  console.log(`📦 Install dependencies: npm install express`);
+});
@@ -1,4 +1,12 @@
 const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+const { PassThrough, pipeline: pipelineCallback } = require("stream");
+const { promisify } = require("util");
+
+const pipeline = promisify(pipelineCallback);
 
 // Lazy load email-templates (only needed for email sending feature)
 let Email;
@@ -16,39 +24,449 @@ function getEmailTemplates() {
   return Email;
 }
 
+// nodemailer ships with email-templates; resolve it from there so it need not be installed separately
+let nodemailer;
+function getNodemailer() {
+  if (!nodemailer) {
+    getEmailTemplates();
+    const templatesDir = path.dirname(require.resolve("email-templates"));
+    nodemailer = require(require.resolve("nodemailer", { paths: [templatesDir] }));
+  }
+  return nodemailer;
+}
+
+// juice and html-to-text ship with email-templates; use them when installed, without loading email-templates
+const optionalModules = {};
+function getOptionalModule(name) {
+  if (!(name in optionalModules)) {
+    try {
+      optionalModules[name] = require(name);
+    } catch (error) {
+      try {
+        const templatesDir = path.dirname(require.resolve("email-templates"));
+        optionalModules[name] = require(require.resolve(name, { paths: [templatesDir] }));
+      } catch (resolveError) {
+        optionalModules[name] = null;
+      }
+    }
+  }
+  return optionalModules[name];
+}
+
+// Mailgun's recommended window for accepting webhook timestamps (15 minutes)
+const DEFAULT_TOLERANCE_SECONDS = 900;
+
 /**
- * Verify Mailgun webhook signature
+ * Create an in-memory TTL store (used for replay protection)
+ *
+ * Store interface (implement it to back replay protection with Redis or SQL):
+ * - add(key, ttlSeconds): store the key and return true, or return false if
+ *   the key is already present and not expired. May return a Promise.
+ * - delete(key): remove the key (optional). May return a Promise.
+ *
+ * Expired keys are pruned lazily; when `maxEntries` is reached the oldest
+ * keys are evicted first. Only suitable for a single process - use a shared
+ * store when running several instances behind a load balancer.
+ *
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Maximum number of keys kept in memory (default: 100000)
+ * @returns {Object} Store with add, has, delete, clear and size
+ *
+ * @example
+ * const { createMemoryStore, verifyRequestSignature } = require('node-inbound-email');
+ * const nonceStore = createMemoryStore();
+ * if (!verifyRequestSignature(req, signingKey, { nonceStore })) {
+ *   return res.status(401).json({ error: 'Invalid signature' });
+ * }
+ */
+function createMemoryStore({ maxEntries = 100000 } = {}) {
+  const entries = new Map();
+  let writesSincePrune = 0;
+
+  function prune(now) {
+    for (const [key, expiresAt] of entries) {
+      if (expiresAt <= now) entries.delete(key);
+    }
+    writesSincePrune = 0;
+  }
+
+  function isLive(key, now) {
+    const expiresAt = entries.get(key);
+    if (expiresAt === undefined) return false;
+    if (expiresAt <= now) {
+      entries.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  return {
+    add(key, ttlSeconds) {
+      const now = Date.now();
+      if (isLive(key, now)) return false;
+
+      if (++writesSincePrune >= 1000 || entries.size >= maxEntries) prune(now);
+      // Still full after pruning: evict oldest keys (Map keeps insertion order)
+      while (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+
+      entries.set(key, now + Math.max(1, Number(ttlSeconds) || 1) * 1000);
+      return true;
+    },
+    has(key) {
+      return isLive(key, Date.now());
+    },
+    delete(key) {
+      return entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      prune(Date.now());
+      return entries.size;
+    },
+  };
+}
+
+// Log levels in increasing severity; 'silent' turns logging off
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Field names whose values are never logged
+const DEFAULT_REDACT_KEYS = [
+  'token',
+  'signature',
+  'password',
+  'pass',
+  'secret',
+  'authorization',
+  'apiKey',
+  'accessKeyId',
+  'secretAccessKey',
+  'sessionToken',
+];
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+// Message-IDs look like addresses but identify messages, not people
+const MESSAGE_ID_KEY = /^message-?ids?$/i;
+
+// Marks loggers built by createLogger() so they can be passed on as-is
+const STRUCTURED_LOGGER = Symbol('structuredLogger');
+
+/**
+ * Mask the email addresses in a string, keeping the first character and the domain
+ * @param {string} value - Text
+ * @returns {string} Text with j***@example.com for john@example.com
+ */
+function maskEmails(value) {
+  return value.replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+/**
+ * Apply a redaction policy to a log value
+ * @param {*} value - Value to redact
+ * @param {Object} policy - { emails, keys (Set of lowercase names), mask }
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Redacted copy
+ */
+function redactValue(value, policy, depth = 0) {
+  if (typeof value === 'string') return policy.emails ? maskEmails(value) : value;
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) return value;
+  if (depth >= 8) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => redactValue(item, policy, depth + 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (policy.keys.has(key.toLowerCase()) && item !== null && item !== undefined) {
+      result[key] = policy.mask;
+    } else if (MESSAGE_ID_KEY.test(key)) {
+      result[key] = redactValue(item, { ...policy, emails: false }, depth + 1);
+    } else {
+      result[key] = redactValue(item, policy, depth + 1);
+    }
+  }
+  return result;
+}
+
+/**
+ * Resolve the redact option of createLogger()
+ * @param {boolean|Object|Function} redact - Redaction policy
+ * @returns {Function|null} (entry) => redacted entry, or null to log entries unchanged
+ */
+function resolveRedaction(redact) {
+  if (redact === false) return null;
+  if (typeof redact === 'function') return redact;
+
+  const { emails = true, keys = [], mask = '[REDACTED]' } = redact === true ? {} : redact || {};
+  const policy = { emails, mask, keys: new Set([...DEFAULT_REDACT_KEYS, ...keys].map(key => key.toLowerCase())) };
+  return (entry) => {
+    const { component, correlationId, ...rest } = entry;
+    return { component, correlationId, ...redactValue(rest, policy) };
+  };
+}
+
+// Default log output: `[Component:correlationId] message { fields }`
+const consoleLogger = ['debug', 'info', 'warn', 'error'].reduce((target, level) => {
+  const method = level === 'info' ? 'log' : level;
+  target[level] = ({ message, component, correlationId, ...fields }) => {
+    const prefix = component ? `[${component}${correlationId ? `:${correlationId}` : ''}] ` : '';
+    if (Object.keys(fields).length > 0) {
+      console[method](`${prefix}${message}`, fields);
+    } else {
+      console[method](`${prefix}${message}`);
+    }
+  };
+  return target;
+}, {});
+
+/**
+ * Create the structured logger used by the webhook handlers and the sender
+ * 
+ * Entries are passed to the target as one object:
+ * { message, component, correlationId, ...fields }. That is the shape
+ * winston expects; for pino, set `messageKey: 'message'` so the message
+ * is picked up as the log line.
+ * 
+ * The default redaction policy masks email addresses (j***@example.com)
+ * and replaces token, signature, password and credential fields with
+ * '[REDACTED]'.
+ * 
+ * @param {Object} options - Logger options
+ * @param {Object|false} options.logger - Target with debug, info, warn and error methods (pino, winston, console-like). false for silent mode. Defaults to the console
+ * @param {string} options.level - Minimum level: 'debug', 'info' (default), 'warn', 'error' or 'silent'
+ * @param {boolean|Object|Function} options.redact - true (default), false, { emails, keys, mask } (keys are added to the defaults), or (entry) => entry
+ * @returns {Object} Logger with debug, info, warn, error (message, fields) and child(bindings)
+ * 
+ * @example
+ * const pino = require('pino');
+ * const { createLogger, createInboundHandler, mailgunWebhook } = require('node-inbound-email');
+ * 
+ * const logger = createLogger({ logger: pino({ messageKey: 'message' }), level: 'debug' });
+ * app.post('/webhook/inbound', createInboundHandler({ logger, onEmail }));
+ * app.post('/webhook/mailgun-events', express.json(), (req, res) => mailgunWebhook(req, res, { logger }));
+ */
+function createLogger(options = {}) {
+  const { logger = null, level = 'info', redact = true } = options;
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Invalid log level: ${level} (expected one of ${LOG_LEVELS.join(', ')})`);
+  }
+  if (logger && logger[STRUCTURED_LOGGER]) return logger;
+
+  const target = logger === false ? null : logger || consoleLogger;
+  const applyRedaction = resolveRedaction(redact);
+  const minLevel = LOG_LEVELS.indexOf(level);
+
+  function build(bindings) {
+    const structured = { [STRUCTURED_LOGGER]: true };
+
+    ['debug', 'info', 'warn', 'error'].forEach((entryLevel, index) => {
+      structured[entryLevel] = (message, fields = {}) => {
+        if (!target || index < minLevel) return;
+        const write = target[entryLevel] || target.info;
+        if (typeof write !== 'function') return;
+
+        const entry = { message, ...bindings, ...fields };
+        try {
+          write.call(target, applyRedaction ? applyRedaction(entry) : entry);
+        } catch (error) {
+          // Logging must never break webhook processing
+        }
+      };
+    });
+
+    structured.child = (childBindings) => build({ ...bindings, ...childBindings });
+    return structured;
+  }
+
+  return build({});
+}
+
+/**
+ * Get the logger of a component from its options
+ * @param {Object} options - Component options (logger, logLevel, redact)
+ * @param {string} component - Component name used as log prefix
+ * @returns {Object} Structured logger (see createLogger)
+ */
+function getComponentLogger(options, component) {
+  const { logger, logLevel, redact } = options || {};
+  return createLogger({ logger, level: logLevel, redact }).child({ component });
+}
+
+/**
+ * Extract token, timestamp and signature from a webhook request body
+ * - Event webhooks: signature object with token, timestamp, signature fields
+ * - Inbound email webhooks (and legacy event webhooks): fields at top level
+ * @param {Object} body - Request body
+ * @returns {Object} { token, timestamp, signature }
+ */
+function extractSignatureFields(body = {}) {
+  const sig = body.signature;
+  return {
+    token: sig?.token || body.token,
+    timestamp: sig?.timestamp || body.timestamp,
+    signature: sig?.signature || body.signature,
+  };
+}
+
+/**
+ * Normalize signing keys to a list of { id, key } candidates
+ * 
+ * Accepts a single key, an array of keys, or objects with an explicit id
+ * ({ id: '2024-06', key: '...' }). Keys without an id are identified by
+ * the first 8 hex characters of their SHA-256 digest, so logs can show
+ * which key matched without revealing it.
+ * 
+ * @param {string|Object|Array} signingKeys - Key(s) to normalize
+ * @returns {Array<Object>} Candidate keys
+ */
+function normalizeSigningKeys(signingKeys) {
+  const list = Array.isArray(signingKeys) ? signingKeys : [signingKeys];
+  return list
+    .map(entry => (entry && typeof entry === 'object' ? entry : { key: entry }))
+    .filter(entry => typeof entry.key === 'string' && entry.key)
+    .map(entry => ({
+      id: entry.id || crypto.createHash("sha256").update(entry.key).digest("hex").slice(0, 8),
+      key: entry.key,
+    }));
+}
+
+/**
+ * Check token, timestamp and HMAC without touching the replay store
  * @param {string} token - Mailgun token
  * @param {string} timestamp - Request timestamp
  * @param {string} signature - Mailgun signature
- * @param {string} signingKey - Mailgun webhook signing key
- * @returns {boolean} True if signature is valid
+ * @param {string|Object|Array} signingKeys - Mailgun webhook signing key(s), tried in order
+ * @param {number} toleranceSeconds - Accepted clock difference in seconds
+ * @returns {Object} { valid, reason, keyId, keyIndex, ttl } - ttl is how long the token stays replayable
  */
-function verifyMailgunSignature(token, timestamp, signature, signingKey) {
-  if (!signingKey || !token || !timestamp || !signature) {
-    return false;
+function checkSignature(token, timestamp, signature, signingKeys, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  const candidates = normalizeSigningKeys(signingKeys);
+  if (candidates.length === 0) {
+    return { valid: false, reason: 'missing_signing_key' };
+  }
+  if (!token || !timestamp || typeof signature !== 'string' || !signature) {
+    return { valid: false, reason: 'missing_signature_data' };
   }
 
   const currentTime = Math.floor(Date.now() / 1000);
   const requestTime = Number(timestamp);
 
-  if (isNaN(requestTime) || Math.abs(currentTime - requestTime) > 900) {
-    return false;
+  if (isNaN(requestTime) || Math.abs(currentTime - requestTime) > toleranceSeconds) {
+    return { valid: false, reason: 'timestamp_out_of_window' };
+  }
+
+  const keyIndex = candidates.findIndex(({ key }) => {
+    try {
+      const hmac = crypto
+        .createHmac("sha256", key)
+        .update(timestamp + token)
+        .digest("hex");
+
+      return crypto.timingSafeEqual(Buffer.from(hmac), Buffer.from(signature));
+    } catch (error) {
+      return false;
+    }
+  });
+
+  if (keyIndex === -1) {
+    return { valid: false, reason: 'invalid_signature' };
   }
 
+  return {
+    valid: true,
+    reason: null,
+    keyId: candidates[keyIndex].id,
+    keyIndex,
+    // Once the timestamp leaves the window the request is rejected anyway,
+    // so the token only has to be remembered until then
+    ttl: Math.max(1, requestTime + toleranceSeconds - currentTime),
+  };
+}
+
+/**
+ * Describe the request for signing key resolvers
+ * 
+ * Inbound webhooks carry the recipient at the top level; event webhooks
+ * carry it in event-data. The domain is taken from an explicit domain
+ * field when Mailgun sends one, otherwise from the recipient (inbound) or
+ * the envelope sender (events).
+ * 
+ * @param {Object} body - Request body
+ * @returns {Object} { domain, recipient }
+ */
+function getSigningContext(body = {}) {
+  const eventData = body['event-data'];
+  const domainOf = (address) => {
+    const email = extractEmail(address);
+    return email.includes('@') ? email.split('@').pop().toLowerCase() : null;
+  };
+
+  if (eventData) {
+    return {
+      domain: eventData.domain?.name ||
+        (typeof eventData.domain === 'string' ? eventData.domain : null) ||
+        domainOf(eventData.envelope?.sender),
+      recipient: eventData.recipient || null,
+    };
+  }
+
+  const recipient = body.recipient || null;
+  return {
+    domain: (typeof body.domain === 'string' && body.domain) || domainOf(recipient),
+    recipient,
+  };
+}
+
+/**
+ * Record a token in a synchronous store
+ * 
+ * Asynchronous stores cannot answer in time for a synchronous check: the
+ * token is rejected and the reason is logged instead of throwing.
+ * @param {Object} nonceStore - Store implementing add(key, ttlSeconds)
+ * @param {string} token - Mailgun token
+ * @param {number} ttl - Seconds to remember the token
+ * @param {Object} log - Structured logger (see createLogger)
+ * @returns {boolean} True if the token was not seen before
+ */
+function consumeTokenSync(nonceStore, token, ttl, log) {
+  let added;
   try {
-    const hmac = crypto
-      .createHmac("sha256", signingKey)
-      .update(timestamp + token)
-      .digest("hex");
-
-    return crypto.timingSafeEqual(
-      Buffer.from(hmac),
-      Buffer.from(signature)
-    );
+    added = nonceStore.add(token, ttl);
   } catch (error) {
+    log.error('nonceStore.add failed, rejecting token', { error: error.message });
+    return false;
+  }
+  if (added && typeof added.then === 'function') {
+    added.then(null, () => {});
+    log.error('nonceStore is asynchronous, rejecting token. Use verifyMailgunRequest() or mailgunWebhook() with asynchronous stores');
     return false;
   }
+  return Boolean(added);
+}
+
+/**
+ * Verify Mailgun webhook signature
+ * @param {string} token - Mailgun token
+ * @param {string} timestamp - Request timestamp
+ * @param {string} signature - Mailgun signature
+ * @param {string|Array} signingKey - Mailgun webhook signing key, or a list of keys (e.g. during rotation)
+ * @param {Object} options - Verification options (optional)
+ * @param {number} options.toleranceSeconds - Accepted timestamp age in seconds (default: 900)
+ * @param {Object} options.nonceStore - Synchronous store used to reject replayed tokens (e.g. createMemoryStore()). Asynchronous stores make every check fail
+ * @param {Object} options.logger - Logger target (see createLogger)
+ * @returns {boolean} True if signature is valid
+ * @throws {Error} If signingKey is a resolver function (only verifyMailgunRequest supports resolvers)
+ */
+function verifyMailgunSignature(token, timestamp, signature, signingKey, options = {}) {
+  if (typeof signingKey === 'function') {
+    throw new Error("Signing key resolvers are asynchronous. Use verifyMailgunRequest() or mailgunWebhook() with a resolver function");
+  }
+  const result = checkSignature(token, timestamp, signature, signingKey, options.toleranceSeconds);
+  if (!result.valid) return false;
+  if (!options.nonceStore) return true;
+  return consumeTokenSync(options.nonceStore, token, result.ttl, getComponentLogger(options, 'Signature'));
 }
 
 /**
@@ -66,6 +484,113 @@ function parseHeaders(headers) {
   }
 }
 
+/**
+ * Read a delimited token (quoted string, comment or angle address)
+ * @param {string} value - Source string
+ * @param {number} start - Index of the opening character
+ * @param {string} close - Closing character
+ * @returns {Object} { content, end } - end is the index of the closing character
+ */
+function readDelimited(value, start, close) {
+  const open = value[start];
+  // Comments nest, quoted strings and angle addresses do not
+  const nests = open === '(';
+  let depth = 1;
+  let content = "";
+
+  for (let i = start + 1; i < value.length; i++) {
+    const ch = value[i];
+    if (ch === '\\' && close !== '>' && i + 1 < value.length) {
+      content += value[++i];
+      continue;
+    }
+    if (nests && ch === open) {
+      depth++;
+    } else if (ch === close && --depth === 0) {
+      return { content, end: i };
+    }
+    content += ch;
+  }
+
+  // Unterminated: take the rest of the string
+  return { content, end: value.length };
+}
+
+/**
+ * Parse an RFC 5322 address list into { name, address } objects
+ * 
+ * Handles quoted display names containing commas (`"Doe, John" <j@x.com>`),
+ * group syntax (`Team: a@x.com, b@x.com;` - members get a `group` property),
+ * comments (`j@x.com (John Doe)` - used as name when there is no other),
+ * and RFC 2047 encoded display names.
+ * 
+ * @param {string} value - Address list header value
+ * @returns {Array<Object>} Addresses as { name, address } (plus group for group members)
+ * 
+ * @example
+ * parseAddressList('"Doe, John" <j@x.com>, =?UTF-8?B?SsO8cmdlbg==?= <jurgen@x.com>');
+ * // [{ name: 'Doe, John', address: 'j@x.com' }, { name: 'Jürgen', address: 'jurgen@x.com' }]
+ */
+function parseAddressList(value = "") {
+  if (!value || typeof value !== 'string') return [];
+
+  const addresses = [];
+  let group = null;
+  let current = { text: "", address: null, comment: "" };
+
+  const pushCurrent = () => {
+    const text = current.text.replace(/\s+/g, ' ').trim();
+    const comment = current.comment.replace(/\s+/g, ' ').trim();
+    let entry = null;
+
+    if (current.address !== null) {
+      // Drop obsolete source routes (<@relay.example:user@example.com>)
+      const address = current.address.replace(/^(@[^:]*:)/, '').replace(/\s+/g, '');
+      if (address) entry = { name: decodeMimeWords(text || comment), address };
+    } else if (text) {
+      // Bare text is the address; a display name without one stays intact, as before
+      entry = { name: decodeMimeWords(comment), address: current.text.trim() };
+    }
+
+    if (entry) {
+      if (group !== null) entry.group = group;
+      addresses.push(entry);
+    }
+    current = { text: "", address: null, comment: "" };
+  };
+
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+
+    if (ch === '"') {
+      const token = readDelimited(value, i, '"');
+      current.text += token.content;
+      i = token.end;
+    } else if (ch === '(') {
+      const token = readDelimited(value, i, ')');
+      current.comment += ` ${token.content}`;
+      i = token.end;
+    } else if (ch === '<') {
+      const token = readDelimited(value, i, '>');
+      current.address = token.content.trim();
+      i = token.end;
+    } else if (ch === ':' && group === null && current.address === null && !current.text.includes('@')) {
+      group = decodeMimeWords(current.text.replace(/\s+/g, ' ').trim());
+      current = { text: "", address: null, comment: "" };
+    } else if (ch === ';' && group !== null) {
+      pushCurrent();
+      group = null;
+    } else if (ch === ',') {
+      pushCurrent();
+    } else {
+      current.text += ch;
+    }
+  }
+
+  pushCurrent();
+  return addresses;
+}
+
 /**
  * Extract email from "Name <email@domain.com>" or plain email
  * @param {string} value - Email string
@@ -73,18 +598,18 @@ function parseHeaders(headers) {
  */
 function extractEmail(value = "") {
   if (!value || typeof value !== 'string') return "";
-  const match = value.match(/<(.+?)>/);
-  return match ? match[1].trim() : value.trim();
+  const [first] = parseAddressList(value);
+  return first ? first.address : "";
 }
 
 /**
- * Extract multiple emails from comma-separated string
- * @param {string} value - Comma-separated email string
+ * Extract multiple emails from an address list ("Doe, John" <j@x.com>, team: a@x.com;)
+ * @param {string} value - Address list string
  * @returns {Array<string>} Array of email addresses
  */
 function extractEmails(value = "") {
   if (!value || typeof value !== 'string') return [];
-  return value.split(',').map(email => extractEmail(email.trim())).filter(Boolean);
+  return parseAddressList(value).map(entry => entry.address);
 }
 
 /**
@@ -97,6 +622,118 @@ function cleanMessageId(value) {
   return value.replace(/^<|>$/g, '').trim() || null;
 }
 
+/**
+ * Parse a list of message IDs (In-Reply-To, References)
+ * 
+ * Takes every `<id>` token; values without angle brackets are split on
+ * whitespace and commas. Each ID is cleaned like cleanMessageId() and
+ * duplicates are dropped, keeping the first occurrence.
+ * 
+ * @param {string} value - Header value
+ * @returns {Array<string>} Cleaned message IDs, in header order
+ */
+function parseMessageIds(value) {
+  if (!value || typeof value !== 'string') return [];
+  const tokens = value.match(/<[^<>]*>/g) || value.split(/[\s,]+/);
+  const ids = tokens.map(cleanMessageId).filter(Boolean);
+  return ids.filter((id, index) => ids.indexOf(id) === index);
+}
+
+// Reply/forward prefixes in common mail clients and languages
+// (Re, Fwd, German AW/WG, Nordic SV/VS, Dutch Antw/Doorst, Italian R/RIF,
+// French TR, Polish Odp/PD, Portuguese RES/ENC, Turkish YNT/ILT, Chinese)
+const SUBJECT_PREFIX_REGEX = /^\s*(?:re|fwd?|aw|wg|sv|vs|antw|doorst|rif|r|tr|ref|odp|pd|res|enc|ynt|ilt|回复|回覆|转发|轉寄)\s*(?:\[\d+\]|\(\d+\))?\s*[:：]\s*/i;
+
+/**
+ * Remove reply and forward prefixes (Re:, Fwd:, AW:, SV:, Re[2]: ...) from a subject
+ * @param {string} subject - Subject line
+ * @returns {string} Subject without prefixes and with whitespace collapsed
+ */
+function normalizeSubject(subject = "") {
+  if (!subject || typeof subject !== 'string') return "";
+  let normalized = subject.replace(/\s+/g, ' ').trim();
+  let previous;
+  do {
+    previous = normalized;
+    normalized = normalized.replace(SUBJECT_PREFIX_REGEX, '').trim();
+  } while (normalized !== previous);
+  return normalized;
+}
+
+/**
+ * Derive a stable thread ID from a root message ID
+ * @param {string} rootId - Message ID (or other stable key) of the thread root
+ * @returns {string} Thread ID
+ */
+function deriveThreadId(rootId) {
+  return crypto.createHash("sha256").update(rootId).digest("hex").slice(0, 32);
+}
+
+/**
+ * Resolve the conversation thread a message belongs to
+ * 
+ * Follows the JWZ threading approach: the referenced message IDs
+ * (References, then In-Reply-To) are looked up first, starting with the
+ * thread root. When none is known, the thread ID is derived from the first
+ * reference, so every reply to the same root lands in the same thread even
+ * if the root itself was never received. Messages without references fall
+ * back to a lookup by normalized subject, but only when the subject carries
+ * a reply/forward prefix. Anything else starts a new thread derived from
+ * its own Message-ID.
+ * 
+ * @param {Object} message - emailData (messageId, references, inReplyTo, subject, normalizedSubject)
+ * @param {Function} lookup - async ({ messageId } | { subject }) => threadId or null
+ * @returns {Promise<string>} Thread ID
+ * 
+ * @example
+ * const { resolveThreadId } = require('node-inbound-email');
+ * 
+ * const threadId = await resolveThreadId(emailData, async ({ messageId, subject }) => {
+ *   const row = messageId
+ *     ? await db.messages.findOne({ messageId })
+ *     : await db.messages.findOne({ normalizedSubject: subject }, { sort: { receivedAt: -1 } });
+ *   return row ? row.threadId : null;
+ * });
+ * await db.messages.create({ ...emailData, threadId });
+ */
+async function resolveThreadId(message, lookup) {
+  if (!message || typeof message !== 'object') {
+    throw new Error("resolveThreadId requires a message object");
+  }
+  if (typeof lookup !== 'function') {
+    throw new Error("resolveThreadId requires a lookup function");
+  }
+
+  const references = [...(message.references || []), ...(message.inReplyTo || [])]
+    .filter((id, index, all) => id && all.indexOf(id) === index);
+
+  for (const messageId of references) {
+    const threadId = await lookup({ messageId });
+    if (threadId) return threadId;
+  }
+
+  if (references.length > 0) {
+    return deriveThreadId(references[0]);
+  }
+
+  const subject = message.normalizedSubject !== undefined
+    ? message.normalizedSubject
+    : normalizeSubject(message.subject);
+  const isReply = subject && subject !== String(message.subject || "").replace(/\s+/g, ' ').trim();
+
+  if (isReply) {
+    const threadId = await lookup({ subject });
+    if (threadId) return threadId;
+  }
+
+  if (message.messageId) {
+    return deriveThreadId(message.messageId);
+  }
+
+  // No Message-ID: fall back to what identifies the message best
+  return deriveThreadId(`${message.from || ""}|${subject}|${message.allHeaders?.get?.('Date') || ""}`);
+}
+
 /**
  * Verify Mailgun webhook signature automatically from request
  * 
@@ -111,8 +748,13 @@ function cleanMessageId(value) {
  * @param {string} req.body.token - Token (for inbound email webhooks, at top level)
  * @param {string} req.body.timestamp - Timestamp (for inbound email webhooks, at top level)
  * @param {string} req.body.signature - Signature (for inbound email webhooks, at top level)
- * @param {string} signingKey - Mailgun webhook signing key (or use MAILGUN_WEBHOOK_SIGNING_KEY env var)
+ * @param {string|Array} signingKey - Mailgun webhook signing key, or a list of keys (or use MAILGUN_WEBHOOK_SIGNING_KEY env var)
+ * @param {Object} options - Verification options (optional)
+ * @param {number} options.toleranceSeconds - Accepted timestamp age in seconds (default: 900)
+ * @param {Object} options.nonceStore - Synchronous store used to reject replayed tokens (e.g. createMemoryStore()). Asynchronous stores make every check fail
+ * @param {Object} options.logger - Logger target (see createLogger)
  * @returns {boolean} True if signature is valid
+ * @throws {Error} If signingKey is a resolver function (only verifyMailgunRequest supports resolvers)
  * 
  * @example
  * const { verifyRequestSignature } = require('node-inbound-email');
@@ -121,368 +763,5078 @@ function cleanMessageId(value) {
  *   return res.status(401).json({ error: 'Invalid signature' });
  * }
  */
-function verifyRequestSignature(req, signingKey = process.env.MAILGUN_WEBHOOK_SIGNING_KEY) {
+function verifyRequestSignature(req, signingKey = process.env.MAILGUN_WEBHOOK_SIGNING_KEY, options = {}) {
   if (!req || !req.body) {
     return false;
   }
 
-  // Mailgun event webhooks: signature data in req.body.signature object
-  // Inbound email webhooks: signature data at top level
-  const sig = req.body.signature;
-  const token = sig?.token || req.body.token;
-  const timestamp = sig?.timestamp || req.body.timestamp;
-  const signature = sig?.signature || req.body.signature;
+  const { token, timestamp, signature } = extractSignatureFields(req.body);
 
-  return verifyMailgunSignature(token, timestamp, signature, signingKey);
+  return verifyMailgunSignature(token, timestamp, signature, signingKey, options);
 }
 
 /**
- * Process email data from Mailgun webhook request
+ * Verify a Mailgun webhook request and report why verification failed
  * 
- * This function processes the raw Express request body and files
- * to extract and structure email data for manual processing.
+ * Asynchronous counterpart of verifyRequestSignature() that works with any
+ * nonce store (in-memory, Redis, SQL). Each valid token is recorded in the
+ * store, so a captured payload cannot be replayed within the tolerance window.
  * 
- * @param {Object} req - Express request object with body and files
- * @param {Object} req.body - Request body containing email fields
- * @param {Array} req.files - Array of uploaded files (attachments)
- * @returns {Object} Processed email data with token, timestamp, signature
- * @returns {Object} return.emailData - Structured email data
- * @returns {string} return.token - Mailgun token
- * @returns {string} return.timestamp - Request timestamp
- * @returns {string} return.signature - Mailgun signature
- * @throws {Error} If request body is invalid
+ * Several signing keys can be accepted at once, either as a list (rotation
+ * without downtime) or through a resolver that picks candidate keys from
+ * the request domain or recipient (several domains or sub-accounts). The
+ * result reports which key matched, so you can tell when an old key is no
+ * longer in use.
+ * 
+ * Failure reasons:
+ * - 'missing_signing_key': no signing key configured
+ * - 'missing_signature_data': token, timestamp or signature missing
+ * - 'timestamp_out_of_window': timestamp outside the tolerance window
+ * - 'invalid_signature': HMAC does not match
+ * - 'replayed_token': token was already used
+ * 
+ * @param {Object} req - Express request object with body
+ * @param {Object} options - Verification options
+ * @param {string|Array|Function} options.signingKey - Signing key, list of keys ({ id, key } objects allowed), or
+ *   async resolver ({ domain, recipient, req }) => key(s). Defaults to MAILGUN_WEBHOOK_SIGNING_KEY env var
+ * @param {number} options.toleranceSeconds - Accepted timestamp age in seconds (default: 900)
+ * @param {Object} options.nonceStore - Store used to reject replayed tokens (optional)
+ * @returns {Promise<Object>} { valid: boolean, reason: string|null, keyId: string|null, keyIndex: number|null }
  * 
  * @example
- * const { processEmailData } = require('node-inbound-email');
- * const { emailData } = processEmailData(req);
- * console.log(emailData.from, emailData.subject);
+ * const { verifyMailgunRequest, createMemoryStore } = require('node-inbound-email');
+ * const nonceStore = createMemoryStore();
+ * 
+ * const { valid, reason } = await verifyMailgunRequest(req, { nonceStore });
+ * if (!valid) {
+ *   return res.status(401).json({ error: 'Invalid signature', reason });
+ * }
+ * 
+ * @example
+ * // Per-domain keys, with the old key still accepted during rotation
+ * const keys = {
+ *   'mg.example.com': [{ id: 'new', key: NEW_KEY }, { id: 'old', key: OLD_KEY }],
+ *   'mg.example.org': ORG_KEY,
+ * };
+ * const { valid, keyId } = await verifyMailgunRequest(req, {
+ *   signingKey: async ({ domain }) => keys[domain] || [],
+ * });
+ * if (keyId === 'old') console.warn('Webhook still signed with the old key');
  */
-function processEmailData(req) {
+async function verifyMailgunRequest(req, options = {}) {
+  const {
+    signingKey = process.env.MAILGUN_WEBHOOK_SIGNING_KEY,
+    toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+    nonceStore = null,
+  } = options;
+
   if (!req || !req.body) {
-    throw new Error("Invalid request: missing body");
+    return { valid: false, reason: 'missing_signature_data', keyId: null, keyIndex: null };
   }
 
-  const {
-    token,
-    timestamp,
-    signature,
-    sender,
-    from,
-    subject,
-    recipient,
-    cc,
-    "body-plain": bodyPlain,
-    "body-html": bodyHtml,
-    "stripped-text": strippedText,
-    "stripped-html": strippedHtml,
-    "message-headers": messageHeaders,
-    "attachment-count": attachmentCount,
+  const keys = typeof signingKey === 'function'
+    ? await signingKey({ ...getSigningContext(req.body), req })
+    : signingKey;
+
+  const { token, timestamp, signature } = extractSignatureFields(req.body);
+  const result = checkSignature(token, timestamp, signature, keys, toleranceSeconds);
+  if (!result.valid) {
+    return { valid: false, reason: result.reason, keyId: null, keyIndex: null };
+  }
+
+  if (nonceStore && !(await nonceStore.add(token, result.ttl))) {
+    return { valid: false, reason: 'replayed_token', keyId: null, keyIndex: null };
+  }
+
+  return { valid: true, reason: null, keyId: result.keyId, keyIndex: result.keyIndex };
+}
+
+/**
+ * Find the first value of a header in a list of [name, value] pairs (case-insensitive)
+ * 
+ * Matches createHeaderCollection().get(): Mailgun lists headers in message
+ * order, so the first occurrence is the one nearest the top of the message.
+ * 
+ * @param {Array} headerPairs - Headers as [name, value] pairs
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value
+ */
+function findHeader(headerPairs, name) {
+  const lowerName = name.toLowerCase();
+  const match = headerPairs.find(([key]) => String(key).toLowerCase() === lowerName);
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Create a case-insensitive header collection that keeps every occurrence
+ * 
+ * Repeated headers (Received, DKIM-Signature, Authentication-Results) are
+ * kept in message order. Values returned by get/getAll/entries have RFC 2047
+ * encoded words decoded; use getRaw/getAllRaw for the original values (e.g.
+ * before parsing address lists, where decoded names may contain commas).
+ * Serializes to JSON as an array of [name, value] pairs.
+ * 
+ * @param {Array} headerPairs - Headers as [name, value] pairs, in message order
+ * @returns {Object} Collection with get, getAll, getRaw, getAllRaw, has, names, entries, size
+ * 
+ * @example
+ * const headers = createHeaderCollection([['Received', 'from a'], ['received', 'from b']]);
+ * headers.getAll('RECEIVED'); // ['from a', 'from b']
+ * headers.get('Received');    // 'from a'
+ */
+function createHeaderCollection(headerPairs = []) {
+  const entries = headerPairs
+    .filter(header => Array.isArray(header) && header.length >= 2)
+    .map(([name, value]) => {
+      const raw = value === null || value === undefined ? "" : String(value);
+      return { name: String(name), lowerName: String(name).toLowerCase(), raw, value: decodeMimeWords(raw) };
+    });
+
+  const matching = (name) => {
+    const lowerName = String(name).toLowerCase();
+    return entries.filter(entry => entry.lowerName === lowerName);
+  };
+
+  return {
+    /** First value of a header (decoded), or null */
+    get(name) {
+      const [first] = matching(name);
+      return first ? first.value : null;
+    },
+    /** All values of a header (decoded), in message order */
+    getAll(name) {
+      return matching(name).map(entry => entry.value);
+    },
+    /** First value of a header as received, or null */
+    getRaw(name) {
+      const [first] = matching(name);
+      return first ? first.raw : null;
+    },
+    /** All values of a header as received, in message order */
+    getAllRaw(name) {
+      return matching(name).map(entry => entry.raw);
+    },
+    has(name) {
+      return matching(name).length > 0;
+    },
+    /** Distinct header names, as first seen */
+    names() {
+      const seen = new Set();
+      return entries
+        .filter(entry => !seen.has(entry.lowerName) && seen.add(entry.lowerName))
+        .map(entry => entry.name);
+    },
+    /** All headers as [name, decodedValue] pairs, in message order */
+    entries() {
+      return entries.map(entry => [entry.name, entry.value]);
+    },
+    get size() {
+      return entries.length;
+    },
+    toJSON() {
+      return this.entries();
+    },
+  };
+}
+
+/**
+ * Parse an Authentication-Results header (RFC 8601)
+ * 
+ * @param {string} value - Header value, e.g. `mx.example.com; spf=pass smtp.mailfrom=x.com; dkim=pass header.d=x.com`
+ * @returns {Array<Object>} Results as { method, result, properties, comment }
+ * 
+ * @example
+ * parseAuthenticationResults('mx.mailgun.org; dmarc=fail (p=REJECT) header.from=x.com');
+ * // [{ method: 'dmarc', result: 'fail', properties: { 'header.from': 'x.com' }, comment: 'p=REJECT' }]
+ */
+function parseAuthenticationResults(value) {
+  if (!value || typeof value !== 'string') return [];
+
+  // Drop the authserv-id, which comes before the first ';'
+  return value.split(';').slice(1).map(segment => {
+    const comments = [];
+    // Comments can hold details such as the DMARC policy (p=REJECT)
+    const text = segment.replace(/\(([^()]*)\)/g, (match, comment) => {
+      comments.push(comment.trim());
+      return ' ';
+    });
+    const match = text.match(/^\s*([a-z0-9-]+)\s*=\s*([a-z]+)/i);
+    if (!match) return null;
+
+    const properties = {};
+    const propertyRegex = /([a-z0-9-]+\.[a-z0-9-]+)\s*=\s*("[^"]*"|[^\s;]+)/gi;
+    let property;
+    while ((property = propertyRegex.exec(text.slice(match[0].length))) !== null) {
+      properties[property[1].toLowerCase()] = property[2].replace(/^"|"$/g, '');
+    }
+
+    return {
+      method: match[1].toLowerCase(),
+      result: match[2].toLowerCase(),
+      properties,
+      comment: comments.join(' ') || null,
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Get the authserv-id (the host that added it) of an Authentication-Results header
+ * @param {string} value - Header value
+ * @returns {string|null} Lower-cased authserv-id
+ */
+function getAuthservId(value) {
+  if (!value || typeof value !== 'string') return null;
+  const [id] = value.split(';')[0].replace(/\([^()]*\)/g, ' ').trim().split(/\s+/);
+  return id ? id.toLowerCase() : null;
+}
+
+/**
+ * Build authentication and spam verdicts from Mailgun's inbound headers
+ * 
+ * Mailgun's own X-Mailgun-Spf / X-Mailgun-Dkim-Check-Result headers win
+ * over Authentication-Results. Only one Authentication-Results header is
+ * trusted: the topmost one (added by the last hop, i.e. Mailgun), or with
+ * trustedAuthservIds the topmost one added by one of those hosts. Headers
+ * further down were written by the sender or earlier hops and can claim
+ * anything. Results are lower-cased; null means no verdict was found.
+ * 
+ * @param {Object} allHeaders - Header collection (see createHeaderCollection)
+ * @param {Object} options - Parsing options (optional)
+ * @param {Array<string>} options.trustedAuthservIds - authserv-ids whose Authentication-Results are trusted
+ * @returns {Object} { spf, dkim, dmarc, spam }
+ */
+function parseAuthentication(allHeaders, options = {}) {
+  const { trustedAuthservIds = null } = options;
+  const trusted = trustedAuthservIds ? trustedAuthservIds.map(id => String(id).toLowerCase()) : null;
+  const [header] = allHeaders.getAllRaw('Authentication-Results')
+    .filter(value => !trusted || trusted.includes(getAuthservId(value)));
+  const results = parseAuthenticationResults(header);
+  const firstResult = (method) => results.find(result => result.method === method) || null;
+  const lower = (value) => (value ? String(value).trim().toLowerCase() : null);
+
+  const spfResult = firstResult('spf');
+  const dkimResults = results.filter(result => result.method === 'dkim');
+  const dmarcResult = firstResult('dmarc');
+  const dmarcComment = dmarcResult?.comment || "";
+  const dmarcPolicy = dmarcComment.match(/\bp=([a-z]+)/i);
+  const dmarcDisposition = dmarcComment.match(/\bdis=([a-z]+)/i);
+
+  // Mailgun reports DKIM as a single verdict; Authentication-Results may list several signatures
+  const dkimSignatures = dkimResults.map(result => ({
+    result: result.result,
+    domain: result.properties['header.d'] || result.properties['header.i'] || null,
+    selector: result.properties['header.s'] || null,
+  }));
+  const dkimFromResults = dkimSignatures.length === 0
+    ? null
+    : (dkimSignatures.some(signature => signature.result === 'pass') ? 'pass' : dkimSignatures[0].result);
+
+  const spamScore = parseFloat(allHeaders.get('X-Mailgun-Sscore'));
+  const spamFlag = lower(allHeaders.get('X-Mailgun-Sflag'));
+
+  return {
+    spf: {
+      result: lower(allHeaders.get('X-Mailgun-Spf')) || spfResult?.result || null,
+      domain: spfResult?.properties['smtp.mailfrom'] || null,
+    },
+    dkim: {
+      result: lower(allHeaders.get('X-Mailgun-Dkim-Check-Result')) || dkimFromResults,
+      signatures: dkimSignatures,
+    },
+    dmarc: {
+      result: dmarcResult?.result || null,
+      policy: dmarcPolicy ? dmarcPolicy[1].toLowerCase() : null,
+      disposition: dmarcDisposition ? dmarcDisposition[1].toLowerCase() : null,
+      domain: dmarcResult?.properties['header.from'] || null,
+    },
+    spam: {
+      flagged: spamFlag === null ? null : spamFlag === 'yes',
+      score: isNaN(spamScore) ? null : spamScore,
+    },
+  };
+}
+
+/**
+ * Check emailData against an authentication/spam policy
+ * 
+ * @param {Object} emailData - Processed email data (with authentication)
+ * @param {Object|Function} policy - Policy object, or (emailData) => reason string to reject / falsy to accept (may be async)
+ * @param {boolean} policy.rejectDmarcFail - Reject when DMARC fails
+ * @param {boolean} policy.rejectSpfFail - Reject when SPF fails (softfail is not a failure)
+ * @param {boolean} policy.rejectDkimFail - Reject when DKIM fails
+ * @param {boolean} policy.rejectSpamFlagged - Reject when Mailgun flagged the message as spam (X-Mailgun-Sflag)
+ * @param {number} policy.maxSpamScore - Reject when the spam score (X-Mailgun-Sscore) is greater than this
+ * @param {Array<string>} policy.trustedAuthservIds - Only trust Authentication-Results added by these hosts (default: the topmost header)
+ * @returns {Promise<string|null>} Rejection reason, or null when the message is accepted
+ * 
+ * @example
+ * const reason = await evaluateAuthenticationPolicy(emailData, { rejectDmarcFail: true, maxSpamScore: 5 });
+ * if (reason) console.warn('Rejected:', reason); // e.g. 'dmarc_fail' or 'spam_score_exceeded'
+ */
+async function evaluateAuthenticationPolicy(emailData, policy) {
+  if (!policy) return null;
+  if (typeof policy === 'function') return (await policy(emailData)) || null;
+
+  const { spf, dkim, dmarc, spam } = policy.trustedAuthservIds || !emailData.authentication
+    ? parseAuthentication(emailData.allHeaders, { trustedAuthservIds: policy.trustedAuthservIds })
+    : emailData.authentication;
+
+  if (policy.rejectDmarcFail && dmarc.result === 'fail') return 'dmarc_fail';
+  if (policy.rejectSpfFail && spf.result === 'fail') return 'spf_fail';
+  if (policy.rejectDkimFail && dkim.result === 'fail') return 'dkim_fail';
+  if (policy.rejectSpamFlagged && spam.flagged) return 'spam_flagged';
+  if (typeof policy.maxSpamScore === 'number' && spam.score !== null && spam.score > policy.maxSpamScore) {
+    return 'spam_score_exceeded';
+  }
+  return null;
+}
+
+// Executables and scripts commonly used to deliver malware by email
+const DEFAULT_BLOCKED_EXTENSIONS = [
+  'ade', 'adp', 'app', 'application', 'bat', 'cab', 'chm', 'cmd', 'com', 'cpl', 'dll', 'exe',
+  'hta', 'inf', 'ins', 'isp', 'jar', 'js', 'jse', 'lib', 'lnk', 'mde', 'msc', 'msi', 'msp',
+  'mst', 'pif', 'ps1', 'reg', 'scr', 'sct', 'shb', 'sys', 'vb', 'vbe', 'vbs', 'vxd', 'wsc',
+  'wsf', 'wsh',
+];
+
+// Windows device names that cannot be used as filenames
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+/**
+ * Make an attachment filename safe to use on disk
+ * 
+ * Strips directory components (`../../etc/x` becomes `x`), control and
+ * reserved characters, and leading dots (hidden files). Windows device
+ * names are prefixed with `_`, and names are cut to 255 bytes keeping the
+ * extension.
+ * 
+ * @param {string} name - Filename as sent
+ * @param {string} fallback - Name used when nothing usable is left
+ * @returns {string} Sanitized filename
+ */
+function sanitizeFilename(name, fallback = "attachment") {
+  let sanitized = String(name || "")
+    .split(/[/\\]/).pop()
+    .replace(/[\x00-\x1f\x7f<>:"|?*]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^[.\s]+/, '')
+    .replace(/[.\s]+$/, '');
+
+  if (!sanitized) return fallback;
+  if (RESERVED_FILENAMES.test(sanitized)) sanitized = `_${sanitized}`;
+
+  while (Buffer.byteLength(sanitized) > 255) {
+    const dot = sanitized.lastIndexOf('.');
+    const extension = dot > 0 && sanitized.length - dot <= 16 ? sanitized.slice(dot) : "";
+    const base = sanitized.slice(0, sanitized.length - extension.length);
+    sanitized = base.slice(0, base.length - 1) + extension;
+  }
+
+  return sanitized;
+}
+
+/**
+ * Get the lower-cased extension of a filename
+ * @param {string} filename - Filename (sanitized)
+ * @returns {string|null} Extension without the dot, or null
+ */
+function getExtension(filename) {
+  const dot = filename ? filename.lastIndexOf('.') : -1;
+  return dot > 0 && dot < filename.length - 1 ? filename.slice(dot + 1).toLowerCase() : null;
+}
+
+// Magic bytes: [MIME type, offset, signature bytes]
+const MAGIC_SIGNATURES = [
+  ['application/pdf', 0, [0x25, 0x50, 0x44, 0x46, 0x2d]],
+  ['image/png', 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  ['image/jpeg', 0, [0xff, 0xd8, 0xff]],
+  ['image/gif', 0, [0x47, 0x49, 0x46, 0x38]],
+  ['image/bmp', 0, [0x42, 0x4d]],
+  ['image/tiff', 0, [0x49, 0x49, 0x2a, 0x00]],
+  ['image/tiff', 0, [0x4d, 0x4d, 0x00, 0x2a]],
+  ['image/x-icon', 0, [0x00, 0x00, 0x01, 0x00]],
+  ['application/zip', 0, [0x50, 0x4b, 0x03, 0x04]],
+  ['application/zip', 0, [0x50, 0x4b, 0x05, 0x06]],
+  ['application/gzip', 0, [0x1f, 0x8b]],
+  ['application/x-bzip2', 0, [0x42, 0x5a, 0x68]],
+  ['application/x-xz', 0, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]],
+  ['application/x-7z-compressed', 0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]],
+  ['application/vnd.rar', 0, [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07]],
+  ['application/x-tar', 257, [0x75, 0x73, 0x74, 0x61, 0x72]],
+  // OLE2 compound files: legacy .doc/.xls/.ppt/.msg
+  ['application/x-ole-storage', 0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]],
+  ['application/rtf', 0, [0x7b, 0x5c, 0x72, 0x74, 0x66]],
+  ['application/x-msdownload', 0, [0x4d, 0x5a]],
+  ['application/x-elf', 0, [0x7f, 0x45, 0x4c, 0x46]],
+  ['application/x-mach-binary', 0, [0xcf, 0xfa, 0xed, 0xfe]],
+  ['application/x-mach-binary', 0, [0xce, 0xfa, 0xed, 0xfe]],
+  ['application/x-mach-binary', 0, [0xca, 0xfe, 0xba, 0xbe]],
+  ['audio/mpeg', 0, [0x49, 0x44, 0x33]],
+  ['audio/ogg', 0, [0x4f, 0x67, 0x67, 0x53]],
+  ['audio/flac', 0, [0x66, 0x4c, 0x61, 0x43]],
+  ['video/mp4', 4, [0x66, 0x74, 0x79, 0x70]],
+  ['application/wasm', 0, [0x00, 0x61, 0x73, 0x6d]],
+];
+
+// Declared types that legitimately use a detected container format
+const COMPATIBLE_TYPES = {
+  'application/zip': /^application\/(x-zip-compressed|java-archive|epub\+zip|vnd\.openxmlformats-officedocument\..+|vnd\.oasis\.opendocument\..+|vnd\.android\.package-archive|vnd\.ms-.+\.macroenabled\..+)$/,
+  'application/x-ole-storage': /^application\/(msword|vnd\.ms-excel|vnd\.ms-powerpoint|vnd\.ms-outlook|vnd\.visio|x-msi)$/,
+  'application/gzip': /^application\/(x-gzip|x-tar|x-gtar|x-compressed-tar)$/,
+  'application/x-msdownload': /^application\/(x-dosexec|x-msdos-program|vnd\.microsoft\.portable-executable|x-ms-installer)$/,
+  'image/jpeg': /^image\/(jpg|pjpeg)$/,
+  'image/x-icon': /^image\/vnd\.microsoft\.icon$/,
+  'image/bmp': /^image\/x-(ms-)?bmp$/,
+  'audio/mpeg': /^audio\/(mp3|x-mpeg)$/,
+  'video/mp4': /^(video|audio)\/(mp4|quicktime|x-m4a|3gpp)$|^image\/(heic|heif|avif)$/,
+  'application/rtf': /^text\/rtf$/,
+  'text/plain': /^text\/.+$|^application\/(json|xml|javascript|x-sh|ics|pgp-signature|pgp-keys|pkcs7-signature|x-pem-file)$|^message\/.+$|^image\/svg\+xml$/,
+};
+
+/**
+ * Detect a file's MIME type from its content (magic bytes)
+ * 
+ * Container formats are reported by container: Office Open XML, OpenDocument
+ * and JAR files are 'application/zip'; legacy Office files and Outlook .msg
+ * are 'application/x-ole-storage'. Content without binary bytes is
+ * 'text/plain'.
+ * 
+ * @param {Buffer} buffer - File content (the first 512 bytes are enough)
+ * @returns {string|null} Detected MIME type, or null if unknown
+ */
+function detectMimeType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) return null;
+
+  const matched = MAGIC_SIGNATURES.find(([, offset, signature]) =>
+    buffer.length >= offset + signature.length &&
+    signature.every((byte, index) => buffer[offset + index] === byte)
+  );
+  if (matched) return matched[0];
+
+  // RIFF containers: WAVE, AVI, WEBP
+  if (buffer.length >= 12 && buffer.toString("latin1", 0, 4) === 'RIFF') {
+    const format = buffer.toString("latin1", 8, 12);
+    if (format === 'WAVE') return 'audio/wav';
+    if (format === 'AVI ') return 'video/x-msvideo';
+    if (format === 'WEBP') return 'image/webp';
+  }
+
+  // No NUL bytes and mostly printable: text
+  const sample = buffer.slice(0, 512);
+  if (sample.includes(0)) return null;
+  const controlBytes = sample.toString("latin1").replace(/[^\x00-\x08\x0e-\x1f]/g, '').length;
+  return controlBytes / sample.length < 0.05 ? 'text/plain' : null;
+}
+
+/**
+ * Check whether a declared MIME type contradicts the detected one
+ * @param {string} declared - MIME type as sent
+ * @param {string|null} detected - MIME type detected from content
+ * @returns {boolean} True if they do not match
+ */
+function isTypeMismatch(declared, detected) {
+  const declaredType = String(declared || "").split(';')[0].trim().toLowerCase();
+  // Unknown content or a generic declaration cannot contradict anything
+  if (!detected || !declaredType || declaredType === 'application/octet-stream') return false;
+  if (declaredType === detected) return false;
+  return !(COMPATIBLE_TYPES[detected] && COMPATIBLE_TYPES[detected].test(declaredType));
+}
+
+/**
+ * Convert an uploaded file (multer shape) to attachment metadata
+ * @param {Object} file - File with originalname, mimetype, size, encoding, fieldname, buffer (contentId, disposition optional;
+ *   streamed files carry storageKey, sha256 and detectedType instead of a buffer)
+ * @param {number} index - Position of the file, used for fallback filenames
+ * @returns {Object} Attachment metadata with buffer
+ */
+function toAttachment(file, index) {
+  const buffer = file.buffer || null;
+  const mimetype = file.mimetype || "application/octet-stream";
+  const filename = sanitizeFilename(file.originalname, `attachment-${Date.now()}-${index}`);
+  const detectedType = buffer ? detectMimeType(buffer) : (file.detectedType || null);
+
+  return {
+    filename,
+    originalname: file.originalname || null,
+    mimetype,
+    detectedType,
+    typeMismatch: isTypeMismatch(mimetype, detectedType),
+    size: file.size || (buffer ? buffer.length : 0),
+    extension: getExtension(filename),
+    sha256: buffer ? crypto.createHash("sha256").update(buffer).digest("hex") : (file.sha256 || null),
+    isInline: file.disposition === 'inline',
+    contentId: cleanMessageId(file.contentId),
+    encoding: file.encoding || null,
+    fieldname: file.fieldname || null,
+    storageKey: file.storageKey || null,
+    buffer, // Include buffer for manual processing (null when stored)
+  };
+}
+
+/**
+ * Apply an attachment policy, dropping or quarantining offending attachments
+ * 
+ * @param {Array} attachments - Attachment metadata (see toAttachment)
+ * @param {Object} policy - Attachment policy
+ * @param {Array<string>} policy.blockedExtensions - Extensions to block (default: DEFAULT_BLOCKED_EXTENSIONS)
+ * @param {Array<string>} policy.blockedTypes - MIME types to block, matched against declared and detected type ('image/*' wildcards allowed)
+ * @param {number} policy.maxSize - Maximum size of one attachment in bytes
+ * @param {number} policy.maxCount - Maximum number of attachments kept
+ * @param {boolean} policy.blockTypeMismatch - Block attachments whose content contradicts the declared type
+ * @param {string} policy.action - 'drop' (default, buffer discarded) or 'quarantine' (buffer kept)
+ * @returns {Object} { attachments, blockedAttachments }
+ */
+function applyAttachmentPolicy(attachments, policy) {
+  const {
+    blockedExtensions = DEFAULT_BLOCKED_EXTENSIONS,
+    blockedTypes = [],
+    maxSize = null,
+    maxCount = null,
+    blockTypeMismatch = false,
+    action = 'drop',
+  } = policy;
+  const extensions = blockedExtensions.map(extension => String(extension).replace(/^\./, '').toLowerCase());
+  const typeBlocked = (type) => Boolean(type) && blockedTypes.some(pattern => {
+    const blocked = String(pattern).toLowerCase();
+    return blocked.endsWith('/*') ? type.startsWith(blocked.slice(0, -1)) : type === blocked;
+  });
+
+  const allowed = [];
+  const blockedAttachments = [];
+
+  attachments.forEach(attachment => {
+    let reason = null;
+    if (attachment.extension && extensions.includes(attachment.extension)) {
+      reason = 'blocked_extension';
+    } else if (typeBlocked(attachment.mimetype.toLowerCase()) || typeBlocked(attachment.detectedType)) {
+      reason = 'blocked_type';
+    } else if (blockTypeMismatch && attachment.typeMismatch) {
+      reason = 'type_mismatch';
+    } else if (maxSize !== null && attachment.size > maxSize) {
+      reason = 'max_size_exceeded';
+    } else if (maxCount !== null && allowed.length >= maxCount) {
+      reason = 'max_count_exceeded';
+    }
+
+    if (!reason) {
+      allowed.push(attachment);
+    } else if (action === 'quarantine') {
+      blockedAttachments.push({ ...attachment, reason, action: 'quarantined' });
+    } else {
+      blockedAttachments.push({ ...attachment, buffer: null, reason, action: 'dropped' });
+    }
+  });
+
+  return { attachments: allowed, blockedAttachments };
+}
+
+/**
+ * Parse Mailgun's content-id-map field
+ * 
+ * Mailgun sends a JSON object mapping each inline part's Content-ID to the
+ * form field its file was uploaded under, e.g.
+ * `{"<ii_abc123>": "attachment-1"}`.
+ * 
+ * @param {string|Object} value - content-id-map field (JSON string or object)
+ * @returns {Object} Content-ID (without angle brackets) by field name
+ */
+function parseContentIdMap(value) {
+  let map = value;
+  if (typeof value === 'string') {
+    try {
+      map = JSON.parse(value);
+    } catch (error) {
+      return {};
+    }
+  }
+  if (!map || typeof map !== 'object' || Array.isArray(map)) return {};
+
+  return Object.keys(map).reduce((byField, contentId) => {
+    const cleaned = cleanMessageId(contentId);
+    if (cleaned && typeof map[contentId] === 'string') byField[map[contentId]] = cleaned;
+    return byField;
+  }, {});
+}
+
+// RFC 6838 type/subtype; anything else is not used in data URIs
+const MIME_TYPE_REGEX = /^[a-z0-9][a-z0-9!#$&^_.+-]*\/[a-z0-9][a-z0-9!#$&^_.+-]*$/i;
+
+/**
+ * Percent-encode the characters that could end an HTML attribute or CSS url()
+ * @param {string} url - URL to insert into HTML
+ * @returns {string} URL safe to put after `"`, `'`, `(` or `=`
+ */
+function escapeUrlForHtml(url) {
+  return String(url).replace(/["'`<>()\\\s]/g, ch => Array.from(Buffer.from(ch, "utf8"))
+    .map(byte => `%${byte.toString(16).toUpperCase().padStart(2, '0')}`)
+    .join(''));
+}
+
+/**
+ * Rewrite `cid:` references in an email's HTML body
+ * 
+ * Each `cid:` URL in an attribute or CSS `url()` is matched against the
+ * attachments' contentId. Without a resolver, matches become data URIs
+ * built from the attachment buffer. With one, they become whatever URL it
+ * returns, for example after uploading the attachment to storage. The
+ * resolver is called once per referenced attachment; references it
+ * returns nothing for, and those without a matching attachment, are left
+ * unchanged. Blocked attachments are never inlined. Quotes, parentheses and
+ * whitespace in URLs are percent-encoded so they cannot end the attribute,
+ * and data URIs fall back to application/octet-stream when the sender's
+ * MIME type is not a plain type/subtype.
+ * 
+ * @param {Object} emailData - emailData with html and attachments
+ * @param {Function} resolve - async (attachment) => URL or null (optional, defaults to data URIs)
+ * @returns {Promise<string>} Rewritten HTML
+ * 
+ * @example
+ * const { rewriteCidReferences } = require('node-inbound-email');
+ * 
+ * // Self-contained HTML
+ * const html = await rewriteCidReferences(emailData);
+ * 
+ * // Or point at uploaded copies
+ * const html = await rewriteCidReferences(emailData, async (attachment) => {
+ *   const key = `inline/${attachment.sha256}/${attachment.filename}`;
+ *   await storage.put(key, attachment.buffer, attachment.mimetype);
+ *   return `https://cdn.example.com/${key}`;
+ * });
+ */
+async function rewriteCidReferences(emailData, resolve = null) {
+  const html = (emailData && emailData.html) || "";
+  const attachments = (emailData && emailData.attachments) || [];
+  const pattern = /(["'(=]\s*)cid:([^"'\s)>]+)/gi;
+  const urls = new Map();
+
+  const findAttachment = (cid) => {
+    const contentId = cleanMessageId(percentDecode(cid).toString("utf8"));
+    return attachments.find(attachment => attachment.contentId === contentId) ||
+      attachments.find(attachment => attachment.contentId && contentId &&
+        attachment.contentId.toLowerCase() === contentId.toLowerCase());
+  };
+
+  for (const [, , cid] of html.matchAll(pattern)) {
+    if (urls.has(cid)) continue;
+    const attachment = findAttachment(cid);
+    let url = null;
+    if (attachment && resolve) {
+      url = await resolve(attachment);
+    } else if (attachment && attachment.buffer) {
+      const mimetype = MIME_TYPE_REGEX.test(attachment.mimetype) ? attachment.mimetype : "application/octet-stream";
+      url = `data:${mimetype};base64,${attachment.buffer.toString("base64")}`;
+    }
+    urls.set(cid, url ? escapeUrlForHtml(url) : null);
+  }
+
+  return html.replace(pattern, (match, prefix, cid) => urls.get(cid) ? `${prefix}${urls.get(cid)}` : match);
+}
+
+/**
+ * Build the emailData structure shared by the parsed and raw MIME paths
+ * @param {Object} source - Email parts
+ * @param {Array} source.headerPairs - Headers as [name, value] pairs
+ * @param {string} source.from - Sender (Mailgun's sender/from field or From header)
+ * @param {string} source.fromHeader - From header value, used for the display name (defaults to the From header)
+ * @param {string} source.to - Recipients (falls back to the To header)
+ * @param {string} source.cc - CC recipients (falls back to the Cc header)
+ * @param {string} source.subject - Subject
+ * @param {string} source.text - Plain text body
+ * @param {string} source.html - HTML body
+ * @param {Array} source.files - Attachments in multer shape
+ * @param {number} source.attachmentCount - Attachment count (defaults to files.length)
+ * @param {Object} source.attachmentPolicy - Attachment policy (see applyAttachmentPolicy, optional)
+ * @returns {Object} emailData
+ */
+function buildEmailData({
+  headerPairs = [],
+  from,
+  fromHeader,
+  to,
+  cc,
+  subject,
+  text,
+  html,
+  files = [],
+  attachmentCount,
+  attachmentPolicy = null,
+}) {
+  // Convert headers array to object for easier access
+  const headersObj = {};
+  headerPairs.forEach(([key, value]) => {
+    headersObj[key] = value;
+  });
+
+  // Extract CC and TO from fields or headers (can be multiple recipients)
+  const ccValue = cc || findHeader(headerPairs, 'Cc') || "";
+  const toValue = to || findHeader(headerPairs, 'To') || "";
+
+  // Mailgun's recipient field is the bare envelope address; take display
+  // names from the To/Cc headers where the address matches
+  const headerNames = {};
+  [findHeader(headerPairs, 'To'), findHeader(headerPairs, 'Cc')].forEach(value => {
+    parseAddressList(value).forEach(({ name, address }) => {
+      if (name) headerNames[address.toLowerCase()] = name;
+    });
+  });
+  const withHeaderNames = (value) => parseAddressList(value).map(entry => ({
+    ...entry,
+    name: entry.name || headerNames[entry.address.toLowerCase()] || "",
+  }));
+
+  const allHeaders = createHeaderCollection(headerPairs);
+  const { attachments, blockedAttachments } = attachmentPolicy
+    ? applyAttachmentPolicy(files.map(toAttachment), attachmentPolicy)
+    : { attachments: files.map(toAttachment), blockedAttachments: [] };
+  const toAddresses = withHeaderNames(toValue);
+  const ccAddresses = withHeaderNames(ccValue);
+  const bccAddresses = parseAddressList(findHeader(headerPairs, 'Bcc'));
+  const replyToAddresses = parseAddressList(findHeader(headerPairs, 'Reply-To'));
+  const [fromEntry] = parseAddressList(fromHeader || findHeader(headerPairs, 'From') || from);
+  const [senderEntry] = parseAddressList(findHeader(headerPairs, 'Sender'));
+
+  return {
+    messageId: cleanMessageId(findHeader(headerPairs, 'Message-ID') || null),
+    inReplyTo: parseMessageIds(findHeader(headerPairs, 'In-Reply-To')),
+    references: parseMessageIds(findHeader(headerPairs, 'References')),
+    from: extractEmail(from),
+    fromName: fromEntry ? fromEntry.name : "",
+    to: toAddresses.map(entry => entry.address),
+    toAddresses,
+    cc: ccAddresses.map(entry => entry.address),
+    ccAddresses,
+    bcc: bccAddresses.map(entry => entry.address),
+    bccAddresses,
+    replyTo: replyToAddresses.map(entry => entry.address),
+    replyToAddresses,
+    senderAddress: senderEntry || null,
+    subject: subject || "",
+    normalizedSubject: normalizeSubject(subject),
+    text: text || "",
+    html: html || "",
+    headers: headersObj,
+    allHeaders,
+    authentication: parseAuthentication(allHeaders),
+    attachments,
+    blockedAttachments,
+    attachmentCount: Number(attachmentCount === undefined ? files.length : attachmentCount || 0),
+    receivedAt: new Date().toISOString(),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Decode RFC 2047 encoded words, e.g. `=?UTF-8?B?SGVsbG8=?=`
+ * 
+ * Adjacent encoded words are joined before decoding, so multi-byte
+ * characters split across words come out intact.
+ * 
+ * @param {string} value - Header value
+ * @returns {string} Decoded value
+ */
+function decodeMimeWords(value = "") {
+  if (!value || typeof value !== 'string') return "";
+  if (!value.includes('=?')) return value;
+
+  const wordRegex = /=\?([^?\s]+)\?([bBqQ])\?([^?\s]*)\?=/g;
+  let result = "";
+  let lastIndex = 0;
+  let pending = null;
+  let match;
+
+  const flush = () => {
+    if (pending) result += decodeCharset(Buffer.concat(pending.chunks), pending.charset);
+    pending = null;
+  };
+
+  while ((match = wordRegex.exec(value)) !== null) {
+    const between = value.slice(lastIndex, match.index);
+    // Whitespace between two encoded words is not displayed (RFC 2047 section 6.2)
+    if (!pending || !/^\s*$/.test(between)) {
+      flush();
+      result += between;
+    }
+
+    // Drop the RFC 2231 language suffix (UTF-8*en)
+    const charset = match[1].split('*')[0].toLowerCase();
+    const bytes = match[2].toUpperCase() === 'B'
+      ? Buffer.from(match[3], "base64")
+      : Buffer.from(
+        match[3]
+          .replace(/_/g, ' ')
+          .replace(/=([0-9A-Fa-f]{2})/g, (hex, code) => String.fromCharCode(parseInt(code, 16))),
+        "latin1"
+      );
+
+    if (pending && pending.charset !== charset) flush();
+    if (!pending) pending = { charset, chunks: [] };
+    pending.chunks.push(bytes);
+    lastIndex = wordRegex.lastIndex;
+  }
+
+  flush();
+  return result + value.slice(lastIndex);
+}
+
+// Guards against maliciously deep multipart nesting
+const MAX_MIME_DEPTH = 20;
+
+/**
+ * Split a header block into unfolded [name, value] pairs
+ * @param {string} headerText - Header block (without the blank line)
+ * @returns {Array} Headers as [name, value] pairs, in message order
+ */
+function parseHeaderBlock(headerText) {
+  const pairs = [];
+  headerText.split(/\r?\n/).forEach(line => {
+    if (/^[ \t]/.test(line) && pairs.length > 0) {
+      // Folded continuation of the previous header
+      pairs[pairs.length - 1][1] += ` ${line.trim()}`;
+      return;
+    }
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      pairs.push([line.slice(0, colon).trim(), line.slice(colon + 1).trim()]);
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Split a MIME entity into headers and body
+ * @param {string} raw - Entity as a binary (latin1) string
+ * @returns {Object} { headerPairs, body } - body is still a binary string
+ */
+function splitEntity(raw) {
+  const separator = /\r?\n\r?\n/.exec(raw);
+  const headerEnd = separator ? separator.index : raw.length;
+  const bodyStart = separator ? separator.index + separator[0].length : raw.length;
+  // Blank first line: no headers at all
+  const hasHeaders = !/^\r?\n/.test(raw);
+
+  // Header bytes are decoded as UTF-8 (RFC 6532); encoded words are decoded later
+  const headerText = hasHeaders
+    ? Buffer.from(raw.slice(0, headerEnd), "latin1").toString("utf8")
+    : "";
+
+  return {
+    headerPairs: parseHeaderBlock(headerText),
+    body: hasHeaders ? raw.slice(bodyStart) : raw.replace(/^\r?\n/, ''),
+  };
+}
+
+/**
+ * Decode a transfer-encoded body
+ * @param {string} body - Body as a binary (latin1) string
+ * @param {string} encoding - Content-Transfer-Encoding
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeTransferEncoding(body, encoding = "7bit") {
+  switch (String(encoding).trim().toLowerCase()) {
+    case "base64":
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), "base64");
+    case "quoted-printable":
+      return Buffer.from(
+        body
+          .replace(/[\t ]+(?=\r?\n|$)/g, '')
+          .replace(/=\r?\n/g, '')
+          .replace(/=([0-9A-Fa-f]{2})/g, (hex, code) => String.fromCharCode(parseInt(code, 16))),
+        "latin1"
+      );
+    default:
+      // 7bit, 8bit, binary
+      return Buffer.from(body, "latin1");
+  }
+}
+
+/**
+ * Split a multipart body into its parts
+ * @param {string} body - Multipart body as a binary (latin1) string
+ * @param {string} boundary - Boundary parameter
+ * @returns {Array<string>} Raw parts (preamble and epilogue dropped)
+ */
+function splitMultipartBody(body, boundary) {
+  const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // The line break before a boundary belongs to the boundary (RFC 2046 section 5.1.1)
+  const boundaryRegex = new RegExp(`(?:^|\\r?\\n)--${escaped}(--)?[ \\t]*(?=\\r?\\n|$)`, 'g');
+  const parts = [];
+  let partStart = -1;
+  let match;
+
+  while ((match = boundaryRegex.exec(body)) !== null) {
+    if (partStart !== -1) parts.push(body.slice(partStart, match.index));
+    if (match[1]) return parts;
+    // Skip the line break that ends the boundary line
+    partStart = boundaryRegex.lastIndex + (body[boundaryRegex.lastIndex] === '\r' ? 2 : 1);
+  }
+
+  // No closing boundary: keep what was received
+  if (partStart !== -1 && partStart <= body.length) parts.push(body.slice(partStart));
+  return parts;
+}
+
+/**
+ * Walk a MIME entity, collecting bodies and attachments
+ * @param {string} raw - Entity as a binary (latin1) string
+ * @param {Object} result - Accumulator { text, html, files }
+ * @param {number} depth - Nesting depth
+ * @param {string} defaultType - Content-Type when the entity has none
+ */
+function walkMimeEntity(raw, result, depth, defaultType = "text/plain") {
+  const { headerPairs, body } = splitEntity(raw);
+  const contentType = parseHeaderParams(findHeader(headerPairs, 'Content-Type') || defaultType);
+  const disposition = parseHeaderParams(findHeader(headerPairs, 'Content-Disposition') || "");
+  const transferEncoding = findHeader(headerPairs, 'Content-Transfer-Encoding') || "7bit";
+  const filename = disposition.params.filename || contentType.params.name;
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < MAX_MIME_DEPTH) {
+    // Parts of multipart/digest default to message/rfc822 (RFC 2046 section 5.1.5)
+    const childType = contentType.value === 'multipart/digest' ? "message/rfc822" : "text/plain";
+    splitMultipartBody(body, contentType.params.boundary)
+      .forEach(part => walkMimeEntity(part, result, depth + 1, childType));
+    return;
+  }
+
+  const content = decodeTransferEncoding(body, transferEncoding);
+  const isBodyText = (contentType.value === 'text/plain' || contentType.value === 'text/html') &&
+    disposition.value !== 'attachment' && !filename;
+
+  if (isBodyText) {
+    const decoded = decodeCharset(content, contentType.params.charset);
+    if (contentType.value === 'text/html') {
+      result.html += decoded;
+    } else {
+      result.text += result.text ? `\n${decoded}` : decoded;
+    }
+    return;
+  }
+
+  const extensionFor = { 'message/rfc822': 'eml', 'text/calendar': 'ics' };
+  const name = filename
+    ? decodeMimeWords(filename)
+    : `attachment-${result.files.length + 1}${extensionFor[contentType.value] ? `.${extensionFor[contentType.value]}` : ''}`;
+
+  result.files.push({
+    fieldname: null,
+    originalname: name,
+    encoding: transferEncoding.toLowerCase(),
+    mimetype: contentType.value || "application/octet-stream",
+    size: content.length,
+    buffer: content,
+    disposition: disposition.value || null,
+    contentId: findHeader(headerPairs, 'Content-ID') || null,
+  });
+}
+
+/**
+ * Parse a raw message into headers, bodies and multer-shaped files
+ * @param {Buffer|string} input - Raw RFC 5322 message
+ * @returns {Object} { headerPairs, text, html, files }
+ */
+function parseMimeParts(input) {
+  const raw = Buffer.isBuffer(input)
+    ? input.toString("latin1")
+    : Buffer.from(String(input || ""), "utf8").toString("latin1");
+  const { headerPairs } = splitEntity(raw);
+  const result = { text: "", html: "", files: [] };
+
+  walkMimeEntity(raw, result, 0);
+
+  return { headerPairs, ...result };
+}
+
+/**
+ * Parse a raw RFC 5322/MIME message into emailData
+ * 
+ * Produces the same emailData shape as processEmailData() does for
+ * Mailgun's pre-parsed fields. Handles nested multiparts, base64 and
+ * quoted-printable transfer encodings, charsets (converted to UTF-8),
+ * RFC 2047 encoded headers and RFC 2231 filenames. Attachments, including
+ * inline images and attached messages, are returned with their buffers.
+ * 
+ * Use it for Mailgun routes that forward raw MIME (`body-mime`) or for
+ * `.eml` files.
+ * 
+ * @param {Buffer|string} buffer - Raw message
+ * @param {Object} options - Parsing options (optional)
+ * @param {Object} options.attachmentPolicy - Drop or quarantine unsafe attachments (see applyAttachmentPolicy)
+ * @returns {Object} emailData
+ * 
+ * @example
+ * const fs = require('fs');
+ * const { parseMimeMessage } = require('node-inbound-email');
+ * 
+ * const emailData = parseMimeMessage(fs.readFileSync('./message.eml'));
+ * console.log(emailData.subject, emailData.attachments.length);
+ */
+function parseMimeMessage(buffer, options = {}) {
+  const { headerPairs, text, html, files } = parseMimeParts(buffer);
+
+  return buildEmailData({
+    headerPairs,
+    from: findHeader(headerPairs, 'From'),
+    subject: decodeMimeWords(findHeader(headerPairs, 'Subject')),
+    text,
+    html,
+    files,
+    attachmentPolicy: options.attachmentPolicy || null,
+  });
+}
+
+/**
+ * Process email data from Mailgun webhook request
+ * 
+ * This function processes the raw Express request body and files
+ * to extract and structure email data for manual processing.
+ * 
+ * Routes that forward raw MIME (`body-mime` field, e.g. a /mime URL) are
+ * parsed with parseMimeMessage(); sender, recipient and subject fields
+ * sent by Mailgun still take precedence over the message headers.
+ * 
+ * Retried deliveries are not detected here; check getDedupeKey(emailData)
+ * against a store before acting on the message (createInboundHandler
+ * does this for you).
+ * 
+ * @param {Object} req - Express request object with body and files
+ * @param {Object} req.body - Request body containing email fields
+ * @param {Array} req.files - Array of uploaded files (attachments)
+ * @param {Object} options - Processing options (optional)
+ * @param {Object} options.attachmentPolicy - Drop or quarantine unsafe attachments (see applyAttachmentPolicy)
+ * @returns {Object} Processed email data with token, timestamp, signature
+ * @returns {Object} return.emailData - Structured email data
+ * @returns {string} return.token - Mailgun token
+ * @returns {string} return.timestamp - Request timestamp
+ * @returns {string} return.signature - Mailgun signature
+ * @throws {Error} If request body is invalid
+ * 
+ * @example
+ * const { processEmailData } = require('node-inbound-email');
+ * const { emailData } = processEmailData(req);
+ * console.log(emailData.from, emailData.subject);
+ */
+function processEmailData(req, options = {}) {
+  const { attachmentPolicy = null } = options;
+
+  if (!req || !req.body) {
+    throw new Error("Invalid request: missing body");
+  }
+
+  const {
+    token,
+    timestamp,
+    signature,
+    sender,
+    from,
+    subject,
+    recipient,
+    cc,
+    "body-plain": bodyPlain,
+    "body-html": bodyHtml,
+    "body-mime": bodyMime,
+    "stripped-text": strippedText,
+    "stripped-html": strippedHtml,
+    "message-headers": messageHeaders,
+    "attachment-count": attachmentCount,
+    "content-id-map": contentIdMap,
   } = req.body;
 
-  // Process attachments metadata with buffers for manual processing
-  const processedAttachments = (req.files || []).map((file, index) => ({
-    filename: file.originalname || `attachment-${Date.now()}-${index}`,
-    originalname: file.originalname || null,
-    mimetype: file.mimetype || "application/octet-stream",
-    size: file.size || 0,
-    extension: file.originalname 
-      ? file.originalname.split('.').pop().toLowerCase() 
-      : null,
-    encoding: file.encoding || null,
-    fieldname: file.fieldname || null,
-    buffer: file.buffer || null, // Include buffer for manual processing
-  }));
+  let emailData;
+
+  if (bodyMime) {
+    const mime = parseMimeParts(bodyMime);
+    const files = [...mime.files, ...(req.files || [])];
+
+    emailData = buildEmailData({
+      headerPairs: mime.headerPairs,
+      from: sender || from || findHeader(mime.headerPairs, 'From'),
+      fromHeader: from || findHeader(mime.headerPairs, 'From'),
+      to: recipient,
+      cc,
+      subject: subject || decodeMimeWords(findHeader(mime.headerPairs, 'Subject')),
+      text: mime.text,
+      html: mime.html,
+      files,
+      attachmentPolicy,
+    });
+  } else {
+    const headerPairs = parseHeaders(messageHeaders)
+      .filter(header => Array.isArray(header) && header.length >= 2);
+    // Files referenced from body-html are the message's inline parts
+    const contentIds = parseContentIdMap(contentIdMap);
+    const files = (req.files || []).map(file => contentIds[file.fieldname]
+      ? { ...file, contentId: contentIds[file.fieldname], disposition: 'inline' }
+      : file);
+
+    emailData = buildEmailData({
+      headerPairs,
+      from: sender || from,
+      fromHeader: from,
+      to: recipient,
+      cc,
+      subject,
+      text: bodyPlain || strippedText,
+      html: bodyHtml || strippedHtml,
+      files,
+      attachmentCount: attachmentCount || 0,
+      attachmentPolicy,
+    });
+  }
+
+  return {
+    emailData,
+    token,
+    timestamp,
+    signature,
+  };
+}
+
+// Defaults sized for Mailgun's 25MB message limit plus multipart overhead
+const DEFAULT_INBOUND_LIMITS = {
+  maxBodySize: 30 * 1024 * 1024, // Whole request body
+  maxFileSize: 25 * 1024 * 1024, // Single attachment
+  maxFiles: 100, // Number of attachments
+  maxFields: 100, // Number of non-file form fields
+  maxFieldSize: 25 * 1024 * 1024, // Single form field (body-mime can be as large as the message)
+  maxHeaderSize: 16 * 1024, // Headers of a single multipart part
+  storageTimeout: 60 * 1000, // Milliseconds to wait for storage to accept more of an attachment
+};
+
+/**
+ * Create an error carrying the HTTP status the inbound handler answers with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} code - Machine readable error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode and code properties
+ */
+function createHttpError(statusCode, code, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Decode bytes using a MIME charset label, falling back to UTF-8
+ * @param {Buffer} buffer - Raw bytes
+ * @param {string} charset - Charset label (e.g. 'utf-8', 'iso-8859-1')
+ * @returns {string} Decoded text
+ */
+function decodeCharset(buffer, charset = "utf-8") {
+  const label = String(charset || "utf-8").trim().toLowerCase();
+  try {
+    return new TextDecoder(label).decode(buffer);
+  } catch {
+    // Unknown label, or Node.js built without full ICU
+    return buffer.toString(/^(us-)?ascii$|^iso-8859-1$|^latin1$/.test(label) ? "latin1" : "utf8");
+  }
+}
+
+/**
+ * Percent-decode an RFC 2231 extended parameter segment into bytes
+ * @param {string} value - Encoded segment
+ * @returns {Buffer} Decoded bytes
+ */
+function percentDecode(value) {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '%' && /^[0-9a-fA-F]{2}$/.test(value.substr(i + 1, 2))) {
+      bytes.push(parseInt(value.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(value[i]));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Parse a header value with parameters, e.g. `form-data; name="a"; filename="b.txt"`
+ * 
+ * Supports quoted values with backslash escapes, RFC 2231/5987 extended
+ * values (`filename*=UTF-8''na%C3%AFve.txt`) and continuations
+ * (`filename*0*=...; filename*1*=...`). Extended values take precedence
+ * over plain ones.
+ * 
+ * @param {string} value - Header value
+ * @returns {Object} { value, params } - value and param names are lower-cased
+ */
+function parseHeaderParams(value = "") {
+  const separator = value.indexOf(';');
+  const main = (separator === -1 ? value : value.slice(0, separator)).trim().toLowerCase();
+  const params = {};
+  const extended = {};
+  const paramRegex = /;\s*([^\s=;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  let match;
+
+  while ((match = paramRegex.exec(value)) !== null) {
+    const raw = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+    const nameMatch = match[1].toLowerCase().match(/^(.+?)(?:\*(\d+))?(\*)?$/);
+    const [, name, section, encoded] = nameMatch;
+
+    if (section === undefined && !encoded) {
+      params[name] = raw;
+      continue;
+    }
+
+    if (!extended[name]) extended[name] = [];
+    extended[name][Number(section || 0)] = { raw, encoded: Boolean(encoded) };
+  }
+
+  Object.keys(extended).forEach(name => {
+    let charset = "utf-8";
+    const chunks = extended[name].filter(Boolean).map((segment, index) => {
+      if (!segment.encoded) return Buffer.from(segment.raw, "utf8");
+      let encodedValue = segment.raw;
+      // Only the first segment carries charset'language'
+      const prefix = index === 0 && encodedValue.match(/^([^']*)'[^']*'/);
+      if (prefix) {
+        charset = prefix[1] || charset;
+        encodedValue = encodedValue.slice(prefix[0].length);
+      }
+      return percentDecode(encodedValue);
+    });
+    params[name] = decodeCharset(Buffer.concat(chunks), charset);
+  });
+
+  return { value: main, params };
+}
+
+/**
+ * Add a parsed form field, turning repeated names into arrays
+ * @param {Object} fields - Fields collected so far
+ * @param {string} name - Field name
+ * @param {string} value - Field value
+ */
+function appendField(fields, name, value) {
+  if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+    fields[name] = value;
+  } else if (Array.isArray(fields[name])) {
+    fields[name].push(value);
+  } else {
+    fields[name] = [fields[name], value];
+  }
+}
+
+/**
+ * Default storage key for an attachment: attachments/<date>/<random>/<filename>
+ * @param {Object} file - File metadata (originalname)
+ * @returns {string} Storage key
+ */
+function defaultStorageKey(file) {
+  const date = new Date().toISOString().slice(0, 10);
+  const id = crypto.randomBytes(16).toString("hex");
+  return `attachments/${date}/${id}/${sanitizeFilename(file.originalname)}`;
+}
+
+/**
+ * Create a storage adapter that writes attachments to the local filesystem
+ * 
+ * Storage adapter interface (implement it for other backends):
+ * - put(key, stream, { contentType, filename }): consume the readable
+ *   stream and store it under key. Returns a Promise.
+ * - get(key): Promise resolving to a readable stream of the content.
+ * - delete(key): remove the content (optional). Returns a Promise.
+ * 
+ * Files are written to a temporary name and renamed once complete, so a
+ * failed upload never leaves a partial file under its key.
+ * 
+ * @param {Object} options - Adapter options
+ * @param {string} options.directory - Root directory for stored files
+ * @returns {Object} Storage adapter with put, get and delete
+ * 
+ * @example
+ * const { createLocalStorage, createInboundHandler } = require('node-inbound-email');
+ * 
+ * app.post('/webhook/inbound', createInboundHandler({
+ *   storage: createLocalStorage({ directory: '/var/mail/attachments' }),
+ *   onEmail: async (emailData) => db.emails.create(emailData),
+ * }));
+ */
+function createLocalStorage(options = {}) {
+  if (!options.directory) {
+    throw new Error("Local storage requires a directory");
+  }
+  const root = path.resolve(options.directory);
+
+  function resolveKey(key) {
+    const filePath = path.resolve(root, String(key));
+    if (!filePath.startsWith(root + path.sep)) {
+      const error = new Error(`Storage key escapes the storage directory: ${key}`);
+      error.code = 'INVALID_STORAGE_KEY';
+      throw error;
+    }
+    return filePath;
+  }
+
+  return {
+    async put(key, stream) {
+      const filePath = resolveKey(key);
+      const tempPath = `${filePath}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        await pipeline(stream, fs.createWriteStream(tempPath, { flags: 'wx' }));
+        await fs.promises.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+      }
+      return { key, path: filePath };
+    },
+    async get(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Percent-encode a string as required by AWS Signature Version 4
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign an HTTP request with AWS Signature Version 4
+ * @param {Object} request - { method, host, path (encoded), query, headers, payload }
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken }
+ * @param {string} region - AWS region
+ * @param {string} service - AWS service name (e.g. 's3')
+ * @param {Date} date - Signing time (default: now)
+ * @returns {Object} Headers including Authorization
+ */
+function signAwsRequest(request, credentials, region, service, date = new Date()) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const scope = `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`;
+  const payloadHash = crypto.createHash("sha256").update(request.payload || "").digest("hex");
+
+  const headers = {
+    ...request.headers,
+    host: request.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash,
+  };
+  if (credentials.sessionToken) headers['x-amz-security-token'] = credentials.sessionToken;
+
+  const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowerCased = Object.keys(headers).reduce((all, name) => {
+    all[name.toLowerCase()] = String(headers[name]).trim().replace(/\s+/g, ' ');
+    return all;
+  }, {});
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [
+    request.method,
+    request.path,
+    request.query || "",
+    names.map(name => `${name}:${lowerCased[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash("sha256").update(canonicalRequest).digest("hex"),
+  ].join("\n");
+
+  const signingKey = [amzDate.slice(0, 8), region, service, 'aws4_request']
+    .reduce((key, part) => crypto.createHmac("sha256", key).update(part).digest(), `AWS4${credentials.secretAccessKey}`);
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Read the first occurrence of an XML element's text
+ * @param {string} xml - XML document
+ * @param {string} name - Element name
+ * @returns {string|null} Element text (entities decoded)
+ */
+function readXmlElement(xml, name) {
+  const match = new RegExp(`<${name}>([^<]*)</${name}>`).exec(xml);
+  if (!match) return null;
+  return match[1]
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// S3 rejects multipart parts smaller than 5MB (except the last one)
+const S3_MIN_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Create a storage adapter for S3 and S3-compatible services
+ * 
+ * Talks to the S3 REST API directly (Signature Version 4 over http/https),
+ * so it also works with MinIO, Cloudflare R2, DigitalOcean Spaces or a
+ * local stand-in such as LocalStack. Uploads are streamed: content smaller
+ * than one part is sent with a single PUT, anything larger as a multipart
+ * upload, holding at most one part in memory. Failed multipart uploads
+ * are aborted.
+ * 
+ * @param {Object} options - Adapter options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Region (default: AWS_REGION env var or 'us-east-1')
+ * @param {string} options.endpoint - Endpoint URL for S3-compatible services, e.g. 'http://localhost:9000' (default: AWS)
+ * @param {string} options.accessKeyId - Access key (default: AWS_ACCESS_KEY_ID env var)
+ * @param {string} options.secretAccessKey - Secret key (default: AWS_SECRET_ACCESS_KEY env var)
+ * @param {string} options.sessionToken - Session token for temporary credentials (default: AWS_SESSION_TOKEN env var)
+ * @param {boolean} options.forcePathStyle - Use /bucket/key URLs instead of bucket subdomains (default: true when endpoint is set)
+ * @param {number} options.partSize - Multipart part size in bytes (default and minimum: 5MB)
+ * @param {number} options.timeout - Socket timeout per request in milliseconds (default: 60000)
+ * @returns {Object} Storage adapter with put, get and delete
+ * 
+ * @example
+ * const { createS3Storage, createInboundHandler } = require('node-inbound-email');
+ * 
+ * const storage = createS3Storage({ bucket: 'inbound-attachments', region: 'eu-west-1' });
+ * 
+ * // MinIO / LocalStack
+ * const local = createS3Storage({
+ *   bucket: 'test',
+ *   endpoint: 'http://localhost:9000',
+ *   accessKeyId: 'minioadmin',
+ *   secretAccessKey: 'minioadmin',
+ * });
+ */
+function createS3Storage(options = {}) {
+  const {
+    bucket,
+    region = process.env.AWS_REGION || "us-east-1",
+    endpoint = null,
+    accessKeyId = process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken = process.env.AWS_SESSION_TOKEN,
+    forcePathStyle = Boolean(endpoint),
+    partSize = S3_MIN_PART_SIZE,
+    timeout = 60000,
+  } = options;
+
+  if (!bucket) {
+    throw new Error("S3 storage requires a bucket");
+  }
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error("S3 storage requires accessKeyId and secretAccessKey (or AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY)");
+  }
+  if (partSize < S3_MIN_PART_SIZE) {
+    throw new Error(`S3 partSize must be at least ${S3_MIN_PART_SIZE} bytes`);
+  }
+
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const host = forcePathStyle ? baseUrl.host : `${bucket}.${baseUrl.host}`;
+  const basePath = baseUrl.pathname.replace(/\/$/, '');
+  const transport = baseUrl.protocol === 'http:' ? http : https;
+  const credentials = { accessKeyId, secretAccessKey, sessionToken };
+
+  function send(method, key, { query = {}, headers = {}, payload = null, stream = false } = {}) {
+    const objectPath = String(key).split('/').map(encodeRfc3986).join('/');
+    const requestPath = forcePathStyle ? `${basePath}/${encodeRfc3986(bucket)}/${objectPath}` : `${basePath}/${objectPath}`;
+    const queryString = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+      .join('&');
+    const body = payload || Buffer.alloc(0);
+    const signedHeaders = signAwsRequest({
+      method,
+      host,
+      path: requestPath,
+      query: queryString,
+      headers: { ...headers, 'content-length': body.length },
+      payload: body,
+    }, credentials, region, 's3');
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request({
+        protocol: baseUrl.protocol,
+        hostname: forcePathStyle ? baseUrl.hostname : `${bucket}.${baseUrl.hostname}`,
+        port: baseUrl.port || undefined,
+        method,
+        path: queryString ? `${requestPath}?${queryString}` : requestPath,
+        headers: signedHeaders,
+      }, response => {
+        if (stream && response.statusCode < 300) return resolve(response);
+
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('error', reject);
+        response.on('end', () => {
+          const text = Buffer.concat(chunks).toString("utf8");
+          // CompleteMultipartUpload can fail with a 200 status and an error document
+          if (response.statusCode >= 300 || /^(<\?xml[^>]*>\s*)?<Error>/.test(text)) {
+            const error = new Error(`S3 ${method} ${key} failed: ${readXmlElement(text, 'Message') || `HTTP ${response.statusCode}`}`);
+            error.statusCode = response.statusCode;
+            error.code = readXmlElement(text, 'Code') || 'S3_ERROR';
+            return reject(error);
+          }
+          resolve({ headers: response.headers, body: text });
+        });
+      });
+      request.setTimeout(timeout, () => request.destroy(new Error(`S3 ${method} ${key} timed out`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  return {
+    async put(key, stream, { contentType = "application/octet-stream" } = {}) {
+      let chunks = [];
+      let buffered = 0;
+      let uploadId = null;
+      const parts = [];
+
+      const uploadPart = async () => {
+        const partNumber = parts.length + 1;
+        const response = await send('PUT', key, {
+          query: { partNumber, uploadId },
+          payload: Buffer.concat(chunks),
+        });
+        parts.push({ partNumber, etag: response.headers.etag });
+        chunks = [];
+        buffered = 0;
+      };
+
+      try {
+        for await (const chunk of stream) {
+          chunks.push(chunk);
+          buffered += chunk.length;
+          if (buffered >= partSize) {
+            if (!uploadId) {
+              const created = await send('POST', key, { query: { uploads: '' }, headers: { 'content-type': contentType } });
+              uploadId = readXmlElement(created.body, 'UploadId');
+            }
+            await uploadPart();
+          }
+        }
+
+        if (!uploadId) {
+          await send('PUT', key, { headers: { 'content-type': contentType }, payload: Buffer.concat(chunks) });
+          return { key };
+        }
+
+        if (buffered > 0) await uploadPart();
+        const manifest = parts
+          .map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`)
+          .join('');
+        await send('POST', key, {
+          query: { uploadId },
+          headers: { 'content-type': 'application/xml' },
+          payload: Buffer.from(`<CompleteMultipartUpload>${manifest}</CompleteMultipartUpload>`),
+        });
+        return { key };
+      } catch (error) {
+        if (uploadId) {
+          await send('DELETE', key, { query: { uploadId } }).catch(() => {});
+        }
+        throw error;
+      }
+    },
+    async get(key) {
+      return send('GET', key, { stream: true });
+    },
+    async delete(key) {
+      await send('DELETE', key);
+    },
+  };
+}
+
+/**
+ * Upload buffered attachments to a storage adapter
+ * 
+ * Use it to move attachments that were parsed into memory (multer, raw
+ * MIME) to storage. Attachments that already have a storageKey, or no
+ * buffer, are returned unchanged.
+ * 
+ * @param {Array} attachments - Attachments from emailData
+ * @param {Object} storage - Storage adapter (see createLocalStorage)
+ * @param {Object} options - Options (optional)
+ * @param {Function} options.generateKey - (file) => storage key (default: attachments/<date>/<random>/<filename>)
+ * @returns {Promise<Array>} Attachments with storageKey set and buffer null
+ */
+async function storeAttachments(attachments, storage, options = {}) {
+  const { generateKey = defaultStorageKey } = options;
+  const stored = [];
+
+  for (const attachment of attachments || []) {
+    if (attachment.storageKey || !attachment.buffer) {
+      stored.push(attachment);
+      continue;
+    }
+    const storageKey = generateKey(attachment);
+    const stream = new PassThrough();
+    stream.end(attachment.buffer);
+    await storage.put(storageKey, stream, { contentType: attachment.mimetype, filename: attachment.filename });
+    stored.push({ ...attachment, storageKey, buffer: null });
+  }
+
+  return stored;
+}
+
+/**
+ * Move an emailData's attachments to storage
+ * 
+ * Buffered attachments (raw MIME, multer) and quarantined ones are
+ * uploaded; dropped attachments that were already streamed to storage are
+ * deleted again.
+ * 
+ * @param {Object} emailData - emailData (attachments and blockedAttachments are replaced)
+ * @param {Object} storage - Storage adapter
+ * @param {Object} options - { generateKey } (optional)
+ * @returns {Promise<Object>} emailData
+ */
+async function persistAttachments(emailData, storage, options = {}) {
+  const dropped = emailData.blockedAttachments.filter(attachment => attachment.action === 'dropped');
+  for (const attachment of dropped) {
+    if (attachment.storageKey && storage.delete) await storage.delete(attachment.storageKey);
+  }
+
+  emailData.attachments = await storeAttachments(emailData.attachments, storage, options);
+  emailData.blockedAttachments = [
+    ...await storeAttachments(emailData.blockedAttachments.filter(attachment => attachment.action !== 'dropped'), storage, options),
+    ...dropped.map(attachment => ({ ...attachment, storageKey: null })),
+  ];
+  return emailData;
+}
+
+/**
+ * Stream a multipart/form-data request and collect its fields and files
+ * 
+ * Files are returned in the same shape as multer's memory storage
+ * (fieldname, originalname, encoding, mimetype, size, buffer), so the
+ * result can be passed to processEmailData() unchanged.
+ * 
+ * With a storage adapter, each file is piped to storage as it arrives
+ * (the request is paused while storage catches up, for at most
+ * limits.storageTimeout) and returned with storageKey, sha256 and
+ * detectedType instead of a buffer. If parsing or an upload fails, files
+ * already stored are deleted.
+ * 
+ * With verifyFields, nothing reaches storage before the request is known
+ * to come from Mailgun: files are only streamed once the token, timestamp
+ * and signature fields have arrived, and their uploads wait for
+ * verifyFields to accept them (the request is rejected with 401 when it
+ * does not). Files that arrive before those fields are buffered.
+ * 
+ * @param {Object} req - Readable request stream
+ * @param {string} boundary - Multipart boundary from the Content-Type header
+ * @param {Object} limits - Limits (see DEFAULT_INBOUND_LIMITS)
+ * @param {Object} storageOptions - { storage, generateKey, verifyFields, logger } (optional, files are buffered without storage)
+ * @returns {Promise<Object>} { fields, files }
+ */
+function parseMultipart(req, boundary, limits, storageOptions = {}) {
+  const { storage = null, generateKey = defaultStorageKey, verifyFields = null } = storageOptions;
+  const log = getComponentLogger(storageOptions, 'InboundParser');
+
+  return new Promise((resolve, reject) => {
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    const headerEnd = Buffer.from("\r\n\r\n");
+    const fields = {};
+    const files = [];
+    let fieldCount = 0;
+    // The first boundary is not preceded by CRLF; prepend one so every
+    // boundary can be matched with the same delimiter
+    let pending = Buffer.from("\r\n");
+    let state = 'preamble';
+    let part = null;
+    let received = 0;
+    let settled = false;
+    let drainTimer = null;
+    let signatureCheck = null;
+    const uploads = [];
+
+    // Delete whatever was stored for a request that is being rejected
+    function discardUploads() {
+      if (part && part.stream) part.stream.destroy(new Error("Upload aborted"));
+      Promise.all(uploads.map(upload => upload.promise.then(() => upload.key, () => null)))
+        .then(keys => Promise.all(keys.filter(Boolean).map(key => storage.delete && storage.delete(key))))
+        .catch(error => {
+          log.warn('Failed to delete stored attachments of a rejected request', {
+            error: error.message,
+          });
+        });
+    }
+
+    function fail(error) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(drainTimer);
+      req.removeListener('data', onData);
+      req.removeListener('end', onEnd);
+      if (uploads.length) discardUploads();
+      reject(error);
+    }
+
+    function startPart(headerBlock) {
+      const headers = {};
+      headerBlock.toString("utf8").split("\r\n").forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      });
+
+      const disposition = parseHeaderParams(headers['content-disposition']);
+      const contentType = parseHeaderParams(headers['content-type'] || "text/plain");
+      const name = disposition.params.name;
+      if (!name) throw createHttpError(400, 'MALFORMED_MULTIPART', 'Multipart part without a field name');
+
+      if (disposition.params.filename !== undefined) {
+        if (files.length >= limits.maxFiles) {
+          throw createHttpError(406, 'LIMIT_FILE_COUNT', `Too many attachments (limit: ${limits.maxFiles})`);
+        }
+        part = {
+          isFile: true,
+          name,
+          filename: disposition.params.filename,
+          mimetype: contentType.value || "application/octet-stream",
+          encoding: headers['content-transfer-encoding'] || "7bit",
+          chunks: [],
+          size: 0,
+        };
+        const gate = storage && checkSignature();
+        if (gate) startUpload(gate);
+      } else {
+        if (++fieldCount > limits.maxFields) {
+          throw createHttpError(406, 'LIMIT_FIELD_COUNT', `Too many fields (limit: ${limits.maxFields})`);
+        }
+        part = { isFile: false, name, charset: contentType.params.charset, chunks: [], size: 0 };
+      }
+    }
+
+    // Resolves once the signature fields are verified; null while they have not all arrived
+    function checkSignature() {
+      if (!verifyFields) return Promise.resolve();
+      if (!signatureCheck && ['token', 'timestamp', 'signature'].every(name => fields[name] !== undefined)) {
+        signatureCheck = Promise.resolve()
+          .then(() => verifyFields({ ...fields }))
+          .then(result => {
+            if (!result.valid) throw createHttpError(401, result.reason, 'Invalid signature');
+          });
+        signatureCheck.catch(fail);
+      }
+      return signatureCheck;
+    }
+
+    function startUpload(gate) {
+      const key = generateKey({ fieldname: part.name, originalname: part.filename, mimetype: part.mimetype });
+      const stream = new PassThrough();
+      const { filename, mimetype } = part;
+      // Aborts are reported through the upload promise; the adapter sees them on the stream
+      stream.on('error', () => {});
+      const promise = gate
+        .then(() => Promise.resolve()
+          .then(() => storage.put(key, stream, { contentType: mimetype, filename }))
+          .catch(error => {
+            throw createHttpError(503, 'STORAGE_FAILED', `Failed to store attachment "${filename}": ${error.message}`);
+          }))
+        .catch(error => {
+          stream.destroy();
+          throw error;
+        });
+      promise.catch(fail);
+
+      // Hash and sniff the content on the way through
+      Object.assign(part, { key, stream, hash: crypto.createHash("sha256"), head: Buffer.alloc(0) });
+      uploads.push({ key, promise });
+    }
+
+    function writePart(chunk) {
+      if (!chunk.length) return;
+      part.size += chunk.length;
+      if (part.isFile && part.size > limits.maxFileSize) {
+        throw createHttpError(406, 'LIMIT_FILE_SIZE', `Attachment "${part.filename}" exceeds ${limits.maxFileSize} bytes`);
+      }
+      if (!part.isFile && part.size > limits.maxFieldSize) {
+        throw createHttpError(406, 'LIMIT_FIELD_VALUE', `Field "${part.name}" exceeds ${limits.maxFieldSize} bytes`);
+      }
+      if (!part.stream) {
+        part.chunks.push(chunk);
+        return;
+      }
+
+      part.hash.update(chunk);
+      if (part.head.length < 512) part.head = Buffer.concat([part.head, chunk.slice(0, 512 - part.head.length)]);
+      // Backpressure: stop reading the request until storage catches up
+      if (!part.stream.write(chunk) && !req.isPaused()) {
+        const { filename } = part;
+        req.pause();
+        drainTimer = setTimeout(() => {
+          fail(createHttpError(503, 'STORAGE_TIMEOUT', `Storage did not accept attachment "${filename}" within ${limits.storageTimeout}ms`));
+        }, limits.storageTimeout);
+        part.stream.once('drain', () => {
+          clearTimeout(drainTimer);
+          if (!settled) req.resume();
+        });
+      }
+    }
+
+    function endPart() {
+      if (part.stream) {
+        part.stream.end();
+        files.push({
+          fieldname: part.name,
+          originalname: part.filename,
+          encoding: part.encoding,
+          mimetype: part.mimetype,
+          size: part.size,
+          buffer: null,
+          storageKey: part.key,
+          sha256: part.hash.digest("hex"),
+          detectedType: detectMimeType(part.head),
+        });
+        part = null;
+        return;
+      }
+
+      const buffer = Buffer.concat(part.chunks);
+      if (part.isFile) {
+        files.push({
+          fieldname: part.name,
+          originalname: part.filename,
+          encoding: part.encoding,
+          mimetype: part.mimetype,
+          size: buffer.length,
+          buffer,
+        });
+      } else if (part.name === 'body-mime') {
+        // Raw messages are bytes; decoding them here would corrupt 8-bit non-UTF-8 parts
+        appendField(fields, part.name, buffer);
+      } else {
+        appendField(fields, part.name, decodeCharset(buffer, part.charset));
+      }
+      part = null;
+    }
+
+    // Consume as much of the pending buffer as the current state allows
+    function processPending() {
+      for (;;) {
+        if (state === 'preamble' || state === 'body') {
+          const index = pending.indexOf(delimiter);
+          if (index === -1) {
+            // Keep enough bytes to match a delimiter split across chunks
+            const safe = pending.length - delimiter.length + 1;
+            if (safe > 0) {
+              if (state === 'body') writePart(pending.slice(0, safe));
+              pending = pending.slice(safe);
+            }
+            return;
+          }
+          if (state === 'body') {
+            writePart(pending.slice(0, index));
+            endPart();
+          }
+          pending = pending.slice(index + delimiter.length);
+          state = 'boundary';
+        } else if (state === 'boundary') {
+          if (pending.length < 2) return;
+          const marker = pending.slice(0, 2).toString("latin1");
+          if (marker === '--') {
+            state = 'epilogue';
+            return;
+          }
+          // Transport padding (spaces/tabs) may follow the boundary
+          const lineEnd = pending.indexOf("\r\n");
+          if (lineEnd === -1) return;
+          if (pending.slice(0, lineEnd).toString("latin1").trim() !== "") {
+            throw createHttpError(400, 'MALFORMED_MULTIPART', 'Malformed multipart boundary');
+          }
+          pending = pending.slice(lineEnd + 2);
+          state = 'headers';
+        } else if (state === 'headers') {
+          const index = pending.indexOf(headerEnd);
+          if (index === -1) {
+            if (pending.length > limits.maxHeaderSize) {
+              throw createHttpError(406, 'LIMIT_HEADER_SIZE', 'Multipart part headers too large');
+            }
+            return;
+          }
+          startPart(pending.slice(0, index));
+          pending = pending.slice(index + headerEnd.length);
+          state = 'body';
+        } else {
+          // Epilogue: ignore anything after the closing boundary
+          pending = Buffer.alloc(0);
+          return;
+        }
+      }
+    }
+
+    function onData(chunk) {
+      if (settled) return;
+      received += chunk.length;
+      try {
+        if (received > limits.maxBodySize) {
+          throw createHttpError(406, 'LIMIT_BODY_SIZE', `Request body exceeds ${limits.maxBodySize} bytes`);
+        }
+        pending = Buffer.concat([pending, chunk]);
+        processPending();
+      } catch (error) {
+        fail(error);
+      }
+    }
+
+    function onEnd() {
+      if (settled) return;
+      if (state !== 'epilogue') {
+        return fail(createHttpError(400, 'MALFORMED_MULTIPART', 'Unexpected end of multipart body'));
+      }
+      Promise.all(uploads.map(upload => upload.promise)).then(() => {
+        if (settled) return;
+        settled = true;
+        resolve({ fields, files });
+      }, fail);
+    }
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', fail);
+  });
+}
+
+/**
+ * Read a whole request body into a buffer, enforcing a size limit
+ * @param {Object} req - Readable request stream
+ * @param {number} maxBodySize - Maximum number of bytes
+ * @returns {Promise<Buffer>} Request body
+ */
+function readBody(req, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+
+    req.on('data', chunk => {
+      received += chunk.length;
+      if (received > maxBodySize) {
+        req.removeAllListeners('data');
+        return reject(createHttpError(406, 'LIMIT_BODY_SIZE', `Request body exceeds ${maxBodySize} bytes`));
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse a Mailgun inbound webhook request without extra dependencies
+ * 
+ * Handles multipart/form-data (what Mailgun sends for forwarded messages)
+ * and application/x-www-form-urlencoded bodies. Sets req.body to the form
+ * fields and req.files to multer-compatible file objects, so the request
+ * can be passed to verifyRequestSignature() and processEmailData() as if
+ * express.urlencoded() and multer had run.
+ * 
+ * Limit violations reject with an error whose statusCode is 406, which
+ * tells Mailgun not to retry (a message over the limits will not fit next
+ * time either). Malformed bodies reject with 400, other content types with 415.
+ * 
+ * @param {Object} req - Node.js/Express request (body not yet consumed)
+ * @param {Object} limits - Limits overriding DEFAULT_INBOUND_LIMITS (optional)
+ * @param {number} limits.maxBodySize - Whole request body in bytes (default: 30MB)
+ * @param {number} limits.maxFileSize - Single attachment in bytes (default: 25MB)
+ * @param {number} limits.maxFiles - Number of attachments (default: 100)
+ * @param {number} limits.maxFields - Number of form fields (default: 100)
+ * @param {number} limits.maxFieldSize - Single form field in bytes (default: 25MB)
+ * @param {number} limits.storageTimeout - Milliseconds to wait for storage to accept more of an attachment (default: 60000)
+ * @param {Object} options - Storage options (optional)
+ * @param {Object} options.storage - Storage adapter; attachments are streamed to it instead of buffered (see createLocalStorage)
+ * @param {Function} options.generateKey - (file) => storage key (default: attachments/<date>/<random>/<filename>)
+ * @param {Function} options.verifyFields - async (fields) => { valid, reason }; attachments are only streamed to storage
+ *   after it accepted the fields received so far, earlier ones are buffered (see parseMultipart)
+ * @param {Object|false} options.logger - Logger (see createLogger)
+ * @returns {Promise<Object>} { fields, files }
+ * @throws {Error} With statusCode and code (e.g. 'LIMIT_FILE_SIZE') when the body is rejected;
+ *   401 when verifyFields rejects the signature fields;
+ *   503 with code 'STORAGE_FAILED' or 'STORAGE_TIMEOUT' when an attachment cannot be stored (Mailgun retries)
+ * 
+ * @example
+ * const { parseInboundRequest, processEmailData } = require('node-inbound-email');
+ * 
+ * app.post('/webhook/inbound', async (req, res) => {
+ *   await parseInboundRequest(req, { maxFiles: 10 });
+ *   const { emailData } = processEmailData(req);
+ * });
+ */
+async function parseInboundRequest(req, limits = {}, options = {}) {
+  const effectiveLimits = { ...DEFAULT_INBOUND_LIMITS, ...limits };
+  const contentType = parseHeaderParams(req.headers?.['content-type'] || "");
+  const declaredLength = Number(req.headers?.['content-length']);
+
+  if (declaredLength > effectiveLimits.maxBodySize) {
+    throw createHttpError(406, 'LIMIT_BODY_SIZE', `Request body exceeds ${effectiveLimits.maxBodySize} bytes`);
+  }
+
+  let result;
+  if (contentType.value === 'multipart/form-data') {
+    const boundary = contentType.params.boundary;
+    if (!boundary) {
+      throw createHttpError(400, 'MALFORMED_MULTIPART', 'Missing multipart boundary');
+    }
+    result = await parseMultipart(req, boundary, effectiveLimits, options);
+  } else if (contentType.value === 'application/x-www-form-urlencoded') {
+    const body = await readBody(req, effectiveLimits.maxBodySize);
+    const fields = {};
+    let fieldCount = 0;
+    for (const [name, value] of new URLSearchParams(body.toString("utf8"))) {
+      if (++fieldCount > effectiveLimits.maxFields) {
+        throw createHttpError(406, 'LIMIT_FIELD_COUNT', `Too many fields (limit: ${effectiveLimits.maxFields})`);
+      }
+      appendField(fields, name, value);
+    }
+    result = { fields, files: [] };
+  } else {
+    throw createHttpError(415, 'UNSUPPORTED_MEDIA_TYPE', `Unsupported content type: ${contentType.value || 'none'}`);
+  }
+
+  req.body = result.fields;
+  req.files = result.files;
+  return result;
+}
+
+/**
+ * Generate or reuse a correlation ID for a webhook request
+ * @param {Object} req - Express request object
+ * @returns {string} Correlation ID
+ */
+function getCorrelationId(req) {
+  const headers = req?.headers || {};
+  return headers['x-request-id'] ||
+    headers['x-correlation-id'] ||
+    `mg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Mailgun retries failed webhooks for up to 8 hours; remember deliveries for a day
+const DEFAULT_DEDUPE_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Get the key a webhook delivery is deduplicated on
+ * 
+ * - Events: 'event:<eventId>'. Legacy events have no id and use the event,
+ *   Message-ID, recipient and timestamp instead
+ * - Inbound mail: 'inbound:<Message-ID>:<recipient>', since a message sent
+ *   to several routed addresses arrives once per recipient
+ * 
+ * @param {Object} data - Normalized event (normalizeMailgunEvent) or emailData (processEmailData)
+ * @returns {string|null} Key, or null when the delivery cannot be identified
+ * 
+ * @example
+ * const { processEmailData, createMemoryStore, getDedupeKey } = require('node-inbound-email');
+ * const seen = createMemoryStore();
+ * 
+ * const { emailData } = processEmailData(req);
+ * const key = getDedupeKey(emailData);
+ * if (key && !seen.add(key, 24 * 60 * 60)) {
+ *   return res.status(200).json({ received: true, duplicate: true });
+ * }
+ */
+function getDedupeKey(data) {
+  if (!data) return null;
+
+  if (data.event) {
+    if (data.eventId) return `event:${data.eventId}`;
+    if (!data.messageId || !data.recipient) return null;
+    return `event:${data.event}:${data.messageId}:${data.recipient.toLowerCase()}:${data.timestamp}`;
+  }
+
+  if (!data.messageId) return null;
+  const recipients = (data.to || []).map(address => address.toLowerCase()).join(',');
+  return `inbound:${data.messageId}:${recipients}`;
+}
+
+/**
+ * Record a webhook delivery in a dedupe store
+ * @param {Object|null} store - Store implementing add(key, ttlSeconds), or null to disable deduplication
+ * @param {string|null} key - Key from getDedupeKey()
+ * @param {number} ttlSeconds - How long the delivery is remembered
+ * @returns {Promise<boolean>} true if the delivery was seen before
+ */
+async function isDuplicateDelivery(store, key, ttlSeconds) {
+  if (!store || !key) return false;
+  return !(await store.add(key, ttlSeconds));
+}
+
+/**
+ * Forget a recorded delivery so Mailgun's retry is processed
+ * 
+ * Releases the dedupe key and, with replay protection, the signature
+ * token: a retry carrying the same token would otherwise be rejected as
+ * replayed.
+ * 
+ * @param {Object} delivery - { dedupeStore, dedupeKey, nonceStore, body }
+ * @param {Object} log - Request logger
+ * @returns {Promise<void>}
+ */
+async function releaseDelivery({ dedupeStore = null, dedupeKey = null, nonceStore = null, body = null }, log) {
+  const { token } = extractSignatureFields(body || {});
+  const releases = [
+    { store: dedupeStore, key: dedupeKey, kind: 'dedupe key' },
+    { store: nonceStore, key: token, kind: 'signature token' },
+  ];
+
+  for (const { store, key, kind } of releases) {
+    if (!store || !key || !store.delete) continue;
+    try {
+      await store.delete(key);
+    } catch (error) {
+      log.warn(`Failed to release ${kind}`, {
+        error: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Create an in-memory dead-letter store
+ * 
+ * Store interface (implement it to keep dead letters in a database):
+ * - add(entry): insert the entry, or replace the entry with the same id
+ * - list(): all entries, oldest first
+ * - delete(id): remove an entry
+ * All methods may return a Promise.
+ * 
+ * Entries are { id, source, payload, attempts, error: { message, code },
+ * firstFailedAt, failedAt }. When `maxEntries` is reached the oldest
+ * entries are evicted first.
+ * 
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Maximum number of entries kept (default: 10000)
+ * @returns {Object} Store with add, list, get, delete, clear and size
+ */
+function createMemoryDeadLetterStore({ maxEntries = 10000 } = {}) {
+  const entries = new Map();
+
+  return {
+    add(entry) {
+      entries.delete(entry.id);
+      while (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(entry.id, entry);
+    },
+    list() {
+      return [...entries.values()];
+    },
+    get(id) {
+      return entries.get(id) || null;
+    },
+    delete(id) {
+      return entries.delete(id);
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+// Retry delays: 1s, 2s, 4s ... capped at 5 minutes
+const DEFAULT_RETRY_BACKOFF = { initialDelay: 1000, factor: 2, maxDelay: 5 * 60 * 1000 };
+
+/**
+ * Resolve the delay before a retry
+ * @param {Object|Function} backoff - { initialDelay, factor, maxDelay } or (attempt) => milliseconds
+ * @param {number} attempt - Number of the attempt that failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(backoff, attempt) {
+  if (typeof backoff === 'function') return Math.max(0, Number(backoff(attempt)) || 0);
+  const { initialDelay, factor, maxDelay } = { ...DEFAULT_RETRY_BACKOFF, ...backoff };
+  return Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+}
+
+/**
+ * Create an in-process retry queue with a dead-letter store
+ * 
+ * Jobs are processed as soon as they are pushed. A job whose process
+ * function throws is retried with exponential backoff; after maxAttempts
+ * it is written to the dead-letter store. replayDeadLetters() runs dead
+ * letters through the process function again (e.g. after a fix is
+ * deployed) and removes the ones that succeed.
+ * 
+ * Pending retries live in memory and are lost when the process exits;
+ * call drain() on shutdown to wait for them. Payloads can hold anything
+ * while queued; pass serialize to turn them into plain data before they
+ * are written to a dead-letter store. The process function then gets
+ * serialized payloads when dead letters are replayed.
+ * 
+ * @param {Object} options - Queue options
+ * @param {Function} options.process - async (payload, { attempt, replay }) => void
+ * @param {Function} options.serialize - (payload) => dead-letter payload (default: the payload unchanged). Also called with payloads it returned
+ * @param {number} options.maxAttempts - Attempts before a job is dead-lettered (default: 5)
+ * @param {Object|Function} options.backoff - { initialDelay, factor, maxDelay } in ms, or (attempt) => ms
+ * @param {Object} options.deadLetterStore - Dead-letter store (default: createMemoryDeadLetterStore())
+ * @param {string} options.source - Name recorded on dead letters (default: 'queue')
+ * @param {Object|false} options.logger - Logger (see createLogger)
+ * @returns {Object} Queue with push, deadLetter, replayDeadLetters, drain and size
+ * 
+ * @example
+ * const { createRetryQueue, mailgunWebhook } = require('node-inbound-email');
+ * 
+ * const queue = createRetryQueue({
+ *   process: async (eventData) => db.events.create(eventData),
+ *   maxAttempts: 8,
+ * });
+ * app.post('/webhook/mailgun-events', express.json(), (req, res) => mailgunWebhook(req, res, { ack: 'queue', queue }));
+ * 
+ * // After fixing the database:
+ * const { replayed, failed } = await queue.replayDeadLetters();
+ */
+function createRetryQueue(options = {}) {
+  const {
+    process: processJob,
+    maxAttempts = 5,
+    backoff = DEFAULT_RETRY_BACKOFF,
+    deadLetterStore = createMemoryDeadLetterStore(),
+    source = 'queue',
+    serialize = (payload) => payload,
+  } = options;
+  if (typeof processJob !== 'function') {
+    throw new Error("Retry queue requires a process function");
+  }
+  const log = getComponentLogger(options, 'RetryQueue').child({ source });
+  let pending = 0;
+  let idleWaiters = [];
+
+  function settle() {
+    if (--pending > 0) return;
+    const waiters = idleWaiters;
+    idleWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  async function deadLetter(payload, error, attempts, existing = null) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: existing ? existing.id : crypto.randomBytes(16).toString('hex'),
+      source: existing ? existing.source : source,
+      payload: serialize(payload),
+      attempts,
+      error: { message: error.message, code: error.code || null },
+      firstFailedAt: existing ? existing.firstFailedAt : now,
+      failedAt: now,
+    };
+    try {
+      await deadLetterStore.add(entry);
+      log.error('Job moved to dead letters', { deadLetterId: entry.id, attempts, error: error.message });
+    } catch (storeError) {
+      log.error('Failed to write dead letter', {
+        attempts,
+        error: error.message,
+        storeError: storeError.message,
+      });
+    }
+    return entry;
+  }
+
+  async function run(payload, attempt) {
+    try {
+      await processJob(payload, { attempt, replay: false });
+      settle();
+    } catch (error) {
+      if (attempt >= maxAttempts) {
+        await deadLetter(payload, error, attempt);
+        settle();
+        return;
+      }
+      const delay = getRetryDelay(backoff, attempt);
+      log.warn('Job failed, retrying', { attempt, delay, error: error.message });
+      setTimeout(() => run(payload, attempt + 1), delay);
+    }
+  }
+
+  return {
+    /**
+     * Queue a job; the first attempt starts right away
+     * @param {*} payload - Job payload passed to the process function
+     */
+    push(payload) {
+      pending++;
+      run(payload, 1);
+    },
+
+    /**
+     * Write a payload straight to the dead-letter store
+     * @param {*} payload - Job payload
+     * @param {Error} error - Last error
+     * @param {number} attempts - Attempts made (default: 1)
+     * @returns {Promise<Object>} Dead-letter entry
+     */
+    deadLetter(payload, error, attempts = 1) {
+      return deadLetter(payload, error, attempts);
+    },
+
+    /**
+     * Process dead letters again, one after another
+     * 
+     * Entries that succeed are deleted; entries that fail again stay in
+     * the store with attempts and error updated.
+     * 
+     * @param {Object} replayOptions - Replay options (optional)
+     * @param {Function} replayOptions.filter - (entry) => boolean, replay only matching entries
+     * @param {number} replayOptions.limit - Maximum number of entries to replay
+     * @returns {Promise<Object>} { replayed, failed, errors: [{ id, error }] }
+     */
+    async replayDeadLetters(replayOptions = {}) {
+      const { filter = null, limit = Infinity } = replayOptions;
+      const entries = (await deadLetterStore.list())
+        .filter(entry => !filter || filter(entry))
+        .slice(0, limit);
+      const result = { replayed: 0, failed: 0, errors: [] };
+
+      for (const entry of entries) {
+        try {
+          await processJob(entry.payload, { attempt: entry.attempts + 1, replay: true });
+          await deadLetterStore.delete(entry.id);
+          result.replayed++;
+        } catch (error) {
+          await deadLetter(entry.payload, error, entry.attempts + 1, entry);
+          result.failed++;
+          result.errors.push({ id: entry.id, error: error.message });
+        }
+      }
+
+      log.info('Dead letters replayed', { replayed: result.replayed, failed: result.failed });
+      return result;
+    },
+
+    /**
+     * Wait until every queued job succeeded or was dead-lettered
+     * @returns {Promise<void>}
+     */
+    drain() {
+      if (pending === 0) return Promise.resolve();
+      return new Promise(resolve => idleWaiters.push(resolve));
+    },
+
+    /** Number of jobs being processed or waiting for a retry */
+    get size() {
+      return pending;
+    },
+
+    deadLetterStore,
+  };
+}
+
+/**
+ * Turn a queued inbound message into a dead-letter payload
+ * 
+ * Dead letters must survive a database or JSON round trip, so they keep
+ * the webhook's form fields and the attachment metadata (with storageKey)
+ * instead of emailData: attachment buffers and emailData.allHeaders are
+ * left out. restoreInboundEmail() builds emailData from them again.
+ * 
+ * @param {Object} job - { emailData, fields, correlationId, signingKeyId }, or a payload this function returned
+ * @returns {Object} { fields, attachments, blockedAttachments, receivedAt, correlationId, signingKeyId }
+ */
+function serializeInboundJob(job) {
+  if (!job.emailData) return job;
+
+  const { emailData, fields, correlationId, signingKeyId } = job;
+  // Signature fields were checked already and are not needed to rebuild the message
+  const { token, timestamp, signature, ...body } = fields || {};
+  const withoutContent = ({ buffer, ...attachment }) => attachment;
+  return {
+    fields: body,
+    attachments: emailData.attachments.map(withoutContent),
+    blockedAttachments: emailData.blockedAttachments.map(withoutContent),
+    receivedAt: emailData.receivedAt,
+    correlationId,
+    signingKeyId,
+  };
+}
+
+/**
+ * Rebuild emailData from a dead-letter payload (see serializeInboundJob)
+ * @param {Object} message - Dead-letter payload
+ * @returns {Object} emailData; attachments carry their storageKey and no buffer
+ */
+function restoreInboundEmail(message) {
+  const { emailData } = processEmailData({ body: message.fields || {} });
+  const withoutContent = (attachment) => ({ ...attachment, buffer: null });
+  return {
+    ...emailData,
+    attachments: (message.attachments || []).map(withoutContent),
+    blockedAttachments: (message.blockedAttachments || []).map(withoutContent),
+    receivedAt: message.receivedAt || emailData.receivedAt,
+  };
+}
+
+/**
+ * Create a self-contained Express middleware for Mailgun inbound webhooks
+ * 
+ * Parses the multipart body itself (no express.urlencoded/multer needed),
+ * verifies the signature (with the same replay protection and key rotation
+ * options as mailgunWebhook), runs processEmailData() and hands the
+ * finished emailData to your callback.
+ * 
+ * Status codes:
+ * - 200: message processed (also when onEmail throws, so Mailgun does not retry),
+ *   or rejected by the policy (body has rejected: true and reason)
+ * - 400: malformed request body
+ * - 401: invalid or replayed signature
+ * - 406: size, attachment or field limit exceeded (Mailgun will not retry)
+ * - 415: unsupported content type
+ * - 503: an attachment could not be stored (or storage stalled past
+ *   limits.storageTimeout), or the request failed before
+ *   reaching onEmail (e.g. a signing key resolver or processEmailData
+ *   threw); Mailgun retries
+ * 
+ * If onEmail is omitted, emailData is stored on req.emailData and next()
+ * is called, so you can respond from your own route handler.
+ * 
+ * Messages rejected by the policy are acknowledged to Mailgun but never
+ * reach onEmail (or next()); onReject is called instead.
+ * 
+ * With a storage adapter, attachments are streamed to storage while the
+ * body is parsed and emailData.attachments carry storageKey instead of a
+ * buffer. Uploads wait until the signature fields are verified; attachments
+ * sent before those fields are buffered and stored after verification (a
+ * signing key resolver only sees the fields received so far). Attachments
+ * of requests that fail verification are deleted; those of policy-rejected
+ * messages are kept for onReject to handle.
+ * 
+ * With a dedupeStore, retried deliveries are deduplicated on Message-ID
+ * and recipient (see getDedupeKey): a message that was already processed
+ * is acknowledged with 200 and duplicate: true without reaching onEmail,
+ * onReject or next(), and its newly stored attachments are deleted. The
+ * key is released again when attachments fail to store, so Mailgun's
+ * retry is processed.
+ * 
+ * Ack strategies when onEmail throws:
+ * - 'after' (default): Mailgun gets its 200 and the message goes to the
+ *   dead-letter store: its form fields and attachment metadata with
+ *   storageKey, without buffers (see serializeInboundJob), so use
+ *   storage to keep attachment content
+ * - 'retry': Mailgun gets a 503 and retries later; stored attachments are
+ *   deleted, they are stored again with the retry
+ * - 'queue': Mailgun gets its 200 before onEmail runs; onEmail runs from
+ *   an in-process queue and is retried with backoff (see createRetryQueue)
+ * replayDeadLetters() on the returned middleware runs dead letters through
+ * onEmail again, with emailData rebuilt from the stored fields.
+ * 
+ * @param {Object} options - Handler options
+ * @param {Function} options.onEmail - async (emailData, context) => void. context: { req, res, correlationId, signingKeyId, attempt, replay }; req and res are null for queued and replayed messages
+ * @param {string|Array|Function} options.signingKey - Signing key(s) or resolver (defaults to MAILGUN_WEBHOOK_SIGNING_KEY env var)
+ * @param {number} options.toleranceSeconds - Accepted timestamp age in seconds (default: 900)
+ * @param {Object} options.nonceStore - Store used to reject replayed tokens (optional)
+ * @param {Object} options.limits - Body limits (see parseInboundRequest)
+ * @param {Object|Function} options.policy - Authentication/spam policy (see evaluateAuthenticationPolicy)
+ * @param {Function} options.onReject - async (emailData, context) => void, called for rejected messages. context adds reason
+ * @param {Object} options.attachmentPolicy - Drop or quarantine unsafe attachments (see applyAttachmentPolicy)
+ * @param {Object} options.storage - Storage adapter for attachments (see createLocalStorage, createS3Storage). Buffers are kept without one
+ * @param {Function} options.generateKey - (file) => storage key (default: attachments/<date>/<random>/<filename>)
+ * @param {Object|null} options.dedupeStore - Store used to detect retried deliveries, e.g. createMemoryStore() (default: null, no deduplication)
+ * @param {number} options.dedupeTtlSeconds - How long deliveries are remembered (default: 86400)
+ * @param {Object|false} options.logger - pino/winston-style logger, or false for silent mode (see createLogger)
+ * @param {string} options.logLevel - Minimum log level (default: 'info')
+ * @param {boolean|Object|Function} options.redact - Redaction policy for log entries (default: mask emails, tokens and signatures)
+ * @param {string} options.ack - 'after' (default), 'retry' or 'queue'
+ * @param {Object} options.deadLetterStore - Store for messages that failed for good (default: createMemoryDeadLetterStore())
+ * @param {number} options.maxAttempts - Attempts per message in 'queue' mode (default: 5)
+ * @param {Object|Function} options.backoff - Retry delays in 'queue' mode (see createRetryQueue)
+ * @returns {Function} Express middleware (req, res, next) with replayDeadLetters() and drain()
+ * 
+ * @example
+ * const { createInboundHandler } = require('node-inbound-email');
+ * 
+ * app.post('/webhook/inbound', createInboundHandler({
+ *   limits: { maxFiles: 10, maxFileSize: 10 * 1024 * 1024 },
+ *   onEmail: async (emailData) => {
+ *     await db.emails.create(emailData);
+ *   },
+ * }));
+ * 
+ * @example
+ * // Drop messages failing DMARC or scoring above 5
+ * app.post('/webhook/inbound', createInboundHandler({
+ *   policy: { rejectDmarcFail: true, maxSpamScore: 5 },
+ *   onReject: async (emailData, { reason }) => console.warn('Rejected', emailData.messageId, reason),
+ *   onEmail: async (emailData) => db.emails.create(emailData),
+ * }));
+ */
+function createInboundHandler(options = {}) {
+  const {
+    onEmail = null,
+    onReject = null,
+    policy = null,
+    attachmentPolicy = null,
+    storage = null,
+    generateKey = defaultStorageKey,
+    limits = {},
+    dedupeStore = null,
+    dedupeTtlSeconds = DEFAULT_DEDUPE_TTL_SECONDS,
+    logger,
+    logLevel,
+    redact,
+    ack = 'after',
+    deadLetterStore = createMemoryDeadLetterStore(),
+    maxAttempts = 5,
+    backoff = DEFAULT_RETRY_BACKOFF,
+    ...webhookOptions
+  } = options;
+  if (!['after', 'retry', 'queue'].includes(ack)) {
+    throw new Error(`Invalid ack mode: ${ack} (expected 'after', 'retry' or 'queue')`);
+  }
+  if (ack === 'queue' && !onEmail) {
+    throw new Error("ack: 'queue' requires onEmail");
+  }
+  const verifyOptions = resolveWebhookOptions(webhookOptions);
+  const handlerLog = getComponentLogger({ logger, logLevel, redact }, 'InboundHandler');
+
+  // Queued jobs: { emailData, fields, correlationId, signingKeyId }; dead letters hold serializeInboundJob(job)
+  const queue = createRetryQueue({
+    source: 'InboundHandler',
+    maxAttempts,
+    backoff,
+    deadLetterStore,
+    logger: handlerLog,
+    serialize: serializeInboundJob,
+    process: async (job, { attempt, replay }) => {
+      const { correlationId, signingKeyId } = job;
+      const emailData = job.emailData || restoreInboundEmail(job);
+      await onEmail(emailData, { req: null, res: null, correlationId, signingKeyId, attempt, replay });
+    },
+  });
+
+  async function inboundHandler(req, res, next) {
+    const correlationId = getCorrelationId(req);
+    const log = handlerLog.child({ correlationId });
+
+    function reject(statusCode, error, reason) {
+      res.status(statusCode).json({ received: false, error, ...(reason ? { reason } : {}), correlationId });
+    }
+
+    // Delete attachments streamed to storage while the body was parsed
+    async function deleteStoredFiles(description, files = req.files || []) {
+      if (!storage || !storage.delete) return;
+      const storedKeys = [...new Set(files.map(file => file.storageKey).filter(Boolean))];
+      await Promise.all(storedKeys.map(key => storage.delete(key))).catch(error => {
+        log.warn(`Failed to delete attachments of ${description}`, {
+          error: error.message,
+        });
+      });
+    }
+
+    // Set once the token and the dedupe key are recorded, so a failure can release them for Mailgun's retry
+    let delivery = null;
+
+    try {
+      // Skip parsing when body-parser/multer already consumed the request
+      const alreadyParsed = req._body || Array.isArray(req.files) ||
+        (req.body && Object.keys(req.body).length > 0);
+
+      if (!alreadyParsed) {
+        try {
+          await parseInboundRequest(req, limits, {
+            storage,
+            generateKey,
+            logger: log,
+            // Check the signature before the first attachment reaches storage; the token is recorded later
+            verifyFields: (fields) => verifyMailgunRequest(Object.assign(Object.create(req), { body: fields }), { ...verifyOptions, nonceStore: null }),
+          });
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          log.warn('Rejected request body', {
+            code: error.code,
+            error: error.message,
+          });
+          // Stop reading the rest of an oversized or malformed upload
+          res.setHeader('Connection', 'close');
+          reject(error.statusCode, error.message, error.code);
+          req.resume();
+          return;
+        }
+      }
+
+      // 🔐 Verify Mailgun request signature
+      const verification = await verifyMailgunRequest(req, verifyOptions);
+      if (!verification.valid) {
+        log.warn('Invalid Mailgun webhook signature', {
+          reason: verification.reason,
+        });
+        reject(401, verification.reason === 'replayed_token' ? 'Replayed request' : 'Invalid signature', verification.reason);
+        // Do not keep content from unverified senders
+        await deleteStoredFiles('an unverified request');
+        return;
+      }
+      delivery = { nonceStore: verifyOptions.nonceStore, body: req.body };
+
+      const { emailData } = processEmailData(req, { attachmentPolicy });
+
+      // 🔁 Acknowledge retries of a message that was already processed
+      const dedupeKey = getDedupeKey(emailData);
+      if (await isDuplicateDelivery(dedupeStore, dedupeKey, dedupeTtlSeconds)) {
+        log.info('Duplicate delivery skipped', {
+          messageId: emailData.messageId,
+        });
+        await deleteStoredFiles('a duplicate delivery');
+        res.status(200).json({ received: true, duplicate: true, messageId: emailData.messageId, correlationId });
+        return;
+      }
+      delivery = { ...delivery, dedupeStore, dedupeKey };
+
+      if (storage) {
+        try {
+          await persistAttachments(emailData, storage, { generateKey });
+        } catch (error) {
+          log.error('Failed to store attachments', {
+            error: error.message,
+          });
+          // Mailgun retries on 503; let the retry through
+          await releaseDelivery({ dedupeStore, dedupeKey, nonceStore: verifyOptions.nonceStore, body: req.body }, log);
+          reject(503, 'Failed to store attachments', 'STORAGE_FAILED');
+          return;
+        }
+      }
+      const context = { req, res, correlationId, signingKeyId: verification.keyId, attempt: 1, replay: false };
+
+      const rejectionReason = await evaluateAuthenticationPolicy(emailData, policy);
+      if (rejectionReason) {
+        log.warn('Message rejected by policy', {
+          reason: rejectionReason,
+          messageId: emailData.messageId,
+        });
+        if (onReject) {
+          try {
+            await onReject(emailData, { ...context, reason: rejectionReason });
+          } catch (error) {
+            log.error('onReject failed', {
+              error: error.message,
+              stack: error.stack,
+            });
+          }
+        }
+        // ✅ Acknowledge so Mailgun does not retry a message we will never accept
+        if (!res.headersSent) {
+          res.status(200).json({
+            received: true,
+            rejected: true,
+            reason: rejectionReason,
+            messageId: emailData.messageId,
+            correlationId,
+          });
+        }
+        return;
+      }
+
+      if (!onEmail) {
+        req.emailData = emailData;
+        return next();
+      }
+
+      const job = { emailData, fields: req.body, correlationId, signingKeyId: verification.keyId };
+      if (ack === 'queue') {
+        res.status(200).json({ received: true, messageId: emailData.messageId, correlationId });
+        queue.push(job);
+        return;
+      }
+
+      try {
+        await onEmail(emailData, context);
+      } catch (error) {
+        log.error('onEmail failed', {
+          error: error.message,
+          stack: error.stack,
+        });
+
+        if (ack === 'retry' && !res.headersSent) {
+          // ⚠️ 503 makes Mailgun retry; forget the delivery so the retry is processed
+          await releaseDelivery({ dedupeStore, dedupeKey, nonceStore: verifyOptions.nonceStore, body: req.body }, log);
+          await deleteStoredFiles('a message Mailgun will retry', [
+            ...(req.files || []),
+            ...emailData.attachments,
+            ...emailData.blockedAttachments,
+          ]);
+          reject(503, 'Processing failed, retry later', 'PROCESSING_FAILED');
+          return;
+        }
+
+        await queue.deadLetter(job, error);
+        // ⚠️ Still return 200 so Mailgun doesn't retry forever
+        if (!res.headersSent) {
+          res.status(200).json({
+            received: true,
+            error: 'Processing failed but webhook acknowledged',
+            correlationId,
+          });
+        }
+        return;
+      }
+
+      if (!res.headersSent) {
+        res.status(200).json({ received: true, messageId: emailData.messageId, correlationId });
+      }
+    } catch (error) {
+      log.error('Inbound webhook error', {
+        error: error.message,
+        stack: error.stack,
+      });
+      if (!res.headersSent) {
+        // ⚠️ The message never reached onEmail: 503 makes Mailgun retry instead of losing it
+        if (delivery) await releaseDelivery(delivery, log);
+        await deleteStoredFiles('a message Mailgun will retry');
+        reject(503, 'Processing failed, retry later', 'PROCESSING_FAILED');
+      }
+    }
+  }
+
+  /**
+   * Run dead-lettered messages through onEmail again (see createRetryQueue)
+   * @param {Object} replayOptions - { filter, limit } (optional)
+   * @returns {Promise<Object>} { replayed, failed, errors }
+   */
+  inboundHandler.replayDeadLetters = (replayOptions) => queue.replayDeadLetters(replayOptions);
+
+  /**
+   * Wait for queued messages (ack: 'queue') to finish or be dead-lettered
+   * @returns {Promise<void>}
+   */
+  inboundHandler.drain = () => queue.drain();
+
+  inboundHandler.deadLetterStore = deadLetterStore;
+
+  return inboundHandler;
+}
+
+/**
+ * Compile a route pattern
+ * 
+ * Strings follow Mailgun's route syntax: Python-style regular expressions
+ * (`(?P<name>...)` named groups), matched case-insensitively anywhere in
+ * the value unless anchored.
+ * 
+ * @param {string|RegExp} pattern - Pattern
+ * @returns {RegExp} Compiled pattern
+ */
+function toRoutePattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  if (typeof pattern !== 'string') {
+    throw new Error(`Invalid route pattern: ${pattern}`);
+  }
+  const source = pattern.replace(/^\(\?i\)/, '').replace(/\(\?P</g, '(?<');
+  return new RegExp(source, 'i');
+}
+
+/**
+ * Parse a Mailgun route expression into conditions
+ * 
+ * Supports match_recipient("pattern"), match_header("name", "pattern")
+ * and catch_all(), combined with `and`.
+ * 
+ * @param {string} expression - e.g. 'match_recipient("support-(\\d+)@example.com") and match_header("subject", "urgent")'
+ * @returns {Array} Conditions
+ * @throws {Error} If the expression cannot be parsed
+ */
+function parseRouteExpression(expression) {
+  const conditions = [];
+  let rest = String(expression).trim();
+
+  while (rest) {
+    const call = /^(match_recipient|match_header|catch_all)\s*\(\s*/.exec(rest);
+    if (!call) throw new Error(`Invalid route expression: ${expression}`);
+    rest = rest.slice(call[0].length);
+
+    const args = [];
+    while (rest[0] === '"' || rest[0] === "'") {
+      const quote = rest[0];
+      let value = "";
+      let index = 1;
+      while (index < rest.length && rest[index] !== quote) {
+        // \" and \' escape the quote; every other backslash belongs to the regex
+        if (rest[index] === '\\' && rest[index + 1] === quote) index++;
+        value += rest[index++];
+      }
+      if (index >= rest.length) throw new Error(`Unterminated string in route expression: ${expression}`);
+      args.push(value);
+      rest = rest.slice(index + 1).replace(/^\s*,?\s*/, '');
+    }
+    if (rest[0] !== ')') throw new Error(`Invalid route expression: ${expression}`);
+    rest = rest.slice(1).trim();
+
+    if (call[1] === 'match_recipient' && args.length === 1) {
+      conditions.push({ type: 'recipient', pattern: toRoutePattern(args[0]) });
+    } else if (call[1] === 'match_header' && args.length === 2) {
+      conditions.push({ type: 'header', name: args[0], pattern: toRoutePattern(args[1]) });
+    } else if (call[1] === 'catch_all' && args.length === 0) {
+      conditions.push({ type: 'catchAll' });
+    } else {
+      throw new Error(`Wrong number of arguments for ${call[1]}() in route expression: ${expression}`);
+    }
+
+    if (!rest) break;
+    const and = /^and\s+/i.exec(rest);
+    if (!and) throw new Error(`Invalid route expression: ${expression}`);
+    rest = rest.slice(and[0].length);
+  }
+
+  if (!conditions.length) throw new Error("Empty route expression");
+  return conditions;
+}
+
+/**
+ * Match one route condition against a message
+ * @param {Object} condition - Condition from a route
+ * @param {Object} emailData - emailData
+ * @returns {Object|null} { match, recipient } or null
+ */
+function matchRouteCondition(condition, emailData) {
+  const test = (value) => (value === null || value === undefined ? null : condition.pattern.exec(String(value)));
+
+  if (condition.type === 'catchAll') {
+    return { match: null };
+  }
+  if (condition.type === 'recipient') {
+    for (const recipient of emailData.to || []) {
+      const match = test(recipient);
+      if (match) return { match, recipient };
+    }
+    return null;
+  }
+  if (condition.type === 'sender') {
+    const match = test(emailData.from);
+    return match ? { match } : null;
+  }
+  if (condition.type === 'subject') {
+    const match = test(emailData.subject);
+    return match ? { match } : null;
+  }
+
+  // Header: any occurrence may match
+  const values = emailData.allHeaders
+    ? emailData.allHeaders.getAll(condition.name)
+    : [findHeader(Object.entries(emailData.headers || {}), condition.name)];
+  for (const value of values) {
+    const match = test(value);
+    if (match) return { match };
+  }
+  return null;
+}
+
+/**
+ * Create a local inbound routing engine modeled on Mailgun routes
+ * 
+ * Rules are checked in order of priority (lower first, like Mailgun),
+ * then in the order they were added. Every condition of a rule must match.
+ * In 'stop' mode only the first matching rule runs; in 'continue' mode
+ * every matching rule runs, in order, unless one sets `stop: true`
+ * (Mailgun's stop() action). Handlers run one after another; an error
+ * stops dispatching and rejects.
+ * 
+ * Handlers receive (emailData, context). context is whatever was passed
+ * to dispatch() plus:
+ * - captures: positional regex groups of all conditions, in order
+ * - groups: named regex groups
+ * - recipient: the recipient that matched a recipient condition
+ * - rule: the rule's name
+ * 
+ * dispatch() has the same signature as createInboundHandler's onEmail, so
+ * the router can be plugged in directly.
+ * 
+ * @param {Object} options - Router options
+ * @param {string} options.mode - 'stop' (default) or 'continue'
+ * @param {Function} options.onNoMatch - async (emailData, context) => void, called when no rule matches (optional)
+ * @returns {Object} Router with route, matchRecipient, matchHeader, matchSender, matchSubject, catchAll and dispatch
+ * 
+ * @example
+ * const { createInboundRouter, createInboundHandler } = require('node-inbound-email');
+ * 
+ * const router = createInboundRouter()
+ *   .matchRecipient(/^support-(\d+)@/, async (emailData, { captures }) => {
+ *     await tickets.addReply(captures[0], emailData);
+ *   })
+ *   .route('match_header("subject", "invoice")', async (emailData) => billing.ingest(emailData))
+ *   .catchAll(async (emailData) => inbox.store(emailData));
+ * 
+ * app.post('/webhook/inbound', createInboundHandler({ onEmail: router.dispatch }));
+ */
+function createInboundRouter(options = {}) {
+  const { mode = 'stop', onNoMatch = null } = options;
+  if (mode !== 'stop' && mode !== 'continue') {
+    throw new Error(`Invalid router mode: ${mode} (expected 'stop' or 'continue')`);
+  }
+  const rules = [];
+
+  const router = {
+    /**
+     * Add a rule
+     * @param {Object|string} rule - Rule object, or a Mailgun route expression
+     * @param {Function} handler - async (emailData, context) => any (when rule is an expression)
+     * @param {Object} ruleOptions - { name, priority, stop } (when rule is an expression)
+     * @returns {Object} The router, for chaining
+     */
+    route(rule, handler, ruleOptions = {}) {
+      const definition = typeof rule === 'string'
+        ? { ...ruleOptions, expression: rule, handler }
+        : { ...rule };
+      if (typeof definition.handler !== 'function') {
+        throw new Error("Route handler must be a function");
+      }
+
+      const conditions = definition.expression ? parseRouteExpression(definition.expression) : [];
+      if (definition.recipient) conditions.push({ type: 'recipient', pattern: toRoutePattern(definition.recipient) });
+      if (definition.sender) conditions.push({ type: 'sender', pattern: toRoutePattern(definition.sender) });
+      if (definition.subject) conditions.push({ type: 'subject', pattern: toRoutePattern(definition.subject) });
+      const headers = Array.isArray(definition.header) ? definition.header : (definition.header ? [definition.header] : []);
+      headers.forEach(header => conditions.push({ type: 'header', name: header.name, pattern: toRoutePattern(header.pattern) }));
+      if (definition.catchAll) conditions.push({ type: 'catchAll' });
+      if (!conditions.length) {
+        throw new Error("Route needs at least one condition (use catchAll for a catch-all route)");
+      }
+
+      rules.push({
+        name: definition.name || definition.expression || `route-${rules.length + 1}`,
+        conditions,
+        handler: definition.handler,
+        priority: definition.priority || 0,
+        stop: definition.stop,
+        order: rules.length,
+      });
+      rules.sort((a, b) => a.priority - b.priority || a.order - b.order);
+      return router;
+    },
+
+    matchRecipient(pattern, handler, ruleOptions = {}) {
+      return router.route({ ...ruleOptions, recipient: pattern, handler });
+    },
+
+    matchHeader(name, pattern, handler, ruleOptions = {}) {
+      return router.route({ ...ruleOptions, header: { name, pattern }, handler });
+    },
+
+    matchSender(pattern, handler, ruleOptions = {}) {
+      return router.route({ ...ruleOptions, sender: pattern, handler });
+    },
+
+    matchSubject(pattern, handler, ruleOptions = {}) {
+      return router.route({ ...ruleOptions, subject: pattern, handler });
+    },
+
+    catchAll(handler, ruleOptions = {}) {
+      return router.route({ ...ruleOptions, catchAll: true, handler });
+    },
+
+    /**
+     * Run the handlers of the rules matching a message
+     * @param {Object} emailData - emailData from processEmailData()
+     * @param {Object} context - Passed through to handlers (e.g. createInboundHandler's context)
+     * @returns {Promise<Array>} Matched rules: [{ rule, captures, groups, result }]
+     */
+    async dispatch(emailData, context = {}) {
+      const matched = [];
+
+      for (const rule of rules) {
+        const matches = [];
+        for (const condition of rule.conditions) {
+          const result = matchRouteCondition(condition, emailData);
+          if (!result) break;
+          matches.push(result);
+        }
+        if (matches.length !== rule.conditions.length) continue;
+
+        const regexMatches = matches.filter(result => result.match);
+        const captures = [].concat(...regexMatches.map(result => result.match.slice(1)));
+        const groups = Object.assign({}, ...regexMatches.map(result => result.match.groups || {}));
+        const recipientMatch = matches.find(result => result.recipient);
+
+        const result = await rule.handler(emailData, {
+          ...context,
+          captures,
+          groups,
+          recipient: recipientMatch ? recipientMatch.recipient : null,
+          rule: rule.name,
+        });
+        matched.push({ rule: rule.name, captures, groups, result });
+
+        const stop = rule.stop === undefined ? mode === 'stop' : rule.stop;
+        if (stop) break;
+      }
+
+      if (!matched.length && onNoMatch) {
+        await onNoMatch(emailData, context);
+      }
+      return matched;
+    },
+  };
+
+  return router;
+}
+
+/**
+ * Normalize the signing key / options argument accepted by the webhook handlers
+ * @param {string|Array|Function|Object} options - Signing key(s), key resolver, or options object
+ * @returns {Object} Options for verifyMailgunRequest()
+ */
+function resolveWebhookOptions(options) {
+  if (options && typeof options === 'object' && !Array.isArray(options)) {
+    return {
+      ...options,
+      signingKey: options.signingKey || process.env.MAILGUN_WEBHOOK_SIGNING_KEY,
+    };
+  }
+  return { signingKey: options || process.env.MAILGUN_WEBHOOK_SIGNING_KEY };
+}
+
+// Event types Mailgun currently sends, plus 'bounced' kept for older integrations
+const MAILGUN_EVENT_TYPES = [
+  'accepted',
+  'rejected',
+  'delivered',
+  'failed',
+  'opened',
+  'clicked',
+  'unsubscribed',
+  'complained',
+  'stored',
+  'list_member_uploaded',
+  'list_member_upload_error',
+  'list_uploaded',
+  'bounced',
+];
+
+// Fields of the legacy (pre-2018) webhook format that are not custom variables
+const LEGACY_EVENT_FIELDS = [
+  'event', 'recipient', 'domain', 'message-headers', 'Message-Id', 'message-id', 'timestamp', 'token',
+  'signature', 'reason', 'code', 'error', 'description', 'notification', 'ip', 'country', 'region',
+  'city', 'user-agent', 'device-type', 'client-type', 'client-name', 'client-os', 'url', 'tag', 'tags',
+  'X-Mailgun-Tag', 'campaign-id', 'campaign-name', 'mailing-list', 'attachment-count', 'body-plain',
+];
+
+/**
+ * Convert a kebab-case or snake_case name to camelCase
+ * @param {string} name - Name (e.g. 'delivery-status', 'list_uploaded')
+ * @returns {string} camelCase name
+ */
+function toCamelCase(name) {
+  return name.replace(/[-_]([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Convert kebab-case keys to camelCase, recursively
+ * @param {*} value - Object, array or scalar from an event payload
+ * @returns {*} Copy with camelCase keys
+ */
+function camelCaseKeys(value) {
+  if (Array.isArray(value)) return value.map(camelCaseKeys);
+  if (!value || typeof value !== 'object') return value;
+  return Object.keys(value).reduce((result, key) => {
+    result[toCamelCase(key)] = camelCaseKeys(value[key]);
+    return result;
+  }, {});
+}
+
+/**
+ * Convert a Mailgun timestamp (seconds, possibly fractional or a string) to ISO 8601
+ * @param {number|string} value - Timestamp
+ * @returns {string} ISO timestamp (now when missing)
+ */
+function toIsoTimestamp(value) {
+  if (value === undefined || value === null || value === "") return new Date().toISOString();
+  const seconds = Number(value);
+  return Number.isFinite(seconds) ? new Date(seconds * 1000).toISOString() : String(value);
+}
+
+/**
+ * Convert a legacy (pre-2018) form-encoded webhook body to the event-data shape
+ * 
+ * Legacy webhooks post flat fields: dropped and bounced messages become
+ * permanent failures, and fields Mailgun does not define are the message's
+ * custom variables.
+ * 
+ * @param {Object} body - Legacy webhook body
+ * @returns {Object} event-data equivalent
+ */
+function convertLegacyEvent(body) {
+  const headers = parseHeaders(body['message-headers'])
+    .filter(header => Array.isArray(header) && header.length >= 2);
+  const header = (name) => findHeader(headers, name);
+  const legacyEvent = body.event;
+  const failed = legacyEvent === 'dropped' || legacyEvent === 'bounced';
+  const tags = [].concat(body.tag || body.tags || body['X-Mailgun-Tag'] || []);
+
+  const userVariables = Object.keys(body)
+    .filter(key => !LEGACY_EVENT_FIELDS.includes(key) && !/^attachment-\d+$/.test(key))
+    .reduce((variables, key) => {
+      variables[key] = body[key];
+      return variables;
+    }, {});
+
+  const hasClientInfo = body['user-agent'] || body['client-name'] || body['device-type'];
+  return {
+    event: failed ? 'failed' : legacyEvent,
+    timestamp: body.timestamp,
+    'log-level': failed ? 'error' : 'info',
+    severity: failed ? 'permanent' : undefined,
+    reason: failed ? (body.reason || 'bounce') : undefined,
+    recipient: body.recipient,
+    domain: body.domain,
+    tags,
+    campaigns: body['campaign-id'] ? [{ id: body['campaign-id'], name: body['campaign-name'] || null }] : [],
+    'user-variables': userVariables,
+    message: {
+      headers: {
+        'message-id': cleanMessageId(body['Message-Id'] || body['message-id'] || header('Message-Id')),
+        from: header('From'),
+        to: header('To'),
+        subject: header('Subject'),
+      },
+    },
+    'delivery-status': failed ? {
+      code: body.code ? Number(body.code) : undefined,
+      message: body.error || body.notification,
+      description: body.description || body.error || body.notification,
+    } : undefined,
+    url: body.url,
+    ip: body.ip,
+    geolocation: body.country || body.city ? { country: body.country, region: body.region, city: body.city } : undefined,
+    'client-info': hasClientInfo ? {
+      'client-type': body['client-type'],
+      'client-os': body['client-os'],
+      'client-name': body['client-name'],
+      'device-type': body['device-type'],
+      'user-agent': body['user-agent'],
+    } : undefined,
+    'mailing-list': body['mailing-list'] ? { address: body['mailing-list'] } : undefined,
+    legacyEvent,
+  };
+}
+
+/**
+ * Normalize a Mailgun event into one typed schema
+ * 
+ * Accepts a webhook body (`{ signature, 'event-data' }`), a bare event
+ * from the Events API, or a legacy (pre-2018) form-encoded webhook body.
+ * Every field of the schema is present; fields an event type does not
+ * carry are null (objects) or empty (tags, campaigns, userVariables).
+ * Nested Mailgun objects get camelCase keys; user variables keep theirs.
+ * 
+ * Failures carry `severity`: 'permanent' (Mailgun gave up, e.g. a hard
+ * bounce or suppressed address) or 'temporary' (Mailgun will retry).
+ * Legacy 'dropped' and 'bounced' events become permanent failures with
+ * `legacyEvent` set. Unknown event types get status 'unknown' and the raw
+ * payload in `fullEventData`.
+ * 
+ * @param {Object} payload - Webhook body, event-data object, or legacy webhook body
+ * @returns {Object|null} Normalized event, or null if the payload has no event type
+ * 
+ * @example
+ * const { normalizeMailgunEvent } = require('node-inbound-email');
+ * 
+ * const event = normalizeMailgunEvent(req.body);
+ * if (event.event === 'failed' && event.severity === 'permanent') {
+ *   await suppressions.add(event.recipient, event.reasonCode);
+ * }
+ */
+function normalizeMailgunEvent(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+
+  const isLegacy = !payload['event-data'] && payload.event && payload.id === undefined &&
+    (typeof payload.signature === 'string' || payload['message-headers'] !== undefined || payload['Message-Id'] !== undefined);
+  const data = payload['event-data'] || (isLegacy ? convertLegacyEvent(payload) : payload);
+  const event = data.event;
+  if (!event) return null;
+
+  const known = MAILGUN_EVENT_TYPES.includes(event);
+  const message = data.message || {};
+  const messageHeaders = message.headers || {};
+  const deliveryStatus = data['delivery-status'];
+  const logLevel = data['log-level'] || null;
+  const timestamp = toIsoTimestamp(data.timestamp);
+
+  // Older payloads omit severity; Mailgun logs permanent failures as errors and retries as warnings
+  let severity = data.severity || null;
+  if (!severity && event === 'failed') severity = logLevel === 'warn' ? 'temporary' : 'permanent';
+  if (!severity && event === 'bounced') severity = 'permanent';
+
+  const normalized = {
+    event,
+    eventId: data.id || data['event-id'] || null,
+    status: known ? event : "unknown",
+    timestamp,
+    logLevel,
+    severity,
+    reason: (deliveryStatus && (deliveryStatus.description || deliveryStatus.message)) ||
+      (data.reject && data.reject.description) ||
+      data['failure-reason'] ||
+      data.reason ||
+      null,
+    reasonCode: data.reason || (data.reject && data.reject.reason) || null,
+    recipient: data.recipient || null,
+    recipientDomain: data['recipient-domain'] || (data.recipient ? String(data.recipient).split('@').pop() : null),
+    messageId: cleanMessageId(messageHeaders['message-id'] || data['message-id'] || data.messageId),
+    domain: (data.domain && data.domain.name) || data.domain || null,
+    method: data.method || null,
+    tags: data.tags || [],
+    campaigns: (data.campaigns || []).map(campaign => ({ id: campaign.id || null, name: campaign.name || null })),
+    userVariables: data['user-variables'] || {},
+    envelope: data.envelope ? camelCaseKeys(data.envelope) : null,
+    flags: data.flags ? camelCaseKeys(data.flags) : null,
+    message: data.message ? {
+      headers: {
+        messageId: cleanMessageId(messageHeaders['message-id']),
+        from: messageHeaders.from || null,
+        to: messageHeaders.to || null,
+        subject: messageHeaders.subject || null,
+      },
+      size: message.size || null,
+      attachments: camelCaseKeys(message.attachments || []),
+    } : null,
+    storage: data.storage ? { url: data.storage.url || null, key: data.storage.key || null, region: data.storage.region || null } : null,
+    deliveryStatus: deliveryStatus ? camelCaseKeys(deliveryStatus) : null,
+    url: data.url || null,
+    ip: data.ip || data['originating-ip'] || null,
+    clientInfo: data['client-info'] ? camelCaseKeys(data['client-info']) : null,
+    geolocation: data.geolocation ? camelCaseKeys(data.geolocation) : null,
+    userAgent: (data['client-info'] && data['client-info']['user-agent']) || null,
+    reject: data.reject ? camelCaseKeys(data.reject) : null,
+    mailingList: data['mailing-list'] ? camelCaseKeys(data['mailing-list']) : null,
+    member: data.member ? camelCaseKeys(data.member) : null,
+    upload: event.startsWith('list_') ? {
+      taskId: data['task-id'] || null,
+      format: data.format || null,
+      isUpsert: data['is-upsert'] === undefined ? null : data['is-upsert'],
+      upsertedCount: data['upserted-count'] === undefined ? null : data['upserted-count'],
+      failedCount: data['failed-count'] === undefined ? null : data['failed-count'],
+      error: data.error || null,
+      memberDescription: data['member-description'] || null,
+    } : null,
+    legacyEvent: data.legacyEvent || null,
+  };
+
+  if (known) {
+    // e.g. deliveredAt, failedAt, listMemberUploadedAt
+    normalized[`${toCamelCase(event)}At`] = timestamp;
+  } else {
+    normalized.fullEventData = data;
+  }
+
+  return normalized;
+}
+
+/**
+ * Log a normalized event
+ * @param {Object} eventData - Normalized event (see normalizeMailgunEvent)
+ * @param {Object} log - Request logger
+ */
+function logEvent(eventData, log) {
+  // Failures and complaints need attention; everything else is routine
+  const level = ['failed', 'bounced', 'complained', 'rejected'].includes(eventData.event) ? 'warn' : 'info';
+  log[level](`Event ${eventData.event}`, {
+    event: eventData.event,
+    eventId: eventData.eventId,
+    recipient: eventData.recipient || (eventData.mailingList && eventData.mailingList.address) || null,
+    messageId: eventData.messageId,
+    ...(eventData.severity ? { severity: eventData.severity, reason: eventData.reason } : {}),
+    ...(eventData.url ? { url: eventData.url } : {}),
+  });
+}
+
+/**
+ * Production-ready Mailgun event webhook handler
+ * 
+ * Handles Mailgun event webhooks (delivered, opened, clicked, bounced, etc.)
+ * with proper error handling, validation, and logging. Returns event data
+ * for manual processing and saving to database.
+ * 
+ * Event data follows the schema of normalizeMailgunEvent(). Legacy
+ * form-encoded webhooks are supported when the body is parsed with
+ * express.urlencoded().
+ * 
+ * With a dedupeStore, retried deliveries are deduplicated on eventId (see
+ * getDedupeKey): an event that was already processed is acknowledged
+ * with 200 and duplicate: true, and null is returned so it is not saved
+ * twice.
+ * 
+ * By default Mailgun always gets a 200, so a failure while you save the
+ * returned event is never retried. To process events reliably, pass
+ * onEvent and pick an ack strategy:
+ * - 'after' (default): onEvent is awaited, then Mailgun gets its 200 even
+ *   if it failed (the event is dead-lettered when a queue is given)
+ * - 'retry': onEvent is awaited; if it fails Mailgun gets a 503 and
+ *   retries later
+ * - 'queue': Mailgun gets its 200 first and the event is pushed to
+ *   options.queue (see createRetryQueue), which retries with backoff and
+ *   dead-letters events that keep failing
+ * An unknown ack mode, or 'queue' without a queue, is answered with 500
+ * so Mailgun retries once the options are fixed.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string|Array|Function|Object} options - Mailgun webhook signing key(s) or key resolver, or an options object (optional, signing key defaults to MAILGUN_WEBHOOK_SIGNING_KEY env var)
+ * @param {string|Array|Function} options.signingKey - Signing key, list of keys, or async resolver (see verifyMailgunRequest)
+ * @param {number} options.toleranceSeconds - Accepted timestamp age in seconds (default: 900)
+ * @param {Object} options.nonceStore - Store used to reject replayed tokens (e.g. createMemoryStore())
+ * @param {Object|null} options.dedupeStore - Store used to detect retried deliveries, e.g. createMemoryStore() (default: null, no deduplication)
+ * @param {number} options.dedupeTtlSeconds - How long deliveries are remembered (default: 86400)
+ * @param {Object|false} options.logger - pino/winston-style logger, or false for silent mode (see createLogger)
+ * @param {string} options.logLevel - Minimum log level (default: 'info')
+ * @param {boolean|Object|Function} options.redact - Redaction policy for log entries (default: mask emails, tokens and signatures)
+ * @param {Function} options.onEvent - async (eventData, { req, correlationId }) => void, awaited before Mailgun is answered (optional)
+ * @param {string} options.ack - 'after' (default), 'retry' or 'queue'
+ * @param {Object} options.queue - Retry queue from createRetryQueue() (required for ack: 'queue')
+ * @param {Object} options.suppressionList - Suppression list fed from bounces, complaints and unsubscribes (see createSuppressionList); written before onEvent runs
+ * @param {Object} options.tracker - Delivery tracker updated with every event (see createDeliveryTracker); written before onEvent runs
+ * @returns {Promise<Object|null>} Returns event data if successfully processed, null otherwise (also for duplicates and failed onEvent)
+ * 
+ * @example
+ * const { mailgunWebhook } = require('node-inbound-email');
+ * 
+ * app.post('/webhook/mailgun-events', express.json(), async (req, res) => {
+ *   const eventData = await mailgunWebhook(req, res);
+ *   // eventData contains the processed event data for manual saving
+ *   if (eventData && eventData.received && eventData.event) {
+ *     await db.events.create(eventData);
+ *   }
+ * });
+ * 
+ * @example
+ * // Reject replayed payloads
+ * const nonceStore = createMemoryStore();
+ * app.post('/webhook/mailgun-events', express.json(), async (req, res) => {
+ *   const eventData = await mailgunWebhook(req, res, { nonceStore });
+ * });
+ * 
+ * @example
+ * // Let Mailgun retry events the database could not save
+ * app.post('/webhook/mailgun-events', express.json(), (req, res) => mailgunWebhook(req, res, {
+ *   ack: 'retry',
+ *   onEvent: (eventData) => db.events.create(eventData),
+ * }));
+ */
+async function mailgunWebhook(req, res, options = process.env.MAILGUN_WEBHOOK_SIGNING_KEY) {
+  const {
+    dedupeStore = null,
+    dedupeTtlSeconds = DEFAULT_DEDUPE_TTL_SECONDS,
+    logger,
+    logLevel,
+    redact,
+    onEvent = null,
+    ack = 'after',
+    queue = null,
+    suppressionList = null,
+    tracker = null,
+    ...verifyOptions
+  } = resolveWebhookOptions(options);
+  const startTime = Date.now();
+  const correlationId = getCorrelationId(req);
+  const log = getComponentLogger({ logger, logLevel, redact }, 'MailgunWebhook').child({ correlationId });
+
+  // Options arrive with every request, so a bad one is answered instead of thrown
+  const configError = !['after', 'retry', 'queue'].includes(ack)
+    ? `Invalid ack mode: ${ack} (expected 'after', 'retry' or 'queue')`
+    : ack === 'queue' && !queue ? "ack: 'queue' requires a queue (see createRetryQueue)" : null;
+  if (configError) {
+    log.error('Invalid webhook options', { error: configError });
+    // ⚠️ 500 makes Mailgun retry once the options are fixed
+    res.status(500).json({
+      received: false,
+      error: 'Webhook misconfigured',
+      correlationId,
+    });
+    return null;
+  }
+
+  try {
+    // Validate request body
+    if (!req || !req.body) {
+      log.error('Invalid request: missing body', {
+        ip: req?.ip || req?.connection?.remoteAddress,
+        userAgent: req?.headers?.['user-agent'],
+      });
+      res.status(400).json({ 
+        received: false, 
+        error: 'Invalid request',
+        correlationId 
+      });
+      return null;
+    }
+
+    // 🔐 Verify Mailgun request signature (supports both event and inbound webhooks)
+    const verification = await verifyMailgunRequest(req, verifyOptions);
+    if (!verification.valid) {
+      const replayed = verification.reason === 'replayed_token';
+      log.warn(`${replayed ? 'Replayed' : 'Invalid'} Mailgun webhook signature`, {
+        reason: verification.reason,
+      });
+      res.status(401).json({ 
+        received: false, 
+        error: replayed ? 'Replayed request' : 'Invalid signature',
+        reason: verification.reason,
+        correlationId 
+      });
+      return null;
+    }
+
+    // Normalize the event (current JSON and legacy form-encoded formats)
+    const normalized = normalizeMailgunEvent(req.body);
+
+    // Validate required fields
+    if (!normalized) {
+      // Field names only: the body holds addresses and the signature
+      log.warn('Missing event type', {
+        fields: Object.keys(req.body),
+      });
+      const errorResponse = { 
+        received: true, 
+        error: 'Missing event type',
+        correlationId 
+      };
+      res.status(200).json(errorResponse);
+      return null;
+    }
+
+    // Prepare response data with correlation ID for tracking
+    const { event, eventId } = normalized;
+
+    // 🔁 Acknowledge retries of an event that was already processed
+    const dedupeKey = getDedupeKey(normalized);
+    if (await isDuplicateDelivery(dedupeStore, dedupeKey, dedupeTtlSeconds)) {
+      log.info('Duplicate event skipped', { event, eventId });
+      res.status(200).json({ received: true, duplicate: true, event, eventId, correlationId });
+      return null;
+    }
+
+    logEvent(normalized, log);
+    const responseData = {
+      received: true,
+      ...normalized,
+      correlationId,
+      signingKeyId: verification.keyId,
+      processedAt: new Date().toISOString(),
+    };
+
+    if (ack === 'queue') {
+      if (suppressionList) {
+        await suppressionList.recordEvent(responseData).catch(error => {
+          log.error('Failed to update suppression list', { event, eventId, error: error.message });
+        });
+      }
+      if (tracker) {
+        await tracker.recordEvent(responseData).catch(error => {
+          log.error('Failed to update delivery tracker', { event, eventId, error: error.message });
+        });
+      }
+      queue.push(responseData);
+    } else if (onEvent || suppressionList || tracker) {
+      try {
+        if (suppressionList) await suppressionList.recordEvent(responseData);
+        if (tracker) await tracker.recordEvent(responseData);
+        if (onEvent) await onEvent(responseData, { req, correlationId });
+      } catch (error) {
+        log.error('Event processing failed', {
+          event,
+          eventId,
+          error: error.message,
+          stack: error.stack,
+        });
+
+        if (ack === 'retry') {
+          // ⚠️ 503 makes Mailgun retry; forget the delivery so the retry is processed
+          await releaseDelivery({ dedupeStore, dedupeKey, nonceStore: verifyOptions.nonceStore, body: req.body }, log);
+          res.status(503).json({
+            received: false,
+            error: 'Processing failed, retry later',
+            event,
+            eventId,
+            correlationId,
+          });
+          return null;
+        }
+
+        if (queue) await queue.deadLetter(responseData, error);
+        res.status(200).json({
+          received: true,
+          error: 'Processing failed but webhook acknowledged',
+          event,
+          eventId,
+          correlationId,
+        });
+        return null;
+      }
+    }
+
+    // Log successful processing
+    const duration = Date.now() - startTime;
+    log.info('Webhook processed successfully', {
+      event,
+      eventId,
+      signingKeyId: verification.keyId,
+      duration: `${duration}ms`,
+    });
+
+    // ✅ MUST return 200 OK with event data for manual saving
+    res.status(200).json(responseData);
+    
+    // Return event data so caller can save it manually
+    return responseData;
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    log.error('Webhook error', {
+      error: error.message,
+      stack: error.stack,
+      duration: `${duration}ms`,
+    });
+
+    // ⚠️ Still return 200 so Mailgun doesn't retry forever
+    const errorResponse = { 
+      received: true, 
+      error: 'Processing failed but webhook acknowledged',
+      correlationId,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(errorResponse);
+    return null;
+  }
+}
+
+/**
+ * Read an event webhook body that no body parser has consumed
+ * 
+ * Current webhooks post JSON; legacy webhooks post urlencoded or
+ * multipart form data.
+ * 
+ * @param {Object} req - Node.js/Express request
+ * @returns {Promise<void>} Resolves once req.body is set
+ * @throws {Error} With statusCode (400, 406 or 415) for bodies that cannot be read
+ */
+async function readEventBody(req) {
+  if (req._body || (req.body && Object.keys(req.body).length > 0)) return;
+
+  const contentType = parseHeaderParams(req.headers?.['content-type'] || "");
+  if (contentType.value !== 'application/json') {
+    await parseInboundRequest(req);
+    return;
+  }
+
+  const body = await readBody(req, DEFAULT_INBOUND_LIMITS.maxBodySize);
+  try {
+    req.body = JSON.parse(body.toString("utf8"));
+  } catch (error) {
+    throw createHttpError(400, 'MALFORMED_JSON', 'Invalid JSON body');
+  }
+}
+
+// Acknowledgement strategies of createEventWebhook()
+const EVENT_ACK_MODES = ['after', 'before', 'retry', 'queue'];
+
+/**
+ * Get the handler names an event is dispatched to
+ * @param {Object} eventData - Normalized event
+ * @returns {Array<string>} e.g. ['failed', 'failed:permanent', '*']
+ */
+function getEventHandlerNames(eventData) {
+  const names = [eventData.event];
+  // Mailgun reports both kinds of failure as 'failed' and tells them apart by severity
+  if (eventData.severity) names.push(`${eventData.event}:${eventData.severity}`);
+  names.push('*');
+  return names;
+}
+
+/**
+ * Create a Mailgun event webhook with a handler registry
+ * 
+ * Returns an Express middleware with an on(eventName, handler) method.
+ * Handlers are registered for an event name ('delivered', 'opened',
+ * 'failed', ...), for a failure severity ('failed:permanent',
+ * 'failed:temporary') or for every event ('*'). All handlers matching an
+ * event run one after another, in the order they were registered.
+ * 
+ * Signature verification, replay protection and normalization are the same
+ * as mailgunWebhook(). Handlers receive the normalized event (see
+ * normalizeMailgunEvent) and a context with the raw payload. Legacy
+ * form-encoded webhooks are accepted too; legacy 'bounced' and 'dropped'
+ * events arrive as 'failed:permanent'. Bodies that no body parser has read
+ * are parsed by the middleware.
+ * 
+ * Ack modes:
+ * - 'after' (default): handlers are awaited, then Mailgun gets its 200
+ * - 'before': Mailgun gets its 200 first, then handlers run (use it when
+ *   handlers are slow; Mailgun times out after 10 seconds)
+ * - 'retry': handlers are awaited; if one fails Mailgun gets a 503 and
+ *   retries the whole event later
+ * - 'queue': Mailgun gets its 200 first; the event is processed from an
+ *   in-process queue and retried with backoff (see createRetryQueue)
+ * 
+ * A handler that throws does not affect the other handlers: the error is
+ * logged and passed to onError. The event then counts as failed. In
+ * 'after' and 'before' mode it goes straight to the dead-letter store, in
+ * 'queue' mode once maxAttempts are used up. replayDeadLetters() runs
+ * dead letters through the handlers again. Retries and replays run every
+ * matching handler, so handlers should be idempotent.
+ * 
+ * With a dedupeStore, retried deliveries are deduplicated on eventId (see
+ * getDedupeKey): an event that was already processed is acknowledged
+ * with 200 and duplicate: true without running any handler.
+ * 
+ * @param {Object} options - Webhook options
+ * @param {string|Array|Function} options.signingKey - Signing key(s) or resolver (defaults to MAILGUN_WEBHOOK_SIGNING_KEY env var)
+ * @param {number} options.toleranceSeconds - Accepted timestamp age in seconds (default: 900)
+ * @param {Object} options.nonceStore - Store used to reject replayed tokens (optional)
+ * @param {string} options.ack - 'after' (default), 'before', 'retry' or 'queue'
+ * @param {Function} options.onError - (error, eventData, context) => void, called when a handler throws (optional)
+ * @param {Object} options.deadLetterStore - Store for events that failed for good (default: createMemoryDeadLetterStore())
+ * @param {number} options.maxAttempts - Attempts per event in 'queue' mode (default: 5)
+ * @param {Object|Function} options.backoff - Retry delays in 'queue' mode (see createRetryQueue)
+ * @param {Object|null} options.dedupeStore - Store used to detect retried deliveries, e.g. createMemoryStore() (default: null, no deduplication)
+ * @param {number} options.dedupeTtlSeconds - How long deliveries are remembered (default: 86400)
+ * @param {Object|false} options.logger - pino/winston-style logger, or false for silent mode (see createLogger)
+ * @param {string} options.logLevel - Minimum log level (default: 'info')
+ * @param {boolean|Object|Function} options.redact - Redaction policy for log entries (default: mask emails, tokens and signatures)
+ * @param {Object} options.suppressionList - Suppression list fed from bounces, complaints and unsubscribes before other handlers run (see createSuppressionList)
+ * @param {Object} options.tracker - Delivery tracker updated with every event before other handlers run (see createDeliveryTracker)
+ * @returns {Function} Express middleware (req, res) with on(eventName, handler), replayDeadLetters() and drain()
+ * 
+ * @example
+ * const { createEventWebhook } = require('node-inbound-email');
+ * 
+ * const events = createEventWebhook({ ack: 'before' });
+ * events
+ *   .on('delivered', async (eventData) => db.messages.markDelivered(eventData.messageId))
+ *   .on('failed:permanent', async (eventData) => db.suppressions.add(eventData.recipient))
+ *   .on('*', async (eventData) => db.events.create(eventData));
+ * 
+ * app.post('/webhook/mailgun-events', express.json(), events);
+ */
+function createEventWebhook(options = {}) {
+  const {
+    ack = 'after',
+    onError = null,
+    dedupeStore = null,
+    dedupeTtlSeconds = DEFAULT_DEDUPE_TTL_SECONDS,
+    deadLetterStore = createMemoryDeadLetterStore(),
+    maxAttempts = 5,
+    backoff = DEFAULT_RETRY_BACKOFF,
+    suppressionList = null,
+    tracker = null,
+    logger,
+    logLevel,
+    redact,
+    ...webhookOptions
+  } = options;
+  if (!EVENT_ACK_MODES.includes(ack)) {
+    throw new Error(`Invalid ack mode: ${ack} (expected one of ${EVENT_ACK_MODES.join(', ')})`);
+  }
+  const verifyOptions = resolveWebhookOptions(webhookOptions);
+  const webhookLog = getComponentLogger({ logger, logLevel, redact }, 'EventWebhook');
+  const handlers = [];
+  if (suppressionList) {
+    // Runs like any other handler, so a failed write is retried or dead-lettered
+    handlers.push({ name: '*', handler: (eventData) => suppressionList.recordEvent(eventData) });
+  }
+  if (tracker) {
+    handlers.push({ name: '*', handler: (eventData) => tracker.recordEvent(eventData) });
+  }
+
+  async function runHandlers(eventData, context, log) {
+    const names = getEventHandlerNames(eventData);
+    const matching = handlers.filter(entry => names.includes(entry.name));
+    let failed = 0;
+    let firstError = null;
+
+    for (const entry of matching) {
+      try {
+        await entry.handler(eventData, context);
+      } catch (error) {
+        failed++;
+        firstError = firstError || error;
+        log.error(`Handler for "${entry.name}" failed`, {
+          event: eventData.event,
+          eventId: eventData.eventId,
+          error: error.message,
+          stack: error.stack,
+        });
+        if (onError) {
+          try {
+            await onError(error, eventData, { ...context, handler: entry.name });
+          } catch (reportError) {
+            log.error('onError failed', {
+              error: reportError.message,
+            });
+          }
+        }
+      }
+    }
+
+    return { handled: matching.length, failed, error: firstError };
+  }
+
+  // Queued and dead-lettered jobs: { eventData, payload, signingKeyId }
+  const queue = createRetryQueue({
+    source: 'EventWebhook',
+    maxAttempts,
+    backoff,
+    deadLetterStore,
+    logger: webhookLog,
+    process: async (job, { attempt, replay }) => {
+      const { eventData, payload, signingKeyId } = job;
+      const log = webhookLog.child({ correlationId: eventData.correlationId });
+      const context = { req: null, correlationId: eventData.correlationId, signingKeyId, payload, attempt, replay };
+      const { error } = await runHandlers(eventData, context, log);
+      if (error) throw error;
+    },
+  });
+
+  async function eventWebhook(req, res) {
+    const correlationId = getCorrelationId(req);
+    const log = webhookLog.child({ correlationId });
+
+    try {
+      try {
+        await readEventBody(req);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        res.status(error.statusCode).json({ received: false, error: error.message, reason: error.code, correlationId });
+        return;
+      }
+
+      if (!req.body) {
+        res.status(400).json({ received: false, error: 'Invalid request', correlationId });
+        return;
+      }
+
+      // 🔐 Verify Mailgun request signature
+      const verification = await verifyMailgunRequest(req, verifyOptions);
+      if (!verification.valid) {
+        const replayed = verification.reason === 'replayed_token';
+        log.warn(`${replayed ? 'Replayed' : 'Invalid'} Mailgun webhook signature`, {
+          reason: verification.reason,
+        });
+        res.status(401).json({
+          received: false,
+          error: replayed ? 'Replayed request' : 'Invalid signature',
+          reason: verification.reason,
+          correlationId,
+        });
+        return;
+      }
+
+      const normalized = normalizeMailgunEvent(req.body);
+      if (!normalized) {
+        log.warn('Missing event type', { fields: Object.keys(req.body) });
+        res.status(200).json({ received: true, error: 'Missing event type', correlationId });
+        return;
+      }
+
+      // 🔁 Acknowledge retries of an event that was already processed
+      const dedupeKey = getDedupeKey(normalized);
+      if (await isDuplicateDelivery(dedupeStore, dedupeKey, dedupeTtlSeconds)) {
+        log.info('Duplicate event skipped', {
+          event: normalized.event,
+          eventId: normalized.eventId,
+        });
+        res.status(200).json({
+          received: true,
+          duplicate: true,
+          event: normalized.event,
+          eventId: normalized.eventId,
+          correlationId,
+        });
+        return;
+      }
+
+      // Raw payload for handlers: event-data, or the whole legacy body
+      const payload = req.body['event-data'] || req.body;
+      logEvent(normalized, log);
+      const eventData = {
+        ...normalized,
+        correlationId,
+        signingKeyId: verification.keyId,
+        processedAt: new Date().toISOString(),
+      };
+      const job = { eventData, payload, signingKeyId: verification.keyId };
+      const context = { req, correlationId, signingKeyId: verification.keyId, payload, attempt: 1, replay: false };
+      const acknowledgement = { received: true, event: eventData.event, eventId: eventData.eventId, correlationId };
+
+      if (ack === 'queue') {
+        res.status(200).json(acknowledgement);
+        queue.push(job);
+        return;
+      }
+
+      if (ack === 'before') {
+        res.status(200).json(acknowledgement);
+        const { error } = await runHandlers(eventData, context, log);
+        if (error) await queue.deadLetter(job, error);
+        return;
+      }
+
+      const { error } = await runHandlers(eventData, context, log);
+      if (error && ack === 'retry') {
+        // ⚠️ 503 makes Mailgun retry; forget the delivery so the retry is processed
+        await releaseDelivery({ dedupeStore, dedupeKey, nonceStore: verifyOptions.nonceStore, body: req.body }, log);
+        res.status(503).json({
+          received: false,
+          error: 'Processing failed, retry later',
+          event: eventData.event,
+          eventId: eventData.eventId,
+          correlationId,
+        });
+        return;
+      }
+      if (error) await queue.deadLetter(job, error);
+      res.status(200).json(acknowledgement);
+    } catch (error) {
+      log.error('Webhook error', {
+        error: error.message,
+        stack: error.stack,
+      });
+      // ⚠️ Still return 200 so Mailgun doesn't retry forever
+      if (!res.headersSent) {
+        res.status(200).json({
+          received: true,
+          error: 'Processing failed but webhook acknowledged',
+          correlationId,
+        });
+      }
+    }
+  }
+
+  /**
+   * Register a handler
+   * @param {string} eventName - Event name, 'event:severity' (e.g. 'failed:permanent') or '*'
+   * @param {Function} handler - async (eventData, context) => void. context: { req, correlationId, signingKeyId, payload, attempt, replay }
+   * @returns {Function} The webhook, for chaining
+   */
+  eventWebhook.on = function on(eventName, handler) {
+    if (typeof eventName !== 'string' || !eventName) {
+      throw new Error("Event name must be a non-empty string");
+    }
+    if (typeof handler !== 'function') {
+      throw new Error("Event handler must be a function");
+    }
+    handlers.push({ name: eventName, handler });
+    return eventWebhook;
+  };
+
+  /**
+   * Run dead-lettered events through the handlers again (see createRetryQueue)
+   * @param {Object} replayOptions - { filter, limit } (optional)
+   * @returns {Promise<Object>} { replayed, failed, errors }
+   */
+  eventWebhook.replayDeadLetters = (replayOptions) => queue.replayDeadLetters(replayOptions);
+
+  /**
+   * Wait for queued events (ack: 'queue') to finish or be dead-lettered
+   * @returns {Promise<void>}
+   */
+  eventWebhook.drain = () => queue.drain();
+
+  eventWebhook.deadLetterStore = deadLetterStore;
+
+  return eventWebhook;
+}
+
+// Entity IDs are limited to characters that survive in an address local part
+const REPLY_ENTITY_REGEX = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Resolve the options shared by the reply address helpers
+ * @param {Object} options - { secret, domain, prefix, signatureLength }
+ * @returns {Object} Options with defaults applied
+ */
+function resolveReplyAddressOptions(options = {}) {
+  const {
+    secret = process.env.REPLY_ADDRESS_SECRET,
+    domain = process.env.REPLY_ADDRESS_DOMAIN,
+    prefix = "reply",
+    signatureLength = 16,
+  } = options;
+  const secrets = (Array.isArray(secret) ? secret : [secret]).filter(Boolean);
+
+  if (!secrets.length) {
+    throw new Error("Reply addresses require a secret (options.secret or REPLY_ADDRESS_SECRET)");
+  }
+  if (signatureLength < 8 || signatureLength > 64) {
+    throw new Error("signatureLength must be between 8 and 64");
+  }
+  return { secrets, domain, prefix, signatureLength };
+}
+
+/**
+ * Compute the truncated HMAC of a reply address token
+ * @param {string} secret - Secret
+ * @param {string} payload - prefix+entity[.expiry]
+ * @param {number} length - Number of hex characters kept
+ * @returns {string} Signature
+ */
+function signReplyToken(secret, payload, length) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("hex").slice(0, length);
+}
+
+/**
+ * Create a signed reply-by-email address for an entity
+ * 
+ * Produces `<prefix>+<entity>[.<expiry>].<hmac>@<domain>`, e.g.
+ * `reply+ticket_42.k3f9x2.9c1d0e4b7a5f3e21@inbound.example.com`. The
+ * expiry is a base-36 Unix timestamp; the HMAC (SHA-256, truncated) covers
+ * prefix, entity and expiry, so none of them can be changed without the
+ * secret. Route the domain to your inbound webhook and read the entity
+ * back with decodeReplyAddress().
+ * 
+ * @param {string|number} entity - Entity ID (letters, digits, '_' and '-')
+ * @param {Object} options - Address options
+ * @param {string|Array<string>} options.secret - HMAC secret; the first of a list is used (default: REPLY_ADDRESS_SECRET env var)
+ * @param {string} options.domain - Domain of the address (default: REPLY_ADDRESS_DOMAIN env var)
+ * @param {string} options.prefix - Local part before the '+' (default: 'reply')
+ * @param {number} options.expiresIn - Lifetime in seconds (optional, addresses do not expire by default)
+ * @param {number} options.signatureLength - HMAC hex characters kept (default: 16)
+ * @returns {string} Reply address
+ * @throws {Error} If the secret or domain is missing, or the entity is not usable in an address
+ * 
+ * @example
+ * const { createReplyAddress } = require('node-inbound-email');
+ * 
+ * const replyTo = createReplyAddress(`ticket_${ticket.id}`, {
+ *   domain: 'inbound.example.com',
+ *   expiresIn: 30 * 24 * 3600,
+ * });
+ */
+function createReplyAddress(entity, options = {}) {
+  const { secrets, domain, prefix, signatureLength } = resolveReplyAddressOptions(options);
+  const id = String(entity === null || entity === undefined ? "" : entity);
+
+  if (!domain) {
+    throw new Error("Reply addresses require a domain (options.domain or REPLY_ADDRESS_DOMAIN)");
+  }
+  if (!REPLY_ENTITY_REGEX.test(id)) {
+    throw new Error(`Invalid reply address entity: "${id}" (use letters, digits, '_' and '-')`);
+  }
+
+  const expiry = options.expiresIn
+    ? `.${(Math.floor(Date.now() / 1000) + options.expiresIn).toString(36)}`
+    : "";
+  const payload = `${prefix}+${id}${expiry}`;
+  const localPart = `${payload}.${signReplyToken(secrets[0], payload, signatureLength)}`;
+
+  // RFC 5321 limits the local part to 64 octets
+  if (localPart.length > 64) {
+    throw new Error(`Reply address local part exceeds 64 characters: ${localPart}`);
+  }
+  return `${localPart}@${domain}`;
+}
+
+/**
+ * Verify a signed reply address and extract its entity
+ * 
+ * Every secret in a list is tried, so a secret can be rotated while older
+ * addresses are still in circulation.
+ * 
+ * @param {string} address - Recipient address (a display name is allowed)
+ * @param {Object} options - Same options as createReplyAddress (domain, if set, must match)
+ * @returns {Object} { valid, entity, expiresAt, reason }. reason: 'not_reply_address', 'invalid_signature' or 'expired'
+ */
+function verifyReplyAddress(address, options = {}) {
+  const { secrets, domain, prefix, signatureLength } = resolveReplyAddressOptions(options);
+  const email = extractEmail(address) || "";
+  const at = email.lastIndexOf('@');
+  const localPart = at > 0 ? email.slice(0, at) : "";
+  const result = { valid: false, entity: null, expiresAt: null, reason: 'not_reply_address' };
+
+  const escapedPrefix = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`^${escapedPrefix}\\+([A-Za-z0-9_-]+)(?:\\.([0-9a-z]+))?\\.([0-9a-f]+)$`, 'i').exec(localPart);
+  if (!match || (domain && email.slice(at + 1).toLowerCase() !== domain.toLowerCase())) {
+    return result;
+  }
+
+  const [, entity, expiry, signature] = match;
+  // Only the entity is case-sensitive; expiry and signature survive case-folding MTAs
+  const payload = `${prefix}+${entity}${expiry ? `.${expiry.toLowerCase()}` : ""}`;
+  const provided = Buffer.from(signature.toLowerCase());
+  const signed = provided.length === signatureLength && secrets.some(secret => {
+    const expected = Buffer.from(signReplyToken(secret, payload, signatureLength));
+    return crypto.timingSafeEqual(expected, provided);
+  });
+  if (!signed) {
+    return { ...result, reason: 'invalid_signature' };
+  }
+
+  const expiresAt = expiry ? new Date(parseInt(expiry.toLowerCase(), 36) * 1000) : null;
+  if (expiresAt && expiresAt.getTime() < Date.now()) {
+    return { ...result, entity, expiresAt, reason: 'expired' };
+  }
+  return { valid: true, entity, expiresAt, reason: null };
+}
+
+/**
+ * Find the signed reply address among a message's recipients
+ * 
+ * Checks each address in emailData.to and returns the first valid one.
+ * When reply addresses are present but none is valid, the result explains
+ * why (forged or expired), so the message can be rejected.
+ * 
+ * @param {Object} emailData - emailData from processEmailData()
+ * @param {Object} options - Same options as createReplyAddress
+ * @returns {Object} { valid, entity, address, expiresAt, reason }
+ * 
+ * @example
+ * const { decodeReplyAddress } = require('node-inbound-email');
+ * 
+ * const reply = decodeReplyAddress(emailData, { domain: 'inbound.example.com' });
+ * if (reply.valid) {
+ *   await comments.create({ ticketId: reply.entity, body: emailData.text });
+ * } else if (reply.reason !== 'not_reply_address') {
+ *   console.warn('Rejected reply', reply.reason);
+ * }
+ */
+function decodeReplyAddress(emailData, options = {}) {
+  let rejected = null;
+
+  for (const address of (emailData && emailData.to) || []) {
+    const result = verifyReplyAddress(address, options);
+    if (result.valid) return { ...result, address };
+    if (result.reason !== 'not_reply_address' && !rejected) rejected = { ...result, address };
+  }
+
+  return rejected || { valid: false, entity: null, address: null, expiresAt: null, reason: 'not_reply_address' };
+}
+
+// Suppression types, named as in Mailgun's suppression lists
+const SUPPRESSION_TYPES = ['bounce', 'complaint', 'unsubscribe'];
+
+// Bounces and complaints cover every tag; unsubscribes may be limited to one
+const ALL_TAGS = '*';
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = "";
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value !== "")) rows.push(row);
+  return rows;
+}
+
+/**
+ * Format one CSV row, quoting fields where needed
+ * @param {Array} values - Field values
+ * @returns {string} CSV line without line break
+ */
+function toCsvRow(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+/**
+ * Create a suppression list
+ * 
+ * Keeps the addresses that must not be emailed: permanent bounces,
+ * complaints and unsubscribes. Feed it from event webhooks (pass it as
+ * the suppressionList option of createEventWebhook or mailgunWebhook, or
+ * call recordEvent) and pass it to createEmailSender, which checks it
+ * before every send.
+ * 
+ * Bounces and complaints suppress an address for every message.
+ * Unsubscribes can be scoped to a tag: a recipient unsubscribed from
+ * 'newsletter' still gets messages without that tag.
+ * 
+ * Store interface (implement it to share the list between processes):
+ * - get(key): entry or null
+ * - set(key, entry)
+ * - delete(key): true if an entry was removed
+ * - list(): all entries
+ * All methods may return a Promise. Keys are '<address>|<tag>', with tag
+ * '*' for entries that cover every tag.
+ * 
+ * Entries are { address, type, tag, reason, code, createdAt }; type is
+ * 'bounce', 'complaint' or 'unsubscribe'.
+ * 
+ * @param {Object} options - Suppression list options
+ * @param {Object} options.store - Store (default: in memory)
+ * @param {boolean} options.scopeUnsubscribesToTags - Record unsubscribe events for the tags of the message instead of every tag (default: false)
+ * @returns {Object} Suppression list with add, remove, list, check, filterRecipients, recordEvent, importCsv and exportCsv
+ * 
+ * @example
+ * const { createSuppressionList, createEventWebhook, createEmailSender } = require('node-inbound-email');
+ * 
+ * const suppressionList = createSuppressionList();
+ * app.post('/webhook/mailgun-events', createEventWebhook({ suppressionList }));
+ * const sendEmail = createEmailSender('mailgun', { suppressionList });
+ */
+function createSuppressionList(options = {}) {
+  const { scopeUnsubscribesToTags = false } = options;
+  const store = options.store || (() => {
+    const entries = new Map();
+    return {
+      get: (key) => entries.get(key) || null,
+      set: (key, entry) => { entries.set(key, entry); },
+      delete: (key) => entries.delete(key),
+      list: () => [...entries.values()],
+    };
+  })();
+
+  // Recipients may be strings or nodemailer-style { name, address } objects
+  const normalizeAddress = (recipient) => {
+    const address = recipient && typeof recipient === 'object' ? recipient.address : recipient;
+    return extractEmail(address || "").trim().toLowerCase();
+  };
+  const keyOf = (address, tag) => `${address}|${tag || ALL_TAGS}`;
+
+  /**
+   * Add or replace an entry
+   * @param {string} address - Email address
+   * @param {Object} entryOptions - { type, tag, reason, code, createdAt } (type defaults to 'unsubscribe')
+   * @returns {Promise<Object>} Entry
+   */
+  async function add(address, entryOptions = {}) {
+    const {
+      type = 'unsubscribe',
+      tag = null,
+      reason = null,
+      code = null,
+      createdAt = new Date(),
+    } = entryOptions;
+    const normalized = normalizeAddress(address);
+    if (!normalized.includes('@')) {
+      throw new Error(`Invalid email address: ${address}`);
+    }
+    if (!SUPPRESSION_TYPES.includes(type)) {
+      throw new Error(`Invalid suppression type: ${type} (expected ${SUPPRESSION_TYPES.join(', ')})`);
+    }
+    // Only unsubscribes can be scoped to a tag
+    const entryTag = type === 'unsubscribe' && tag ? String(tag) : ALL_TAGS;
+
+    const entry = {
+      address: normalized,
+      type,
+      tag: entryTag,
+      reason: reason || null,
+      code: code === null || code === undefined || code === "" ? null : Number(code) || String(code),
+      createdAt: new Date(createdAt).toISOString(),
+    };
+    await store.set(keyOf(normalized, entryTag), entry);
+    return entry;
+  }
 
-  // Convert headers array to object for easier access
-  const headersObj = {};
-  const parsedHeaders = parseHeaders(messageHeaders);
-  if (parsedHeaders && parsedHeaders.length > 0) {
-    parsedHeaders.forEach(header => {
-      if (Array.isArray(header) && header.length >= 2) {
-        const [key, value] = header;
-        headersObj[key] = value;
+  /**
+   * Remove an entry
+   * @param {string} address - Email address
+   * @param {Object} removeOptions - { tag, type }; with type, the entry is only removed if it has that type
+   * @returns {Promise<boolean>} true if an entry was removed
+   */
+  async function remove(address, removeOptions = {}) {
+    const { tag = null, type = null } = removeOptions;
+    const key = keyOf(normalizeAddress(address), tag);
+    if (type) {
+      const entry = await store.get(key);
+      if (!entry || entry.type !== type) return false;
+    }
+    return Boolean(await store.delete(key));
+  }
+
+  /**
+   * List entries
+   * @param {Object} filter - { type, tag, address } (optional)
+   * @returns {Promise<Array<Object>>} Matching entries
+   */
+  async function list(filter = {}) {
+    const address = filter.address ? normalizeAddress(filter.address) : null;
+    return (await store.list()).filter(entry =>
+      (!filter.type || entry.type === filter.type) &&
+      (!filter.tag || entry.tag === filter.tag) &&
+      (!address || entry.address === address));
+  }
+
+  /**
+   * Find the entry suppressing an address for a message
+   * @param {string} address - Email address (display names are ignored)
+   * @param {Object} checkOptions - { tags }: tags of the message
+   * @returns {Promise<Object|null>} Suppressing entry, or null if the address may be emailed
+   */
+  async function check(address, checkOptions = {}) {
+    const normalized = normalizeAddress(address);
+    const tags = [].concat(checkOptions.tags || []).filter(Boolean);
+    for (const tag of [ALL_TAGS, ...tags]) {
+      const entry = await store.get(keyOf(normalized, tag));
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Split recipients into allowed and suppressed ones
+   * @param {string|Array} recipients - Address list string, or array of addresses / { name, address } objects
+   * @param {Object} checkOptions - { tags }
+   * @returns {Promise<Object>} { allowed: [...], suppressed: [{ address, entry }] }
+   */
+  async function filterRecipients(recipients, checkOptions = {}) {
+    const list = Array.isArray(recipients)
+      ? recipients
+      : parseAddressList(recipients || "").map(({ name, address }) => (name ? { name, address } : address));
+    const result = { allowed: [], suppressed: [] };
+    for (const recipient of list) {
+      const entry = await check(recipient, checkOptions);
+      if (entry) {
+        result.suppressed.push({ address: normalizeAddress(recipient), entry });
+      } else {
+        result.allowed.push(recipient);
       }
-    });
+    }
+    return result;
   }
 
-  // Extract CC from body or headers
-  const ccValue = cc || headersObj['Cc'] || headersObj['CC'] || "";
-  // Extract TO from body or headers (can be multiple recipients)
-  const toValue = recipient || headersObj['To'] || headersObj['TO'] || "";
+  /**
+   * Add the recipient of a permanent failure or bounce, complaint or unsubscribe event
+   * @param {Object} eventData - Normalized event (see normalizeMailgunEvent)
+   * @returns {Promise<Array<Object>>} Entries added (empty for other events and known addresses)
+   */
+  async function recordEvent(eventData) {
+    if (!eventData || !eventData.recipient) return [];
 
-  const emailData = {
-    messageId: cleanMessageId(headersObj['Message-ID'] || headersObj['Message-Id'] || null),
-    from: extractEmail(sender || from),
-    to: extractEmails(toValue),
-    cc: extractEmails(ccValue),
-    subject: subject || "",
-    text: bodyPlain || strippedText || "",
-    html: bodyHtml || strippedHtml || "",
-    headers: headersObj,
-    attachments: processedAttachments,
-    attachmentCount: Number(attachmentCount || 0),
-    receivedAt: new Date().toISOString(),
-    timestamp: new Date().toISOString(),
+    let type = null;
+    if ((eventData.event === 'failed' || eventData.event === 'bounced') && eventData.severity === 'permanent') type = 'bounce';
+    if (eventData.event === 'complained') type = 'complaint';
+    if (eventData.event === 'unsubscribed') type = 'unsubscribe';
+    if (!type) return [];
+
+    const tags = type === 'unsubscribe' && scopeUnsubscribesToTags && eventData.tags && eventData.tags.length > 0
+      ? eventData.tags
+      : [ALL_TAGS];
+    const deliveryStatus = eventData.deliveryStatus || {};
+    const added = [];
+
+    for (const tag of tags) {
+      const address = normalizeAddress(eventData.recipient);
+      // Mailgun reports sends to suppressed addresses as failures too; keep the original entry
+      if (await store.get(keyOf(address, tag))) continue;
+      added.push(await add(address, {
+        type,
+        tag,
+        reason: eventData.reason || deliveryStatus.description || deliveryStatus.message || null,
+        code: type === 'bounce' ? deliveryStatus.code : null,
+        createdAt: eventData.timestamp || new Date(),
+      }));
+    }
+
+    return added;
+  }
+
+  /**
+   * Import a suppression CSV exported from Mailgun
+   * 
+   * Columns are read from the header row: address, code, error, tags,
+   * created_at. Without a type option the type is inferred: a code or
+   * error column means bounces, a tags column unsubscribes, otherwise
+   * complaints.
+   * 
+   * @param {string|Buffer} csv - CSV content
+   * @param {Object} importOptions - { type } (optional)
+   * @returns {Promise<Object>} { imported, skipped }
+   */
+  async function importCsv(csv, importOptions = {}) {
+    const [header = [], ...rows] = parseCsv(String(csv).replace(/^\uFEFF/, ""));
+    const columns = header.map(name => name.trim().toLowerCase());
+    const column = (row, name) => {
+      const index = columns.indexOf(name);
+      return index === -1 ? "" : (row[index] || "").trim();
+    };
+    if (!columns.includes('address')) {
+      throw new Error("Suppression CSV must have an address column");
+    }
+
+    const type = importOptions.type ||
+      (columns.includes('code') || columns.includes('error') ? 'bounce'
+        : columns.includes('tags') || columns.includes('tag') ? 'unsubscribe'
+          : 'complaint');
+    const result = { imported: 0, skipped: 0 };
+
+    for (const row of rows) {
+      const address = column(row, 'address');
+      const createdAt = new Date(column(row, 'created_at').replace(/ UTC$/, ' GMT'));
+      const tags = (column(row, 'tags') || column(row, 'tag')).split(',').map(tag => tag.trim()).filter(Boolean);
+      if (!normalizeAddress(address).includes('@')) {
+        result.skipped++;
+        continue;
+      }
+
+      for (const tag of tags.length > 0 ? tags : [ALL_TAGS]) {
+        await add(address, {
+          type,
+          tag,
+          reason: column(row, 'error') || null,
+          code: column(row, 'code') || null,
+          createdAt: isNaN(createdAt.getTime()) ? new Date() : createdAt,
+        });
+      }
+      result.imported++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Export entries of one type as a CSV Mailgun can import
+   * 
+   * Bounces: address,code,error,created_at. Complaints:
+   * address,created_at. Unsubscribes: address,tags,created_at (one row
+   * per address, tags comma separated).
+   * 
+   * @param {Object} exportOptions - { type } ('bounce', 'complaint' or 'unsubscribe')
+   * @returns {Promise<string>} CSV content
+   */
+  async function exportCsv(exportOptions = {}) {
+    const { type } = exportOptions;
+    if (!SUPPRESSION_TYPES.includes(type)) {
+      throw new Error(`Export requires a type (${SUPPRESSION_TYPES.join(', ')})`);
+    }
+    const entries = await list({ type });
+    // Mailgun writes dates as 'Fri, 21 Oct 2011 11:02:55 UTC'
+    const formatDate = (value) => new Date(value).toUTCString().replace(/GMT$/, 'UTC');
+    const lines = [];
+
+    if (type === 'bounce') {
+      lines.push(toCsvRow(['address', 'code', 'error', 'created_at']));
+      entries.forEach(entry => lines.push(toCsvRow([entry.address, entry.code, entry.reason, formatDate(entry.createdAt)])));
+    } else if (type === 'complaint') {
+      lines.push(toCsvRow(['address', 'created_at']));
+      entries.forEach(entry => lines.push(toCsvRow([entry.address, formatDate(entry.createdAt)])));
+    } else {
+      const byAddress = new Map();
+      entries.forEach(entry => {
+        const grouped = byAddress.get(entry.address) || { tags: [], createdAt: entry.createdAt };
+        grouped.tags.push(entry.tag);
+        if (entry.createdAt < grouped.createdAt) grouped.createdAt = entry.createdAt;
+        byAddress.set(entry.address, grouped);
+      });
+      lines.push(toCsvRow(['address', 'tags', 'created_at']));
+      byAddress.forEach((grouped, address) => {
+        const tags = grouped.tags.includes(ALL_TAGS) ? [ALL_TAGS] : grouped.tags;
+        lines.push(toCsvRow([address, tags.join(','), formatDate(grouped.createdAt)]));
+      });
+    }
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  return {
+    add,
+    remove,
+    list,
+    check,
+    filterRecipients,
+    recordEvent,
+    importCsv,
+    exportCsv,
+    store,
   };
+}
+
+// Delivery statuses in lifecycle order; a recipient's status never moves back
+const DELIVERY_STATUS_RANKS = {
+  sent: 0,
+  accepted: 1,
+  deferred: 2,
+  delivered: 3,
+  opened: 4,
+  clicked: 5,
+  unsubscribed: 6,
+  complained: 7,
+  // Final
+  rejected: 8,
+  failed: 8,
+  bounced: 8,
+};
+
+/**
+ * Map a normalized event to a delivery status
+ * @param {Object} eventData - Normalized event (see normalizeMailgunEvent)
+ * @returns {string|null} Delivery status, or null for events that do not affect delivery
+ */
+function getDeliveryStatus(eventData) {
+  switch (eventData.event) {
+    case 'accepted':
+    case 'rejected':
+    case 'delivered':
+    case 'opened':
+    case 'clicked':
+    case 'unsubscribed':
+    case 'complained':
+    case 'bounced':
+      return eventData.event;
+    case 'failed':
+      if (eventData.severity !== 'permanent') return 'deferred';
+      return eventData.reasonCode === 'bounce' || eventData.legacyEvent === 'bounced' ? 'bounced' : 'failed';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create an in-memory delivery tracking store
+ * @param {Object} options - Store options
+ * @param {number} options.maxMessages - Maximum number of messages kept; the oldest are evicted first (default: 100000)
+ * @returns {Object} Store with get, set and findByRecipient
+ */
+function createMemoryTrackingStore({ maxMessages = 100000 } = {}) {
+  const messages = new Map();
+  const byRecipient = new Map();
+
+  function unindex(record) {
+    record.recipients.forEach(({ address }) => {
+      const ids = byRecipient.get(address);
+      if (!ids) return;
+      ids.delete(record.messageId);
+      if (ids.size === 0) byRecipient.delete(address);
+    });
+  }
 
   return {
-    emailData,
-    token,
-    timestamp,
-    signature,
+    get(messageId) {
+      return messages.get(messageId) || null;
+    },
+    set(messageId, record) {
+      const previous = messages.get(messageId);
+      if (previous) {
+        unindex(previous);
+        messages.delete(messageId);
+      }
+      while (messages.size >= maxMessages) {
+        const oldest = messages.values().next().value;
+        unindex(oldest);
+        messages.delete(oldest.messageId);
+      }
+      messages.set(messageId, record);
+      record.recipients.forEach(({ address }) => {
+        if (!byRecipient.has(address)) byRecipient.set(address, new Set());
+        byRecipient.get(address).add(messageId);
+      });
+    },
+    findByRecipient(address) {
+      return [...(byRecipient.get(address) || [])].map(messageId => messages.get(messageId));
+    },
   };
 }
 
 /**
- * Production-ready Mailgun event webhook handler
+ * Create a delivery tracker linking sent messages to webhook events
  * 
- * Handles Mailgun event webhooks (delivered, opened, clicked, bounced, etc.)
- * with proper error handling, validation, and logging. Returns event data
- * for manual processing and saving to database.
+ * recordSend() stores each outgoing message with its recipients (the
+ * sender does this when given the tracker). recordEvent() moves the
+ * status of one recipient along the lifecycle as events arrive (pass
+ * the tracker to mailgunWebhook or createEventWebhook):
  * 
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {string} signingKey - Mailgun webhook signing key (optional, defaults to MAILGUN_WEBHOOK_SIGNING_KEY env var)
- * @returns {Promise<Object|null>} Returns event data if successfully processed, null otherwise
+ *   sent → accepted → delivered → opened → clicked
+ *                   ↘ deferred (temporary failure, retried by Mailgun)
+ *                   ↘ failed / bounced / rejected (final)
+ *   delivered → unsubscribed / complained
+ * 
+ * Events may arrive out of order; the status never moves back, but
+ * every event is kept in the recipient's history. Events for messages
+ * that were never recorded are ignored.
+ * 
+ * Store interface (implement it to persist tracking data):
+ * - get(messageId): record or null
+ * - set(messageId, record)
+ * - findByRecipient(address): records that include the address
+ * All methods may return a Promise. Records are { messageId, template,
+ * subject, tags, metadata, sentAt, updatedAt, recipients: [{ address,
+ * status, updatedAt, history: [{ status, event, eventId, reason, at }] }] }.
+ * 
+ * @param {Object} options - Tracker options
+ * @param {Object} options.store - Store (default: in memory, see maxMessages)
+ * @param {number} options.maxMessages - Messages kept by the default store (default: 100000)
+ * @returns {Object} Tracker with recordSend, recordEvent, getMessageStatus and listByRecipient
  * 
  * @example
- * const { mailgunWebhook } = require('node-inbound-email');
+ * const { createDeliveryTracker, createEmailSender, createEventWebhook } = require('node-inbound-email');
  * 
- * app.post('/webhook/mailgun-events', express.json(), async (req, res) => {
- *   const eventData = await mailgunWebhook(req, res);
- *   // eventData contains the processed event data for manual saving
- *   if (eventData && eventData.received && eventData.event) {
- *     await db.events.create(eventData);
- *   }
- * });
+ * const tracker = createDeliveryTracker();
+ * const sendEmail = createEmailSender('mailgun', { tracker });
+ * app.post('/webhook/mailgun-events', createEventWebhook({ tracker }));
+ * 
+ * const { messageId } = await sendEmail('welcome', { to: 'user@example.com', subject: 'Welcome!', locals });
+ * // Later
+ * const status = await tracker.getMessageStatus(messageId);
+ * // { messageId, summary: { delivered: 1 }, recipients: [{ address: 'user@example.com', status: 'delivered', ... }] }
  */
-async function mailgunWebhook(req, res, signingKey = process.env.MAILGUN_WEBHOOK_SIGNING_KEY) {
-  const startTime = Date.now();
-  const correlationId = req.headers['x-request-id'] || 
-                       req.headers['x-correlation-id'] || 
-                       `mg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+function createDeliveryTracker(options = {}) {
+  const store = options.store || createMemoryTrackingStore({ maxMessages: options.maxMessages });
+  // Serializes updates per message so concurrent events do not overwrite each other
+  const locks = new Map();
 
-  try {
-    // Validate request body
-    if (!req || !req.body) {
-      console.error(`[MailgunWebhook:${correlationId}] Invalid request: missing body`, {
-        ip: req.ip || req.connection?.remoteAddress,
-        userAgent: req.headers['user-agent'],
-      });
-      res.status(400).json({ 
-        received: false, 
-        error: 'Invalid request',
-        correlationId 
-      });
-      return null;
+  async function withLock(messageId, update) {
+    const previous = locks.get(messageId) || Promise.resolve();
+    const current = previous.then(update, update);
+    const settled = current.then(() => {}, () => {});
+    locks.set(messageId, settled);
+    settled.then(() => {
+      if (locks.get(messageId) === settled) locks.delete(messageId);
+    });
+    return current;
+  }
+
+  const normalizeAddress = (recipient) => {
+    const address = recipient && typeof recipient === 'object' ? recipient.address : recipient;
+    return extractEmail(address || "").trim().toLowerCase();
+  };
+
+  function summarize(record) {
+    const summary = {};
+    record.recipients.forEach(({ status }) => {
+      summary[status] = (summary[status] || 0) + 1;
+    });
+    return { ...record, summary };
+  }
+
+  /**
+   * Record an outgoing message
+   * @param {Object} message - { messageId, recipients, template, subject, tags, metadata, sentAt }
+   * @returns {Promise<Object>} Record
+   */
+  async function recordSend(message = {}) {
+    const messageId = cleanMessageId(message.messageId);
+    if (!messageId) {
+      throw new Error("recordSend requires a messageId");
     }
+    const recipients = Array.isArray(message.recipients)
+      ? message.recipients.map(normalizeAddress)
+      : extractEmails(message.recipients || "").map(address => address.toLowerCase());
+    const sentAt = new Date(message.sentAt || Date.now()).toISOString();
 
-    // 🔐 Verify Mailgun request signature
-    // Extract signature data from request body (supports both event and inbound webhooks)
-    const sig = req.body.signature;
-    const token = sig?.token || req.body.token;
-    const sigTimestamp = sig?.timestamp || req.body.timestamp;
-    const signature = sig?.signature || req.body.signature;
-    
-    const isValid = verifyMailgunSignature(token, sigTimestamp, signature, signingKey);
-    if (!isValid) {
-      console.warn(`[MailgunWebhook:${correlationId}] Invalid Mailgun webhook signature`);
-      res.status(401).json({ 
-        received: false, 
-        error: 'Invalid signature',
-        correlationId 
+    return withLock(messageId, async () => {
+      const record = {
+        messageId,
+        template: message.template || null,
+        subject: message.subject || null,
+        tags: [].concat(message.tags || []),
+        metadata: message.metadata || {},
+        sentAt,
+        updatedAt: sentAt,
+        recipients: [...new Set(recipients.filter(Boolean))].map(address => ({
+          address,
+          status: 'sent',
+          updatedAt: sentAt,
+          history: [{ status: 'sent', event: null, eventId: null, reason: null, at: sentAt }],
+        })),
+      };
+      await store.set(messageId, record);
+      return record;
+    });
+  }
+
+  /**
+   * Apply a webhook event to the recipient it concerns
+   * @param {Object} eventData - Normalized event (see normalizeMailgunEvent)
+   * @returns {Promise<Object|null>} Updated recipient, or null for untracked messages and unrelated events
+   */
+  async function recordEvent(eventData) {
+    const status = eventData ? getDeliveryStatus(eventData) : null;
+    const messageId = eventData ? cleanMessageId(eventData.messageId) : null;
+    const address = eventData ? normalizeAddress(eventData.recipient) : "";
+    if (!status || !messageId || !address) return null;
+
+    return withLock(messageId, async () => {
+      const record = await store.get(messageId);
+      if (!record) return null;
+
+      let recipient = record.recipients.find(entry => entry.address === address);
+      if (!recipient) {
+        // E.g. a Bcc recipient or a list member expanded by Mailgun
+        recipient = { address, status: 'sent', updatedAt: record.sentAt, history: [] };
+        record.recipients.push(recipient);
+      }
+      if (eventData.eventId && recipient.history.some(entry => entry.eventId === eventData.eventId)) {
+        return recipient;
+      }
+
+      const at = eventData.timestamp || new Date().toISOString();
+      recipient.history.push({
+        status,
+        event: eventData.event,
+        eventId: eventData.eventId || null,
+        reason: eventData.reason || null,
+        at,
       });
-      return null;
+      const isFinal = DELIVERY_STATUS_RANKS[recipient.status] === DELIVERY_STATUS_RANKS.failed;
+      if (!isFinal && DELIVERY_STATUS_RANKS[status] >= DELIVERY_STATUS_RANKS[recipient.status]) {
+        recipient.status = status;
+        recipient.updatedAt = at;
+      }
+      record.updatedAt = new Date().toISOString();
+
+      await store.set(messageId, record);
+      return recipient;
+    });
+  }
+
+  /**
+   * Get a message with the status of every recipient
+   * @param {string} messageId - Message-ID (angle brackets optional)
+   * @returns {Promise<Object|null>} Record with summary ({ [status]: count }), or null if unknown
+   */
+  async function getMessageStatus(messageId) {
+    const record = await store.get(cleanMessageId(messageId));
+    return record ? summarize(record) : null;
+  }
+
+  /**
+   * List the messages sent to an address, newest first
+   * @param {string} address - Email address
+   * @param {Object} listOptions - { status, limit } (optional)
+   * @returns {Promise<Array<Object>>} [{ messageId, template, subject, tags, metadata, sentAt, status, updatedAt, history }]
+   */
+  async function listByRecipient(address, listOptions = {}) {
+    const { status = null, limit = Infinity } = listOptions;
+    const normalized = normalizeAddress(address);
+    const records = (await store.findByRecipient(normalized)).filter(Boolean);
+
+    return records
+      .map(record => {
+        const recipient = record.recipients.find(entry => entry.address === normalized);
+        return {
+          messageId: record.messageId,
+          template: record.template,
+          subject: record.subject,
+          tags: record.tags,
+          metadata: record.metadata,
+          sentAt: record.sentAt,
+          status: recipient.status,
+          updatedAt: recipient.updatedAt,
+          history: recipient.history,
+        };
+      })
+      .filter(entry => !status || entry.status === status)
+      .sort((a, b) => (a.sentAt < b.sentAt ? 1 : a.sentAt > b.sentAt ? -1 : 0))
+      .slice(0, limit);
+  }
+
+  return {
+    recordSend,
+    recordEvent,
+    getMessageStatus,
+    listByRecipient,
+    store,
+  };
+}
+
+// Mailgun HTTP API base URLs per region
+const MAILGUN_API_BASE_URLS = {
+  us: 'https://api.mailgun.net',
+  eu: 'https://api.eu.mailgun.net',
+};
+
+/**
+ * Encode fields as multipart/form-data
+ * @param {Array<Array>} fields - [name, value] pairs; value is a string or { filename, content, contentType } for files
+ * @returns {Object} { body: Buffer, contentType }
+ */
+function encodeMultipartForm(fields) {
+  const boundary = `----node-inbound-email-${crypto.randomBytes(12).toString('hex')}`;
+  const quote = (value) => String(value).replace(/["\r\n]/g, '_');
+  const parts = [];
+
+  fields.forEach(([name, value]) => {
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+      parts.push(Buffer.from(
+        `--${boundary}\r\n` +
+        `Content-Disposition: form-data; name="${quote(name)}"; filename="${quote(value.filename)}"\r\n` +
+        `Content-Type: ${value.contentType || 'application/octet-stream'}\r\n\r\n`
+      ));
+      parts.push(Buffer.isBuffer(value.content) ? value.content : Buffer.from(String(value.content)));
+    } else {
+      parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${quote(name)}"\r\n\r\n`));
+      parts.push(Buffer.isBuffer(value) ? value : Buffer.from(String(value)));
     }
+    parts.push(Buffer.from('\r\n'));
+  });
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
 
-    // Extract event data from request body
-    const eventData = req.body['event-data'] || {};
-    const event = eventData.event;
-    const eventId = eventData.id || eventData['event-id'] || null;
-    const recipient = eventData.recipient;
-    const messageId = eventData.message?.headers?.['message-id'] || 
-                     eventData['message-id'] || 
-                     eventData.messageId || 
-                     null;
-    const url = eventData.url;
-    const timestamp = eventData.timestamp || Date.now() / 1000;
-    const domain = eventData.domain?.name || eventData.domain;
-    const reason = eventData['delivery-status']?.description || 
-                  eventData.reason || 
-                  eventData['failure-reason'] || 
-                  null;
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
 
-    // Validate required fields
-    if (!event) {
-      console.warn(`[MailgunWebhook:${correlationId}] Missing event type`, { 
-        body: req.body 
+/**
+ * Format a recipient ('a@x.com', 'Name <a@x.com>' or { name, address }) for Mailgun
+ * @param {string|Object} recipient - Recipient
+ * @returns {string} Address
+ */
+function formatRecipient(recipient) {
+  if (!recipient || typeof recipient !== 'object') return String(recipient);
+  return recipient.name ? `"${String(recipient.name).replace(/"/g, '\\"')}" <${recipient.address}>` : recipient.address;
+}
+
+/**
+ * Convert nodemailer-style attachments to Mailgun attachment and inline fields
+ * 
+ * Attachments with a cid are sent as inline; Mailgun uses the filename as
+ * the Content-ID, so it is set to the cid.
+ * 
+ * @param {Array} attachments - [{ filename, content, path, contentType, cid }]
+ * @returns {Promise<Array<Array>>} Form fields
+ */
+async function toMailgunAttachmentFields(attachments) {
+  const fields = [];
+  for (const attachment of attachments || []) {
+    let content = attachment.content;
+    if (content === undefined && attachment.path) {
+      content = await fs.promises.readFile(attachment.path);
+    }
+    if (content === undefined || (content && typeof content.pipe === 'function')) {
+      throw new Error(`Attachment "${attachment.filename || attachment.path}" needs content as a Buffer or string, or a path`);
+    }
+    content = Buffer.isBuffer(content) ? content : Buffer.from(String(content), attachment.encoding || 'utf8');
+    const filename = attachment.cid || attachment.filename || (attachment.path ? path.basename(attachment.path) : 'attachment');
+    fields.push([attachment.cid ? 'inline' : 'attachment', {
+      filename,
+      content,
+      contentType: attachment.contentType || detectMimeType(content) || 'application/octet-stream',
+    }]);
+  }
+  return fields;
+}
+
+/**
+ * Create a client for Mailgun's HTTP messages API
+ * @param {Object} options - { apiKey, domain, region, baseUrl, timeout }
+ * @returns {Object} Client with send(fields) => Promise<{ id, message }>
+ */
+function createMailgunApiClient(options = {}) {
+  const {
+    apiKey = process.env.MAILGUN_API_KEY,
+    domain = process.env.MAILGUN_DOMAIN,
+    region = 'us',
+    baseUrl = null,
+    timeout = 30000,
+  } = options;
+
+  if (!apiKey || !domain) {
+    throw new Error("Mailgun API requires apiKey and domain (or MAILGUN_API_KEY and MAILGUN_DOMAIN)");
+  }
+  const regionKey = String(region).toLowerCase();
+  if (!baseUrl && !MAILGUN_API_BASE_URLS[regionKey]) {
+    throw new Error(`Invalid Mailgun region: ${region} (expected 'us' or 'eu')`);
+  }
+
+  const url = new URL(`${(baseUrl || MAILGUN_API_BASE_URLS[regionKey]).replace(/\/$/, '')}/v3/${encodeURIComponent(domain)}/messages`);
+  const transport = url.protocol === 'http:' ? http : https;
+  const authorization = `Basic ${Buffer.from(`api:${apiKey}`).toString('base64')}`;
+
+  function send(fields) {
+    const { body, contentType } = encodeMultipartForm(fields);
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request({
+        protocol: url.protocol,
+        hostname: url.hostname,
+        port: url.port || undefined,
+        method: 'POST',
+        path: url.pathname,
+        headers: {
+          authorization,
+          'content-type': contentType,
+          'content-length': body.length,
+        },
+      }, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('error', reject);
+        response.on('end', () => {
+          const text = Buffer.concat(chunks).toString("utf8");
+          let data = null;
+          try {
+            data = JSON.parse(text);
+          } catch (error) {
+            data = null;
+          }
+          if (response.statusCode >= 300 || !data || !data.id) {
+            const error = new Error(`Mailgun API request failed: ${(data && data.message) || text.trim() || `HTTP ${response.statusCode}`}`);
+            error.statusCode = response.statusCode;
+            error.code = 'MAILGUN_API_ERROR';
+            return reject(error);
+          }
+          resolve(data);
+        });
       });
-      const errorResponse = { 
-        received: true, 
-        error: 'Missing event type',
-        correlationId 
-      };
-      res.status(200).json(errorResponse);
-      return null;
+      request.setTimeout(timeout, () => request.destroy(new Error(`Mailgun API request timed out after ${timeout}ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  return { send, domain, url: url.toString() };
+}
+
+/**
+ * Build the Mailgun-specific form fields for one message
+ * @param {Object} mailgun - Send options (see sendEmail's mailgun option)
+ * @returns {Array<Array>} Form fields
+ */
+function toMailgunOptionFields(mailgun = {}) {
+  const fields = [];
+  const yesNo = (value) => (typeof value === 'string' ? value : value ? 'yes' : 'no');
+
+  if (mailgun.tracking !== undefined) fields.push(['o:tracking', yesNo(mailgun.tracking)]);
+  if (mailgun.trackingClicks !== undefined) fields.push(['o:tracking-clicks', yesNo(mailgun.trackingClicks)]);
+  if (mailgun.trackingOpens !== undefined) fields.push(['o:tracking-opens', yesNo(mailgun.trackingOpens)]);
+  if (mailgun.testMode) fields.push(['o:testmode', 'yes']);
+  if (mailgun.deliveryTime) {
+    const deliveryTime = new Date(mailgun.deliveryTime);
+    if (Number.isNaN(deliveryTime.getTime())) {
+      throw new Error(`Invalid deliveryTime: ${mailgun.deliveryTime}`);
     }
+    // RFC 2822, e.g. 'Fri, 14 Oct 2011 23:10:10 GMT'
+    fields.push(['o:deliverytime', deliveryTime.toUTCString()]);
+  }
+  Object.keys(mailgun.variables || {}).forEach(name => {
+    const value = mailgun.variables[name];
+    fields.push([`v:${name}`, typeof value === 'string' ? value : JSON.stringify(value)]);
+  });
+  if (mailgun.templateVersion) fields.push(['t:version', mailgun.templateVersion]);
+  return fields;
+}
 
-    // Prepare response data with correlation ID for tracking
-    let responseData = {
-      received: true,
-      event,
-      eventId,
-      recipient,
-      messageId,
-      timestamp: typeof timestamp === 'number' ? new Date(timestamp * 1000).toISOString() : timestamp,
-      domain,
-      correlationId,
-      processedAt: new Date().toISOString(),
-    };
+// Mailgun accepts at most 1,000 recipients per batch message
+const MAILGUN_BATCH_SIZE = 1000;
 
-    // Handle different event types and add event-specific data
-    switch (event) {
-      case "delivered":
-        console.log(`[MailgunWebhook:${correlationId}] ✅ Email delivered to:`, recipient);
-        console.log(`[MailgunWebhook:${correlationId}]    Message ID:`, messageId);
-        responseData.status = "delivered";
-        responseData.deliveredAt = typeof timestamp === 'number' ? new Date(timestamp * 1000).toISOString() : timestamp;
-        if (eventData['delivery-status']) {
-          responseData.deliveryStatus = {
-            code: eventData['delivery-status'].code,
-            message: eventData['delivery-status'].message,
-            description: eventData['delivery-status'].description,
-            tls: eventData['delivery-status'].tls,
-            certificateVerified: eventData['delivery-status']['certificate-verified'],
-          };
-        }
-        break;
-
-      case "opened":
-        console.log(`[MailgunWebhook:${correlationId}] 👀 Email opened by:`, recipient);
-        console.log(`[MailgunWebhook:${correlationId}]    Message ID:`, messageId);
-        responseData.status = "opened";
-        responseData.openedAt = typeof timestamp === 'number' ? new Date(timestamp * 1000).toISOString() : timestamp;
-        responseData.clientInfo = eventData['client-info'] || null;
-        responseData.geolocation = eventData.geolocation || null;
-        responseData.userAgent = eventData['client-info']?.clientName || null;
-        break;
-
-      case "clicked":
-        console.log(`[MailgunWebhook:${correlationId}] 🔗 Link clicked:`, url);
-        console.log(`[MailgunWebhook:${correlationId}]    Recipient:`, recipient);
-        console.log(`[MailgunWebhook:${correlationId}]    Message ID:`, messageId);
-        responseData.status = "clicked";
-        responseData.url = url;
-        responseData.clickedAt = typeof timestamp === 'number' ? new Date(timestamp * 1000).toISOString() : timestamp;
-        responseData.clientInfo = eventData['client-info'] || null;
-        responseData.geolocation = eventData.geolocation || null;
-        break;
-
-      case "bounced":
-        console.log(`[MailgunWebhook:${correlationId}] ❌ Email bounced:`, recipient);
-        console.log(`[MailgunWebhook:${correlationId}]    Message ID:`, messageId);
-        responseData.status = "bounced";
-        responseData.reason = reason;
-        responseData.bouncedAt = typeof timestamp === 'number' ? new Date(timestamp * 1000).toISOString() : timestamp;
-        if (eventData['delivery-status']) {
-          responseData.deliveryStatus = {
-            code: eventData['delivery-status'].code,
-            message: eventData['delivery-status'].message,
-            description: eventData['delivery-status'].description,
-            attemptNo: eventData['delivery-status']['attempt-no'],
-            sessionSeconds: eventData['delivery-status']['session-seconds'],
-          };
-        }
-        responseData.severity = eventData.severity || 'permanent';
-        break;
-
-      case "complained":
-        console.log(`[MailgunWebhook:${correlationId}] 🚨 Spam complaint:`, recipient);
-        console.log(`[MailgunWebhook:${correlationId}]    Message ID:`, messageId);
-        responseData.status = "complained";
-        responseData.complainedAt = typeof timestamp === 'number' ? new Date(timestamp * 1000).toISOString() : timestamp;
-        break;
-
-      case "failed":
-        console.log(`[MailgunWebhook:${correlationId}] ⚠️ Email failed:`, recipient);
-        console.log(`[MailgunWebhook:${correlationId}]    Message ID:`, messageId);
-        responseData.status = "failed";
-        responseData.reason = reason;
-        responseData.failedAt = typeof timestamp === 'number' ? new Date(timestamp * 1000).toISOString() : timestamp;
-        if (eventData['delivery-status']) {
-          responseData.deliveryStatus = {
-            code: eventData['delivery-status'].code,
-            message: eventData['delivery-status'].message,
-            description: eventData['delivery-status'].description,
-            attemptNo: eventData['delivery-status']['attempt-no'],
-            sessionSeconds: eventData['delivery-status']['session-seconds'],
-          };
-        }
-        break;
+/**
+ * Run an async worker over items with a concurrency cap and a rate limit
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} limits - { concurrency (default: 5), rateLimit: max starts per second (default: unlimited) }
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithLimits(items, worker, { concurrency = 5, rateLimit = null } = {}) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency: ${concurrency}`);
+  }
+  if (rateLimit !== null && !(rateLimit > 0)) {
+    throw new Error(`Invalid rateLimit: ${rateLimit}`);
+  }
+  const interval = rateLimit ? 1000 / rateLimit : 0;
+  const results = new Array(items.length);
+  let next = 0;
+  let nextStartAt = Date.now();
+
+  async function run() {
+    while (next < items.length) {
+      const index = next++;
+      if (interval) {
+        const wait = nextStartAt - Date.now();
+        nextStartAt = Math.max(nextStartAt, Date.now()) + interval;
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, run));
+  return results;
+}
+
+// Template engines: file extension used for template files, engine package, and how the package renders an inline template string
+const TEMPLATE_ENGINES = {
+  ejs: { extension: 'ejs', name: 'ejs', renderString: (ejs, source, locals) => ejs.render(source, locals) },
+  handlebars: { extension: 'hbs', name: 'handlebars', renderString: (handlebars, source, locals) => handlebars.compile(source)(locals) },
+  pug: { extension: 'pug', name: 'pug', renderString: (pug, source, locals) => pug.render(source, locals) },
+  nunjucks: { extension: 'njk', name: 'nunjucks', renderString: (nunjucks, source, locals) => nunjucks.renderString(source, locals) },
+};
+TEMPLATE_ENGINES.hbs = TEMPLATE_ENGINES.handlebars;
+TEMPLATE_ENGINES.njk = TEMPLATE_ENGINES.nunjucks;
+
+/**
+ * Name a template for logs and tracking
+ * @param {string|Object|null} template - Template name, inline templates or null
+ * @returns {string|null} Template name, 'inline' or null
+ */
+function describeTemplate(template) {
+  if (typeof template === 'string') return template || null;
+  return template ? 'inline' : null;
+}
+
+// email-templates' defaults, so inline content is finished like template files
+const DEFAULT_JUICE_RESOURCES = { preserveImportant: true, webResources: { relativeTo: path.resolve('build'), images: false } };
+const DEFAULT_HTML_TO_TEXT = { selectors: [{ selector: 'img', format: 'skip' }] };
+
+/**
+ * Finish content that was not rendered from template files
+ * 
+ * Inlines CSS into the html with juice and generates the text part with
+ * html-to-text, as email-templates does for template files. Either step
+ * is skipped when its package is not installed.
+ * 
+ * @param {Object} content - { subject, html, text }
+ * @param {Object} options - { juice, juiceResources, htmlToText } sender options
+ * @returns {Promise<Object>} { subject, html, text }
+ */
+async function finishContent(content, options = {}) {
+  const message = { ...content };
+  if (message.subject) message.subject = message.subject.trim();
+
+  const juice = options.juice !== false && message.html ? getOptionalModule('juice') : null;
+  if (juice) {
+    const { webResources = {}, ...juiceResources } = options.juiceResources || {};
+    message.html = await promisify(juice.juiceResources)(message.html, {
+      ...DEFAULT_JUICE_RESOURCES,
+      ...juiceResources,
+      webResources: { ...DEFAULT_JUICE_RESOURCES.webResources, ...webResources },
+    });
+  }
 
-      case "unsubscribed":
-        console.log(`[MailgunWebhook:${correlationId}] 📤 User unsubscribed:`, recipient);
-        console.log(`[MailgunWebhook:${correlationId}]    Message ID:`, messageId);
-        responseData.status = "unsubscribed";
-        responseData.unsubscribedAt = typeof timestamp === 'number' ? new Date(timestamp * 1000).toISOString() : timestamp;
-        break;
+  const htmlToText = options.htmlToText !== false && message.html && !message.text ? getOptionalModule('html-to-text') : null;
+  if (htmlToText) {
+    // convert() since html-to-text 8, htmlToText() before
+    const convert = htmlToText.convert || htmlToText.htmlToText;
+    message.text = convert(message.html, options.htmlToText || DEFAULT_HTML_TO_TEXT);
+  }
+  return message;
+}
 
-      case "stored":
-        console.log(`[MailgunWebhook:${correlationId}] 💾 Email stored:`, recipient);
-        console.log(`[MailgunWebhook:${correlationId}]    Message ID:`, messageId);
-        responseData.status = "stored";
-        responseData.storedAt = typeof timestamp === 'number' ? new Date(timestamp * 1000).toISOString() : timestamp;
-        break;
+// SMTP endpoints per provider and region (both providers accept 465 with TLS and 587 with STARTTLS)
+const MAILGUN_SMTP_HOSTS = {
+  us: 'smtp.mailgun.org',
+  eu: 'smtp.eu.mailgun.org',
+};
+const DEFAULT_SMTP_PORT = 465;
 
-      default:
-        console.log(`[MailgunWebhook:${correlationId}] ℹ️ Other event:`, event);
-        console.log(`[MailgunWebhook:${correlationId}]    Message ID:`, messageId);
-        responseData.status = "unknown";
-        responseData.fullEventData = eventData;
+/**
+ * Resolve nodemailer SMTP transport options for a provider
+ * 
+ * Explicit config wins over environment variables (SMTP_HOST, SMTP_PORT,
+ * SMTP_AUTH_USER, SMTP_AUTH_PASSWORD), which win over the provider preset.
+ * A `region` in the config selects the preset host even when SMTP_HOST is set.
+ * 
+ * @param {string} provider - 'aws-ses' or 'mailgun'
+ * @param {Object} config - Sender config (see createEmailSender)
+ * @returns {Object} nodemailer transport options
+ */
+function resolveSmtpTransport(provider, config = {}) {
+  let presetHost;
+  if (provider === 'aws-ses') {
+    const region = config.region || process.env.AWS_REGION || 'us-east-1';
+    if (!/^[a-z]{2}(-[a-z]+)+-\d$/.test(region)) {
+      throw new Error(`Invalid AWS region: ${region}`);
     }
+    presetHost = `email-smtp.${region}.amazonaws.com`;
+  } else {
+    const region = String(config.region || 'us').toLowerCase();
+    if (!MAILGUN_SMTP_HOSTS[region]) {
+      throw new Error(`Invalid Mailgun region: ${config.region} (expected 'us' or 'eu')`);
+    }
+    presetHost = MAILGUN_SMTP_HOSTS[region];
+  }
 
-    // Log successful processing
-    const duration = Date.now() - startTime;
-    console.log(`[MailgunWebhook:${correlationId}] ✅ Webhook processed successfully`, {
-      event,
-      eventId,
-      duration: `${duration}ms`,
-    });
-
-    // ✅ MUST return 200 OK with event data for manual saving
-    res.status(200).json(responseData);
-    
-    // Return event data so caller can save it manually
-    return responseData;
+  const host = config.host || (config.region ? presetHost : null) || process.env.SMTP_HOST || presetHost;
+  const port = Number(config.port || process.env.SMTP_PORT || DEFAULT_SMTP_PORT);
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+    throw new Error(`Invalid SMTP port: ${config.port || process.env.SMTP_PORT}`);
+  }
+  // Implicit TLS on 465; other ports upgrade with STARTTLS when the server offers it
+  const secure = config.secure !== undefined ? Boolean(config.secure) : port === 465;
+  if (config.ignoreTLS && (secure || config.requireTLS)) {
+    throw new Error("ignoreTLS cannot be combined with secure or requireTLS");
+  }
 
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    console.error(`[MailgunWebhook:${correlationId}] ❌ Webhook Error:`, {
-      error: error.message,
-      stack: error.stack,
-      duration: `${duration}ms`,
-    });
+  const auth = config.auth || (process.env.SMTP_AUTH_USER ? {
+    user: process.env.SMTP_AUTH_USER,
+    pass: process.env.SMTP_AUTH_PASSWORD,
+  } : null);
 
-    // ⚠️ Still return 200 so Mailgun doesn't retry forever
-    const errorResponse = { 
-      received: true, 
-      error: 'Processing failed but webhook acknowledged',
-      correlationId,
-      timestamp: new Date().toISOString(),
-    };
-    res.status(200).json(errorResponse);
-    return null;
+  const transport = { host, port, secure };
+  if (auth) transport.auth = auth;
+  ['requireTLS', 'ignoreTLS', 'tls', 'connectionTimeout', 'greetingTimeout', 'socketTimeout'].forEach(key => {
+    if (config[key] !== undefined) transport[key] = config[key];
+  });
+  if (config.pool) {
+    transport.pool = true;
+    if (config.maxConnections !== undefined) transport.maxConnections = config.maxConnections;
+    if (config.maxMessages !== undefined) transport.maxMessages = config.maxMessages;
   }
+  return transport;
 }
 
 /**
  * Create an email sender function with configurable provider (AWS SES or Mailgun) using SMTP
  * 
- * Both AWS SES and Mailgun support SMTP, so this function uses SMTP transport
- * with credentials from environment variables. Uses the same structure as production code.
+ * Both AWS SES and Mailgun support SMTP, so this function uses SMTP transport.
+ * Connection settings come from the options, then from environment variables
+ * (SMTP_HOST, SMTP_PORT, SMTP_FROM_ADDRESS, SMTP_AUTH_USER, SMTP_AUTH_PASSWORD),
+ * then from the provider preset, and are resolved once. Each sender owns one
+ * transporter, so several senders with different credentials can run side by side.
+ * 
+ * email-templates is loaded on the first send that needs it (SMTP, or a
+ * template file to render); inline templates and raw html/text sent
+ * through the Mailgun API do not.
  * 
- * @param {string} provider - Email provider: 'aws-ses' or 'mailgun' (optional, defaults to 'mailgun')
- * @returns {Function} Email sending function
+ * @param {string|Object} provider - Email provider: 'aws-ses' or 'mailgun' (optional, defaults to 'mailgun'), or the options object with a `provider` key
+ * @param {Object} options - Sender options (optional)
+ * @param {string} options.region - Preset region: an AWS region for 'aws-ses' (default: AWS_REGION or 'us-east-1'), 'us' or 'eu' for 'mailgun' (default: 'us')
+ * @param {string} options.host - SMTP host (default: SMTP_HOST or the preset host)
+ * @param {number} options.port - SMTP port (default: SMTP_PORT or 465)
+ * @param {boolean} options.secure - Connect with TLS; false upgrades with STARTTLS (default: true on port 465)
+ * @param {boolean} options.requireTLS - Fail unless the server offers STARTTLS (optional)
+ * @param {boolean} options.ignoreTLS - Never use STARTTLS (optional)
+ * @param {Object} options.tls - Node.js TLS socket options, e.g. { minVersion: 'TLSv1.2' } (optional)
+ * @param {Object} options.auth - { user, pass } (default: SMTP_AUTH_USER and SMTP_AUTH_PASSWORD)
+ * @param {string} options.from - Default from address (default: SMTP_FROM_ADDRESS)
+ * @param {boolean} options.pool - Reuse SMTP connections (default: false)
+ * @param {number} options.maxConnections - Pooled connections (default: 5)
+ * @param {number} options.maxMessages - Messages per pooled connection before it is replaced (default: 100)
+ * @param {number} options.connectionTimeout - Milliseconds to wait for the connection (default: nodemailer's 2 minutes)
+ * @param {number} options.greetingTimeout - Milliseconds to wait for the greeting (default: nodemailer's 30 seconds)
+ * @param {number} options.socketTimeout - Milliseconds of inactivity allowed (default: nodemailer's 10 minutes)
+ * @param {string} options.templatesDir - Template root directory (default: ./emails)
+ * @param {string} options.engine - Template engine: 'ejs' (default), 'handlebars' (.hbs), 'pug' or 'nunjucks' (.njk); the engine package must be installed
+ * @param {boolean} options.juice - Inline CSS from <style> and linked stylesheets into the HTML (default: true)
+ * @param {Object} options.juiceResources - juice options, e.g. { webResources: { relativeTo } } for linked stylesheets (optional)
+ * @param {Object|false} options.htmlToText - html-to-text options for the generated text part, or false to send HTML only (default: generate text)
+ * @param {Object} options.transport - Existing nodemailer transporter to use instead of the settings above (optional)
+ * @param {boolean|Object} options.api - Send through Mailgun's HTTP API instead of SMTP: true, or { apiKey, domain, region, baseUrl, timeout, testMode } (apiKey and domain default to MAILGUN_API_KEY and MAILGUN_DOMAIN, region to options.region or 'us')
+ * @param {Object} options.replyAddress - Options for signed reply addresses set by the `entity` send option (see createReplyAddress)
+ * @param {Object|false} options.logger - pino/winston-style logger, or false for silent mode (see createLogger)
+ * @param {string} options.logLevel - Minimum log level (default: 'info')
+ * @param {boolean|Object|Function} options.redact - Redaction policy for log entries (default: mask emails, tokens and signatures)
+ * @param {Object} options.suppressionList - Suppression list checked before every send (see createSuppressionList)
+ * @param {string} options.onSuppressed - 'skip' (default): drop suppressed recipients, or 'throw': reject the send with code 'RECIPIENT_SUPPRESSED'
+ * @param {Object} options.tracker - Delivery tracker recording every sent message (see createDeliveryTracker)
+ * @returns {Function} Email sending function, with sendBatch(), transporter (SMTP only) and close()
  * 
  * @example
  * // Using AWS SES SMTP
@@ -503,84 +5855,1059 @@ async function mailgunWebhook(req, res, signingKey = process.env.MAILGUN_WEBHOOK
  *   subject: 'Welcome!',
  *   locals: { name: 'John' }
  * });
+ * 
+ * @example
+ * // Replies land on the ticket: Reply-To is reply+ticket_42.<hmac>@inbound.example.com
+ * const sendEmail = createEmailSender('mailgun', {
+ *   replyAddress: { secret: process.env.REPLY_ADDRESS_SECRET, domain: 'inbound.example.com' },
+ * });
+ * await sendEmail('ticket-update', {
+ *   to: 'user@example.com',
+ *   subject: 'Your ticket was updated',
+ *   entity: 'ticket_42',
+ *   locals: { ticket },
+ * });
+ * 
+ * @example
+ * // Never email bounced, complaining or unsubscribed recipients
+ * const sendEmail = createEmailSender('mailgun', { suppressionList, onSuppressed: 'throw' });
+ * try {
+ *   await sendEmail('digest', { to: 'user@example.com', subject: 'Weekly digest', tags: ['newsletter'], locals });
+ * } catch (error) {
+ *   if (error.code !== 'RECIPIENT_SUPPRESSED') throw error;
+ * }
+ * 
+ * @example
+ * // Follow each message from send to delivery, opens and bounces
+ * const tracker = createDeliveryTracker();
+ * const sendEmail = createEmailSender('mailgun', { tracker });
+ * const { messageId } = await sendEmail('invoice', { to: 'user@example.com', subject: 'Your invoice', metadata: { invoiceId: 7 }, locals });
+ * await tracker.getMessageStatus(messageId);
+ * 
+ * @example
+ * // Separate transactional and marketing senders in one process
+ * const sendTransactional = createEmailSender({
+ *   provider: 'mailgun',
+ *   region: 'eu',
+ *   port: 587, // STARTTLS
+ *   requireTLS: true,
+ *   auth: { user: 'postmaster@mg.example.com', pass: process.env.MAILGUN_SMTP_PASSWORD },
+ *   from: 'Example <noreply@mg.example.com>',
+ * });
+ * const sendMarketing = createEmailSender('aws-ses', {
+ *   region: 'eu-west-1',
+ *   pool: true,
+ *   maxConnections: 10,
+ *   auth: { user: process.env.SES_SMTP_USER, pass: process.env.SES_SMTP_PASSWORD },
+ *   from: 'Example News <news@example.com>',
+ *   templatesDir: path.join(__dirname, 'marketing-emails'),
+ * });
+ * 
+ * @example
+ * // Mailgun HTTP API: scheduling, tracking and custom variables
+ * const sendEmail = createEmailSender('mailgun', { api: { apiKey: process.env.MAILGUN_API_KEY, domain: 'mg.example.com', region: 'eu' } });
+ * const { messageId } = await sendEmail('reminder', {
+ *   to: 'user@example.com',
+ *   subject: 'Your appointment',
+ *   locals,
+ *   tags: ['reminder'],
+ *   mailgun: { deliveryTime: appointment.remindAt, trackingClicks: false, variables: { appointmentId: appointment.id } },
+ * });
  */
-function createEmailSender(provider = 'mailgun') {
+function createEmailSender(provider = 'mailgun', options = {}) {
+  if (provider && typeof provider === 'object') {
+    options = provider;
+    provider = options.provider || 'mailgun';
+  }
   if (!['aws-ses', 'mailgun'].includes(provider)) {
     throw new Error("Provider must be either 'aws-ses' or 'mailgun'");
   }
+  const { suppressionList = null, onSuppressed = 'skip', tracker = null } = options;
+  if (!['skip', 'throw'].includes(onSuppressed)) {
+    throw new Error("onSuppressed must be either 'skip' or 'throw'");
+  }
+
+  const log = getComponentLogger(options, 'EmailSender').child({ provider });
+  const defaultFrom = options.from || process.env.SMTP_FROM_ADDRESS;
+  const engine = TEMPLATE_ENGINES[options.engine || 'ejs'];
+  if (!engine) {
+    throw new Error(`Unsupported template engine: ${options.engine} (expected ejs, handlebars, pug or nunjucks)`);
+  }
+  const views = {
+    ...(options.templatesDir ? { root: path.resolve(options.templatesDir) } : {}),
+    options: {
+      extension: engine.extension
+    }
+  };
+  // Rendering settings shared by every email-templates instance of this sender
+  const renderOptions = {
+    views,
+    juice: options.juice !== false,
+    ...(options.juiceResources ? { juiceResources: options.juiceResources } : {}),
+    ...(options.htmlToText !== undefined ? { htmlToText: options.htmlToText } : {}),
+  };
+
+  if (options.api && provider !== 'mailgun') {
+    throw new Error("The api option is only available for the 'mailgun' provider");
+  }
+  const apiOptions = options.api ? { region: options.region, ...(options.api === true ? {} : options.api) } : null;
+  const apiClient = apiOptions ? createMailgunApiClient(apiOptions) : null;
+
+  // One transporter per sender, created on first use (required for pooling)
+  const transportOptions = (options.transport || apiClient) ? null : resolveSmtpTransport(provider, options);
+  let transporter = options.transport || null;
+  const getTransporter = () => {
+    if (!transporter) transporter = getNodemailer().createTransport(transportOptions);
+    return transporter;
+  };
 
-  // Load email-templates when function is called
-  const Email = getEmailTemplates();
+  // email-templates is loaded on first use, so API sends of raw html/text work without it
+  let renderer = null;
+  const getRenderer = () => {
+    if (!renderer) {
+      const Email = getEmailTemplates();
+      renderer = new Email({ ...renderOptions, send: false, transport: { jsonTransport: true } });
+    }
+    return renderer;
+  };
 
   /**
-   * Send email using the configured SMTP provider
+   * Render subject, html and text
    * 
-   * Uses environment variables:
-   * - SMTP_HOST: SMTP server hostname
-   * - SMTP_PORT: SMTP server port (465 for SSL, 587 for TLS)
-   * - SMTP_FROM_ADDRESS: Default from email address
-   * - SMTP_AUTH_USER: SMTP authentication username
-   * - SMTP_AUTH_PASSWORD: SMTP authentication password
+   * File templates are rendered by email-templates. Inline template
+   * strings are rendered by the sender's engine package, and raw html/text
+   * are used as-is; neither loads email-templates. Both get CSS inlined
+   * and a text part generated like file templates (see finishContent).
+   * html, text and subject given explicitly always win.
+   */
+  async function renderContent(template, { subject, html, text, locals = {} }) {
+    if (typeof template === 'string' && template) {
+      return getRenderer().renderAll(template, locals, { subject, html, text });
+    }
+
+    const content = { subject, html, text };
+    if (template && typeof template === 'object') {
+      const enginePackage = getOptionalModule(engine.name);
+      if (!enginePackage) {
+        throw new Error(`Template engine package '${engine.name}' is required for inline templates. Please install it: npm install ${engine.name}`);
+      }
+      const renderString = async (source) => engine.renderString(enginePackage, source, { ...locals });
+      if (!content.subject && template.subject) content.subject = await renderString(template.subject);
+      if (!content.html && template.html) content.html = await renderString(template.html);
+      if (!content.text && template.text) content.text = await renderString(template.text);
+    }
+    if (!content.html && !content.text) {
+      throw new Error("Nothing to send: pass a template name, inline templates ({ subject, html, text }) or html/text");
+    }
+    return finishContent(content, options);
+  }
+
+  // Renders locally (or names a template stored in Mailgun) and posts to the messages API
+  async function sendWithApi(template, message, { locals, tags, mailgun, send, recipientVariables = null }) {
+    if (!message.from) {
+      throw new Error("Mailgun API requires a from address: set the from option of createEmailSender or sendEmail (or SMTP_FROM_ADDRESS)");
+    }
+    const storedTemplate = mailgun.template || null;
+    const content = storedTemplate
+      ? { subject: message.subject }
+      : await renderContent(template, { subject: message.subject, html: message.html, text: message.text, locals });
+
+    const fields = [['from', message.from]];
+    [].concat(message.to).forEach(recipient => fields.push(['to', formatRecipient(recipient)]));
+    if (recipientVariables) fields.push(['recipient-variables', JSON.stringify(recipientVariables)]);
+    if (content.subject) fields.push(['subject', content.subject]);
+    if (storedTemplate) {
+      fields.push(['template', storedTemplate]);
+      fields.push(['t:variables', JSON.stringify(locals || {})]);
+    }
+    if (content.html) fields.push(['html', content.html]);
+    if (content.text) fields.push(['text', content.text]);
+    if (message.replyTo) fields.push(['h:Reply-To', message.replyTo]);
+    tags.forEach(tag => fields.push(['o:tag', tag]));
+    fields.push(...toMailgunOptionFields({ testMode: apiOptions.testMode, ...mailgun }));
+    fields.push(...await toMailgunAttachmentFields(message.attachments));
+
+    if (!send) {
+      return { messageId: null, originalMessage: { ...message, ...content }, fields };
+    }
+    const response = await apiClient.send(fields);
+    return { messageId: response.id, message: response.message, accepted: [].concat(message.to).map(formatRecipient) };
+  }
+
+  /**
+   * Send email using the configured provider
    * 
-   * @param {string} template - Template name (directory name in templates folder)
+   * @param {string|Object|null} template - Template name (directory name in templates folder), inline templates { subject, html, text } rendered with the sender's engine, or null with html/text
    * @param {Object} options - Email options
    * @param {string|Array} options.to - Recipient email address(es)
    * @param {string} options.subject - Email subject
    * @param {Object} options.locals - Template variables
+   * @param {string} options.html - HTML body, sent as-is apart from CSS inlining (optional)
+   * @param {string} options.text - Text body (optional, generated from html by default)
    * @param {Array} options.attachments - Email attachments (optional)
-   * @param {string} options.from - From email address (optional, uses SMTP_FROM_ADDRESS)
+   * @param {string} options.from - From email address (optional, uses the sender's from or SMTP_FROM_ADDRESS)
    * @param {string} options.replyTo - Reply-to email address (optional)
+   * @param {string} options.entity - Entity ID; sets Reply-To to a signed reply address unless replyTo is given (optional)
+   * @param {string|Array<string>} options.tags - Message tags; sent as X-Mailgun-Tag (o:tag with the API) with Mailgun and used for per-tag suppressions (optional)
+   * @param {Object} options.mailgun - Mailgun API options: tracking, trackingClicks, trackingOpens, variables, deliveryTime, testMode, template and templateVersion (optional, api only)
+   * @param {Object} options.metadata - Data stored with the message by the delivery tracker (optional)
    * @param {boolean} options.send - Whether to actually send (default: true, set to false for dry-runs)
-   * @returns {Promise<Object>} Email sending result
+   * @returns {Promise<Object>} Email sending result. suppressed lists the recipients left out; { skipped: true, suppressed } when every recipient is suppressed
+   * @throws {Error} With code 'RECIPIENT_SUPPRESSED' and suppressed when onSuppressed is 'throw'
    */
-  return (template, {
+  const sendEmail = async (template, {
     to,
     subject,
     locals,
+    html,
+    text,
     attachments = [],
     from = null,
     replyTo = null,
+    entity = null,
+    tags = [],
+    metadata = {},
+    mailgun = null,
     send = true
-  }) => new Email({
-    message: {
-      from: from || process.env.SMTP_FROM_ADDRESS,
-      replyTo: replyTo || from || process.env.SMTP_FROM_ADDRESS
+  }) => {
+    if (mailgun && !apiClient) {
+      throw new Error("The mailgun send option requires the api sender option");
+    }
+    const templateName = describeTemplate(template);
+    log.debug('Sending email', { template: templateName, to, subject, send });
+    const tagList = [].concat(tags || []).filter(Boolean);
+
+    // 🚫 Leave out bounced, complaining and unsubscribed recipients
+    let recipients = to;
+    let suppressed = [];
+    if (suppressionList) {
+      const filtered = await suppressionList.filterRecipients(to, { tags: tagList });
+      suppressed = filtered.suppressed;
+
+      if (suppressed.length > 0) {
+        log.info('Suppressed recipients left out', {
+          template: templateName,
+          suppressed: suppressed.map(({ address, entry }) => ({ address, type: entry.type, tag: entry.tag })),
+        });
+        if (onSuppressed === 'throw') {
+          const error = new Error(`Recipient suppressed: ${suppressed.map(item => item.address).join(', ')}`);
+          error.code = 'RECIPIENT_SUPPRESSED';
+          error.suppressed = suppressed;
+          throw error;
+        }
+        if (filtered.allowed.length === 0) {
+          return { skipped: true, suppressed };
+        }
+        recipients = filtered.allowed;
+      }
+    }
+
+    try {
+      const sender = from || defaultFrom;
+      const replyAddress = replyTo ||
+        (entity !== null ? createReplyAddress(entity, options.replyAddress) : null) ||
+        sender;
+
+      const isFileTemplate = typeof template === 'string' && template;
+      const result = apiClient
+        ? await sendWithApi(template, { from: sender, replyTo: replyAddress, to: recipients, subject, html, text, attachments }, {
+          locals,
+          tags: tagList,
+          mailgun: mailgun || {},
+          send,
+        })
+        : await new (getEmailTemplates())({
+          ...renderOptions,
+          message: {
+            from: sender,
+            replyTo: replyAddress
+          },
+          send, // set to false for dry-runs
+          transport: getTransporter()
+        }).send({
+          template: isFileTemplate ? template : '',
+          message: {
+            to: recipients,
+            ...(isFileTemplate ? { subject, html, text } : await renderContent(template, { subject, html, text, locals })),
+            attachments,
+            ...(provider === 'mailgun' && tagList.length > 0 ? { headers: { 'X-Mailgun-Tag': tagList } } : {})
+          },
+          locals
+        });
+
+      const messageId = cleanMessageId(result && result.messageId) || null;
+      log.info(send ? 'Email sent' : 'Email rendered (dry run)', {
+        template: templateName,
+        to: recipients,
+        messageId,
+      });
+
+      // 📬 The message is out; a tracker failure must not fail the send
+      if (tracker && send && messageId) {
+        await tracker.recordSend({ messageId, recipients, template: templateName, subject, tags: tagList, metadata }).catch(error => {
+          log.error('Failed to record sent email', { template: templateName, messageId, error: error.message });
+        });
+      }
+      if (suppressed.length > 0 && result) result.suppressed = suppressed;
+      return result;
+    } catch (error) {
+      log.error('Email sending failed', {
+        template: templateName,
+        to: recipients,
+        error: error.message,
+      });
+      throw error;
+    }
+  };
+
+  /**
+   * Send one personalized message per recipient
+   * 
+   * With SMTP every message is rendered with its own locals and sent
+   * separately, at most `concurrency` at a time and `rateLimit` per second.
+   * With the Mailgun API the template is rendered once with per-recipient
+   * locals replaced by %recipient.<name>% placeholders, and sent in batches
+   * of up to 1,000 recipients with recipient-variables; Mailgun fills in
+   * the values (as-is, without HTML escaping), so per-recipient locals
+   * must be flat values that the template only prints.
+   * 
+   * Suppressed, invalid and duplicate recipients are skipped. A failed
+   * message or batch never rejects the whole call.
+   * 
+   * `entity` sets Reply-To to a signed reply address as for sendEmail, per
+   * batch or per recipient. An API batch has one Reply-To, so recipients
+   * with different entities are sent in separate batches.
+   * 
+   * @param {string|Object|null} template - Template name, inline templates or null, as for sendEmail
+   * @param {Object} batchOptions - Batch options
+   * @param {Array<Object|string>} batchOptions.recipients - [{ to, locals, entity }] or addresses, one address per entry
+   * @param {string} batchOptions.subject - Email subject (may contain %recipient.<name>% with the API)
+   * @param {Object} batchOptions.locals - Locals shared by every recipient (optional)
+   * @param {string} batchOptions.html - HTML body, as for sendEmail (optional)
+   * @param {string} batchOptions.text - Text body, as for sendEmail (optional)
+   * @param {Array} batchOptions.attachments - Email attachments (optional)
+   * @param {string} batchOptions.from - From email address (optional)
+   * @param {string} batchOptions.replyTo - Reply-to email address (optional)
+   * @param {string} batchOptions.entity - Entity ID for recipients without their own; sets Reply-To unless replyTo is given (optional)
+   * @param {string|Array<string>} batchOptions.tags - Message tags (optional)
+   * @param {Object} batchOptions.metadata - Data stored by the delivery tracker (optional)
+   * @param {Object} batchOptions.mailgun - Mailgun API options, as for sendEmail (optional, api only)
+   * @param {number} batchOptions.concurrency - Messages (SMTP) or batches (API) in flight (default: 5)
+   * @param {number} batchOptions.rateLimit - Messages (SMTP) or batches (API) started per second (default: unlimited)
+   * @param {number} batchOptions.batchSize - Recipients per API batch (default and maximum: 1000)
+   * @param {boolean} batchOptions.send - Whether to actually send (default: true)
+   * @returns {Promise<Object>} { total, sent, failed, skipped, results: [{ to, status: 'sent'|'failed'|'skipped', messageId, error, reason }] }
+   */
+  sendEmail.sendBatch = async (template, {
+    recipients,
+    subject,
+    locals = {},
+    html,
+    text,
+    attachments = [],
+    from = null,
+    replyTo = null,
+    entity = null,
+    tags = [],
+    metadata = {},
+    mailgun = null,
+    concurrency = 5,
+    rateLimit = null,
+    batchSize = MAILGUN_BATCH_SIZE,
+    send = true
+  } = {}) => {
+    if (!Array.isArray(recipients)) {
+      throw new Error("sendBatch requires a recipients array");
+    }
+    if (mailgun && !apiClient) {
+      throw new Error("The mailgun send option requires the api sender option");
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAILGUN_BATCH_SIZE) {
+      throw new Error(`batchSize must be between 1 and ${MAILGUN_BATCH_SIZE}`);
+    }
+    const tagList = [].concat(tags || []).filter(Boolean);
+    const templateName = describeTemplate(template);
+    const entries = recipients.map(recipient => (
+      recipient && typeof recipient === 'object' && recipient.to !== undefined ? recipient : { to: recipient }
+    ));
+    const addresses = entries.map(entry => extractEmail(formatRecipient(entry.to || "")).trim());
+    const results = addresses.map(address => ({ to: address.toLowerCase(), status: null, messageId: null }));
+
+    // 🚫 Skip invalid, duplicate and suppressed recipients up front
+    const seen = new Set();
+    const pending = [];
+    results.forEach((result, index) => {
+      if (!result.to.includes('@')) {
+        Object.assign(result, { status: 'skipped', reason: 'invalid_address' });
+      } else if (seen.has(result.to)) {
+        Object.assign(result, { status: 'skipped', reason: 'duplicate' });
+      } else {
+        seen.add(result.to);
+        pending.push(index);
+      }
+    });
+    if (suppressionList && pending.length > 0) {
+      const { suppressed } = await suppressionList.filterRecipients(pending.map(index => results[index].to), { tags: tagList });
+      const suppressedAddresses = new Set(suppressed.map(item => item.address.toLowerCase()));
+      pending.splice(0, pending.length, ...pending.filter(index => {
+        if (!suppressedAddresses.has(results[index].to)) return true;
+        Object.assign(results[index], { status: 'skipped', reason: 'suppressed' });
+        return false;
+      }));
+    }
+
+    const fail = (result, error) => Object.assign(result, {
+      status: 'failed',
+      error: { message: error.message, code: error.code || null, statusCode: error.statusCode || null },
+    });
+    const limits = { concurrency, rateLimit };
+    const entityOf = (index) => (entries[index].entity !== undefined ? entries[index].entity : entity);
+
+    if (apiClient) {
+      // One rendering for every batch; Mailgun fills in %recipient.<name>%
+      const placeholders = {};
+      pending.forEach(index => {
+        Object.keys(entries[index].locals || {}).forEach(name => {
+          placeholders[name] = `%recipient.${name}%`;
+        });
+      });
+      // Every message of a batch has the same Reply-To, so recipients are grouped by it first
+      const groups = new Map();
+      pending.forEach(index => {
+        try {
+          const recipientEntity = entityOf(index);
+          const replyAddress = replyTo ||
+            (recipientEntity !== null ? createReplyAddress(recipientEntity, options.replyAddress) : null) ||
+            from || defaultFrom;
+          if (!groups.has(replyAddress)) groups.set(replyAddress, []);
+          groups.get(replyAddress).push(index);
+        } catch (error) {
+          fail(results[index], error);
+        }
+      });
+      const batches = [];
+      groups.forEach((indexes, replyAddress) => {
+        for (let start = 0; start < indexes.length; start += batchSize) {
+          batches.push({ replyAddress, batch: indexes.slice(start, start + batchSize) });
+        }
+      });
+
+      await mapWithLimits(batches, async ({ replyAddress, batch }) => {
+        const to = batch.map(index => entries[index].to);
+        const recipientVariables = {};
+        batch.forEach(index => {
+          recipientVariables[addresses[index]] = entries[index].locals || {};
+        });
+        try {
+          const result = await sendWithApi(template, {
+            from: from || defaultFrom,
+            replyTo: replyAddress,
+            to,
+            subject,
+            html,
+            text,
+            attachments,
+          }, { locals: { ...locals, ...placeholders }, tags: tagList, mailgun: mailgun || {}, send, recipientVariables });
+
+          const messageId = cleanMessageId(result.messageId) || null;
+          batch.forEach(index => Object.assign(results[index], { status: 'sent', messageId }));
+          log.info(send ? 'Batch sent' : 'Batch rendered (dry run)', { template: templateName, recipients: batch.length, messageId });
+          if (tracker && send && messageId) {
+            await tracker.recordSend({ messageId, recipients: batch.map(index => results[index].to), template: templateName, subject, tags: tagList, metadata })
+              .catch(error => log.error('Failed to record sent email', { template: templateName, messageId, error: error.message }));
+          }
+        } catch (error) {
+          log.error('Batch sending failed', { template: templateName, recipients: batch.length, error: error.message });
+          batch.forEach(index => fail(results[index], error));
+        }
+      }, limits);
+    } else {
+      await mapWithLimits(pending, async (index) => {
+        try {
+          const result = await sendEmail(template, {
+            to: entries[index].to,
+            subject,
+            locals: { ...locals, ...(entries[index].locals || {}) },
+            html,
+            text,
+            attachments,
+            from,
+            replyTo,
+            entity: entityOf(index),
+            tags: tagList,
+            metadata,
+            send,
+          });
+          if (result && result.skipped) {
+            Object.assign(results[index], { status: 'skipped', reason: 'suppressed' });
+          } else {
+            Object.assign(results[index], { status: 'sent', messageId: cleanMessageId(result && result.messageId) || null });
+          }
+        } catch (error) {
+          if (error.code === 'RECIPIENT_SUPPRESSED') {
+            Object.assign(results[index], { status: 'skipped', reason: 'suppressed' });
+          } else {
+            fail(results[index], error);
+          }
+        }
+      }, limits);
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const report = { total: results.length, sent: count('sent'), failed: count('failed'), skipped: count('skipped'), results };
+    log.info('Batch finished', { template: templateName, total: report.total, sent: report.sent, failed: report.failed, skipped: report.skipped });
+    return report;
+  };
+
+  sendEmail.provider = provider;
+  if (!apiClient) Object.defineProperty(sendEmail, 'transporter', { get: getTransporter });
+  /**
+   * Close pooled connections (only needed with pool: true)
+   */
+  sendEmail.close = () => {
+    if (transporter && !options.transport) transporter.close();
+  };
+
+  return sendEmail;
+}
+
+/**
+ * Create a file-based persistence adapter for the outbound queue
+ * 
+ * Queue store interface (implement it for Redis, SQL, ...):
+ * - save(job): insert or replace the job with job.id
+ * - delete(id): remove the job
+ * - list(): all jobs, pending and dead-lettered
+ * All methods may return a Promise.
+ * 
+ * Each job is one JSON file, written to a temporary name and renamed, so a
+ * crash never leaves a half-written job. The directory must not be shared
+ * by queues in several processes. Job files that cannot be parsed are
+ * skipped by list() and logged; they stay on disk for inspection.
+ * 
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Directory for job files (required)
+ * @param {Object|false} options.logger - Logger (see createLogger)
+ * @returns {Object} Store with save, delete and list
+ */
+function createFileQueueStore(options = {}) {
+  if (!options.directory) {
+    throw new Error("File queue store requires a directory");
+  }
+  const root = path.resolve(options.directory);
+  const log = getComponentLogger(options, 'OutboundQueueStore');
+  const jobPath = (id) => {
+    if (!/^[A-Za-z0-9_-]+$/.test(String(id))) {
+      throw new Error(`Invalid job id: ${id}`);
+    }
+    return path.join(root, `${id}.json`);
+  };
+
+  return {
+    async save(job) {
+      const filePath = jobPath(job.id);
+      const tempPath = `${filePath}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+      await fs.promises.mkdir(root, { recursive: true });
+      try {
+        await fs.promises.writeFile(tempPath, JSON.stringify(job), { flag: 'wx' });
+        await fs.promises.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+      }
     },
-    send, // set to false for dry-runs
-    transport: {
-      host: process.env.SMTP_HOST,
-      port: process.env.SMTP_PORT,
-      secure: true, // use SSL
-      auth: {
-        user: process.env.SMTP_AUTH_USER,
-        pass: process.env.SMTP_AUTH_PASSWORD
+    async delete(id) {
+      try {
+        await fs.promises.unlink(jobPath(id));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
       }
     },
-    views: {
-      options: {
-        extension: "ejs"
+    async list() {
+      let files;
+      try {
+        files = await fs.promises.readdir(root);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
       }
-    }
-  }).send({
-    template,
-    message: {
-      to,
-      subject,
-      attachments
+      const jobs = [];
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        let content;
+        try {
+          content = await fs.promises.readFile(path.join(root, file), "utf8");
+        } catch (error) {
+          if (error.code === 'ENOENT') continue; // Deleted since readdir
+          throw error;
+        }
+        try {
+          jobs.push(JSON.parse(content));
+        } catch (error) {
+          log.error('Skipping unreadable outbound job file', { file: path.join(root, file), error: error.message });
+        }
+      }
+      return jobs;
     },
-    locals
+  };
+}
+
+// Connection-level failures worth retrying (nodemailer and Node.js error codes)
+const RETRYABLE_SEND_ERROR_CODES = [
+  'ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH',
+];
+
+// Default send rates in messages per second; set rateLimit to your account's quota
+const DEFAULT_SEND_RATE_LIMITS = {
+  'aws-ses': 14,
+  mailgun: null,
+};
+
+/**
+ * Decide whether a failed send is worth retrying
+ * 
+ * SMTP replies: 4xx (e.g. 421 service unavailable, 454 SES throttling) are
+ * temporary, 5xx are permanent. HTTP API replies: 429 and 5xx are
+ * temporary, other 4xx are permanent. Connection errors are temporary;
+ * suppressed recipients are permanent.
+ * 
+ * @param {Error} error - Error from sendEmail
+ * @returns {boolean} True if the send should be retried
+ */
+function isRetryableSendError(error) {
+  if (!error) return false;
+  if (error.code === 'RECIPIENT_SUPPRESSED') return false;
+  if (error.responseCode) return error.responseCode >= 400 && error.responseCode < 500;
+  if (error.statusCode) return error.statusCode === 429 || error.statusCode >= 500;
+  if (RETRYABLE_SEND_ERROR_CODES.includes(error.code)) return true;
+  return /timed? ?out/i.test(error.message || "");
+}
+
+/**
+ * Make sendEmail options JSON-safe for persistence
+ * @param {Object} sendOptions - sendEmail options
+ * @returns {Object} Options with Buffer attachment content as base64
+ */
+function serializeSendOptions(sendOptions) {
+  const attachments = (sendOptions.attachments || []).map(attachment => {
+    if (attachment.content && typeof attachment.content.pipe === 'function') {
+      throw new Error(`Attachment "${attachment.filename}" is a stream; queued attachments need content as a Buffer or string, or a path`);
+    }
+    return Buffer.isBuffer(attachment.content)
+      ? { ...attachment, content: attachment.content.toString('base64'), encoding: 'base64' }
+      : attachment;
   });
+  return JSON.parse(JSON.stringify({ ...sendOptions, attachments }));
+}
+
+/**
+ * Create a durable outbound queue around an email sender
+ * 
+ * enqueue() persists the message and returns right away; the queue sends
+ * it in the background with sendEmail. Failed sends that are retryable
+ * (see isRetryableSendError) are retried with exponential backoff; after
+ * maxAttempts, or on a permanent failure, the job becomes a dead letter
+ * that stays in the store until it is requeued or deleted. Pending jobs
+ * are loaded from the store on start(), so messages survive a restart.
+ * 
+ * Sends are limited to `concurrency` at a time and `rateLimit` per
+ * second. The rate defaults to 14/s for 'aws-ses' (the usual SES
+ * production quota; use 1 in the SES sandbox) and is unlimited for
+ * 'mailgun'.
+ * 
+ * Job shape: { id, template, options, status: 'pending'|'dead', attempts,
+ * nextAttemptAt, createdAt, updatedAt, lastError: { message, code,
+ * responseCode, statusCode, retryable } }
+ * 
+ * @param {Function} sendEmail - Sender from createEmailSender()
+ * @param {Object} options - Queue options (optional)
+ * @param {Object} options.store - Persistence adapter (required unless directory is set)
+ * @param {string} options.directory - Directory of the default file store, used when no store is given
+ * @param {number} options.maxAttempts - Attempts before a job is dead-lettered (default: 5)
+ * @param {Object|Function} options.backoff - { initialDelay, factor, maxDelay } in ms, or (attempt) => ms (default: 1s doubling up to 5 minutes)
+ * @param {number} options.concurrency - Sends in flight (default: 5)
+ * @param {number|null} options.rateLimit - Sends started per second (default: per provider, see above; null for unlimited)
+ * @param {Function} options.isRetryable - (error) => boolean (default: isRetryableSendError)
+ * @param {Function} options.onSent - (job, result) => void, called after a successful send; errors are logged (optional)
+ * @param {Function} options.onDeadLetter - (job, error) => void, called when a job fails for good (optional)
+ * @param {boolean} options.autoStart - Start processing right away (default: true)
+ * @param {Object|false} options.logger - Logger (see createLogger)
+ * @returns {Object} Queue with enqueue, start, stop, drain, getJob, listDeadLetters, requeueDeadLetters, deleteDeadLetter and size
+ * 
+ * @example
+ * const { createEmailSender, createOutboundQueue } = require('node-inbound-email');
+ * 
+ * const outbound = createOutboundQueue(createEmailSender('aws-ses'), {
+ *   directory: '/var/lib/myapp/outbound',
+ *   rateLimit: 50,
+ * });
+ * 
+ * const { id } = await outbound.enqueue('welcome', { to: 'user@example.com', subject: 'Welcome!', locals });
+ * 
+ * // Later: inspect and retry what failed for good
+ * const dead = await outbound.listDeadLetters();
+ * await outbound.requeueDeadLetters({ filter: (job) => job.lastError.retryable });
+ */
+function createOutboundQueue(sendEmail, options = {}) {
+  if (typeof sendEmail !== 'function') {
+    throw new Error("Outbound queue requires a sendEmail function (see createEmailSender)");
+  }
+  if (!options.store && !options.directory) {
+    throw new Error("Outbound queue requires a store or a directory for the default file store");
+  }
+  const {
+    store = createFileQueueStore({ directory: options.directory, logger: options.logger, logLevel: options.logLevel, redact: options.redact }),
+    maxAttempts = 5,
+    backoff = DEFAULT_RETRY_BACKOFF,
+    concurrency = 5,
+    rateLimit = DEFAULT_SEND_RATE_LIMITS[sendEmail.provider] || null,
+    isRetryable = isRetryableSendError,
+    onSent = null,
+    onDeadLetter = null,
+    autoStart = true,
+  } = options;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency: ${concurrency}`);
+  }
+  if (rateLimit !== null && !(rateLimit > 0)) {
+    throw new Error(`Invalid rateLimit: ${rateLimit}`);
+  }
+  const log = getComponentLogger(options, 'OutboundQueue');
+  const interval = rateLimit ? 1000 / rateLimit : 0;
+
+  const jobs = new Map();
+  const inFlight = new Set();
+  let loading = null;
+  let started = false;
+  let timer = null;
+  let nextStartAt = 0;
+  let idleWaiters = [];
+
+  const pendingJobs = () => [...jobs.values()].filter(job => job.status === 'pending');
+
+  function notifyIdle() {
+    if (pendingJobs().length > 0 || inFlight.size > 0) return;
+    const waiters = idleWaiters;
+    idleWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  function load() {
+    if (!loading) {
+      loading = Promise.resolve(store.list()).then(stored => {
+        stored.forEach(job => {
+          if (!jobs.has(job.id)) jobs.set(job.id, job);
+        });
+        log.info('Outbound queue loaded', { pending: pendingJobs().length, dead: stored.length - pendingJobs().length });
+      }, error => {
+        // Let the next call try again instead of failing forever
+        loading = null;
+        throw error;
+      });
+    }
+    return loading;
+  }
+
+  // Jobs are replaced, never changed in place: the map only gets a job once the store has it
+  async function save(job) {
+    const saved = { ...job, updatedAt: new Date().toISOString() };
+    await store.save(saved);
+    jobs.set(saved.id, saved);
+    return saved;
+  }
+
+  // A failed save is logged; the job carries on from memory and the store catches up with the next save
+  function saveOrKeep(job) {
+    return save(job).catch(storeError => {
+      log.error('Failed to save outbound job', { jobId: job.id, error: storeError.message });
+      jobs.set(job.id, job);
+      return job;
+    });
+  }
+
+  // Starts due jobs within the concurrency and rate limits, then sleeps until the next one is due
+  function pump() {
+    if (!started) return;
+    clearTimeout(timer);
+    timer = null;
+    const now = Date.now();
+    const waiting = pendingJobs()
+      .filter(job => !inFlight.has(job.id))
+      .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt));
+    const due = waiting.filter(job => Date.parse(job.nextAttemptAt) <= now);
+
+    while (due.length > 0 && inFlight.size < concurrency && nextStartAt <= now) {
+      if (interval) nextStartAt = Math.max(nextStartAt, now) + interval;
+      attempt(due.shift());
+    }
+
+    let wakeAt = null;
+    if (due.length > 0 && inFlight.size < concurrency) {
+      wakeAt = nextStartAt;
+    } else {
+      const future = waiting.find(job => !inFlight.has(job.id) && Date.parse(job.nextAttemptAt) > now);
+      if (future) wakeAt = Date.parse(future.nextAttemptAt);
+    }
+    if (wakeAt !== null) {
+      timer = setTimeout(pump, Math.max(0, wakeAt - Date.now()));
+    }
+  }
+
+  // Schedules a retry with backoff, or dead-letters the job after maxAttempts or a permanent failure
+  async function retryOrDeadLetter(job, error) {
+    const retryable = Boolean(isRetryable(error));
+    const lastError = {
+      message: error.message,
+      code: error.code || null,
+      responseCode: error.responseCode || null,
+      statusCode: error.statusCode || null,
+      retryable,
+    };
+
+    if (retryable && job.attempts < maxAttempts) {
+      const delay = getRetryDelay(backoff, job.attempts);
+      log.warn('Queued email failed, retrying', { jobId: job.id, attempts: job.attempts, delay, error: error.message });
+      await saveOrKeep({ ...job, lastError, nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+      return;
+    }
+
+    log.error('Queued email moved to dead letters', { jobId: job.id, attempts: job.attempts, retryable, error: error.message });
+    const dead = await saveOrKeep({ ...job, lastError, status: 'dead', failedAt: new Date().toISOString() });
+    if (onDeadLetter) {
+      await Promise.resolve()
+        .then(() => onDeadLetter(dead, error))
+        .catch(callbackError => log.error('onDeadLetter failed', { jobId: dead.id, error: callbackError.message }));
+    }
+  }
+
+  async function attempt(queued) {
+    inFlight.add(queued.id);
+    try {
+      // Count the attempt before sending, so one that crashes the process still counts towards maxAttempts
+      let job;
+      try {
+        job = await save({ ...queued, attempts: queued.attempts + 1 });
+      } catch (storeError) {
+        log.error('Failed to save outbound job', { jobId: queued.id, error: storeError.message });
+        // Not sent; wait before trying again, the store may be back by then
+        const delay = getRetryDelay(backoff, queued.attempts + 1);
+        jobs.set(queued.id, { ...queued, nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+        return;
+      }
+
+      let result;
+      try {
+        result = await sendEmail(job.template, job.options);
+      } catch (error) {
+        await retryOrDeadLetter(job, error);
+        return;
+      }
+
+      // 📬 The message is out: store and callback failures are logged, never treated as a failed send
+      jobs.delete(job.id);
+      log.info('Queued email sent', {
+        jobId: job.id,
+        attempts: job.attempts,
+        messageId: cleanMessageId(result && result.messageId) || null,
+        skipped: Boolean(result && result.skipped),
+      });
+      await Promise.resolve()
+        .then(() => store.delete(job.id))
+        .catch(storeError => log.error('Failed to delete sent outbound job', { jobId: job.id, error: storeError.message }));
+      if (onSent) {
+        await Promise.resolve()
+          .then(() => onSent(job, result))
+          .catch(callbackError => log.error('onSent failed', { jobId: job.id, error: callbackError.message }));
+      }
+    } finally {
+      inFlight.delete(queued.id);
+      pump();
+      notifyIdle();
+    }
+  }
+
+  const queue = {
+    /**
+     * Persist a message and send it in the background
+     * @param {string} template - Template name
+     * @param {Object} sendOptions - sendEmail options; Buffer attachments are stored as base64, path attachments must still exist when sent
+     * @param {Object} enqueueOptions - { delay } in ms before the first attempt (optional)
+     * @returns {Promise<Object>} Job
+     */
+    async enqueue(template, sendOptions = {}, enqueueOptions = {}) {
+      if (!sendOptions.to) {
+        throw new Error("enqueue requires a recipient (to)");
+      }
+      await load();
+      const now = Date.now();
+      const job = {
+        id: crypto.randomBytes(16).toString('hex'),
+        template,
+        options: serializeSendOptions(sendOptions),
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(now + (enqueueOptions.delay || 0)).toISOString(),
+        createdAt: new Date(now).toISOString(),
+        updatedAt: new Date(now).toISOString(),
+        lastError: null,
+      };
+      const saved = await save(job);
+      log.debug('Email queued', { jobId: saved.id, template });
+      pump();
+      return saved;
+    },
+
+    /**
+     * Load persisted jobs and start sending
+     * @returns {Promise<void>}
+     */
+    async start() {
+      await load();
+      started = true;
+      pump();
+    },
+
+    /**
+     * Stop starting new sends; sends in flight finish. Jobs stay in the store
+     */
+    stop() {
+      started = false;
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    /**
+     * Wait until every pending job was sent or dead-lettered
+     * @returns {Promise<void>}
+     */
+    async drain() {
+      await load();
+      if (pendingJobs().length === 0 && inFlight.size === 0) return;
+      await new Promise(resolve => idleWaiters.push(resolve));
+    },
+
+    /**
+     * Get a pending or dead-lettered job
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} Job, or null once it was sent
+     */
+    async getJob(id) {
+      await load();
+      return jobs.get(id) || null;
+    },
+
+    /**
+     * List jobs that failed for good
+     * @returns {Promise<Array<Object>>} Dead-lettered jobs, oldest first
+     */
+    async listDeadLetters() {
+      await load();
+      return [...jobs.values()]
+        .filter(job => job.status === 'dead')
+        .sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0));
+    },
+
+    /**
+     * Move dead letters back to the queue with a fresh attempt count
+     * 
+     * Jobs are requeued one by one; if the store fails, the job stays a
+     * dead letter and the call rejects (jobs requeued before it stay queued).
+     * 
+     * @param {Object} requeueOptions - { ids, filter: (job) => boolean, limit } (optional)
+     * @returns {Promise<Object>} { requeued }
+     */
+    async requeueDeadLetters(requeueOptions = {}) {
+      const { ids = null, filter = null, limit = Infinity } = requeueOptions;
+      const selected = (await queue.listDeadLetters())
+        .filter(job => !ids || ids.includes(job.id))
+        .filter(job => !filter || filter(job))
+        .slice(0, limit);
+
+      let requeued = 0;
+      try {
+        for (const { failedAt, ...job } of selected) {
+          await save({ ...job, status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+          requeued++;
+        }
+      } finally {
+        log.info('Dead letters requeued', { requeued });
+        pump();
+      }
+      return { requeued };
+    },
+
+    /**
+     * Delete a dead-lettered job
+     * @param {string} id - Job ID
+     * @returns {Promise<boolean>} True if a dead letter was deleted
+     */
+    async deleteDeadLetter(id) {
+      await load();
+      const job = jobs.get(id);
+      if (!job || job.status !== 'dead') return false;
+      jobs.delete(id);
+      await store.delete(id);
+      return true;
+    },
+
+    /** Number of pending jobs (including sends in flight) */
+    get size() {
+      return pendingJobs().length;
+    },
+
+    store,
+  };
+
+  if (autoStart) {
+    queue.start().catch(error => log.error('Failed to load outbound queue', { error: error.message }));
+  }
+  return queue;
 }
 
 // Export utility functions for manual processing
 module.exports = {
   processEmailData,
+  parseMimeMessage, // Raw RFC 5322/MIME message parser (body-mime, .eml files)
   verifyRequestSignature, // Automatic signature verification (recommended)
   verifyMailgunSignature, // Manual signature verification (advanced)
+  verifyMailgunRequest, // Async verification with replay protection and failure reasons
+  createMemoryStore, // In-memory TTL store for replay protection and deduplication
+  createLogger, // Structured logger with PII redaction (pino/winston compatible)
+  createRetryQueue, // In-process retries with backoff and dead letters
+  createMemoryDeadLetterStore,
+  getDedupeKey, // Idempotency key of an event or inbound message
   mailgunWebhook, // Production-ready event webhook handler
+  createEventWebhook, // Event webhook middleware with a handler registry
+  normalizeMailgunEvent, // Typed schema for current and legacy event payloads
+  createInboundHandler, // Self-contained inbound webhook middleware
+  createInboundRouter, // Local routing engine modeled on Mailgun routes
+  parseInboundRequest, // Built-in multipart/form-data parser for inbound webhooks
   createEmailSender, // Email sender with AWS SES and Mailgun support
+  createOutboundQueue, // Durable outbound queue with retries, rate limits and dead letters
+  createFileQueueStore,
+  isRetryableSendError,
   extractEmail,
   extractEmails,
+  parseAddressList,
   cleanMessageId,
+  parseMessageIds,
+  normalizeSubject,
+  resolveThreadId, // Conversation threading from Message-ID, In-Reply-To and References
   parseHeaders,
+  decodeMimeWords,
+  createHeaderCollection,
+  sanitizeFilename,
+  detectMimeType,
+  DEFAULT_BLOCKED_EXTENSIONS,
+  parseContentIdMap,
+  rewriteCidReferences,
+  createLocalStorage,
+  createS3Storage,
+  storeAttachments,
+  parseAuthenticationResults,
+  evaluateAuthenticationPolicy,
+  createSuppressionList, // Bounce/complaint/unsubscribe list enforced by the sender
+  createDeliveryTracker, // Per-recipient delivery status from send to open/click/bounce
+  createReplyAddress, // Signed reply-by-email addresses
+  verifyReplyAddress,
+  decodeReplyAddress,
 };
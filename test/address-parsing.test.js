@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseAddressList, extractEmail, extractEmails, processEmailData } = require('..');
+
+test('parses display names, including quoted ones with commas', () => {
+  assert.deepStrictEqual(parseAddressList('"Doe, John" <j@x.com>, Jane Roe <jane@x.com>, bob@x.com'), [
+    { name: 'Doe, John', address: 'j@x.com' },
+    { name: 'Jane Roe', address: 'jane@x.com' },
+    { name: '', address: 'bob@x.com' },
+  ]);
+  assert.deepStrictEqual(extractEmails('"Doe, John" <j@x.com>, bob@x.com'), ['j@x.com', 'bob@x.com']);
+});
+
+test('decodes RFC 2047 display names', () => {
+  assert.deepStrictEqual(parseAddressList('=?UTF-8?B?SsO8cmdlbg==?= <jurgen@x.com>, =?ISO-8859-1?Q?Andr=E9?= <andre@x.com>'), [
+    { name: 'Jürgen', address: 'jurgen@x.com' },
+    { name: 'André', address: 'andre@x.com' },
+  ]);
+});
+
+test('handles group syntax and empty groups', () => {
+  assert.deepStrictEqual(parseAddressList('Team: a@x.com, "B" <b@x.com>;, c@x.com'), [
+    { name: '', address: 'a@x.com', group: 'Team' },
+    { name: 'B', address: 'b@x.com', group: 'Team' },
+    { name: '', address: 'c@x.com' },
+  ]);
+  assert.deepStrictEqual(parseAddressList('undisclosed-recipients:;'), []);
+});
+
+test('uses comments as names and drops source routes', () => {
+  assert.deepStrictEqual(parseAddressList('j@x.com (John Doe)'), [{ name: 'John Doe', address: 'j@x.com' }]);
+  assert.deepStrictEqual(parseAddressList('<@relay.example:user@example.com>'), [{ name: '', address: 'user@example.com' }]);
+});
+
+test('extractEmail keeps a display name without an address intact', () => {
+  assert.strictEqual(extractEmail('  Undisclosed recipients  '), 'Undisclosed recipients');
+  assert.strictEqual(extractEmail('Alice <alice@example.com>'), 'alice@example.com');
+  assert.strictEqual(extractEmail(' alice@example.com '), 'alice@example.com');
+  assert.strictEqual(extractEmail(''), '');
+  assert.strictEqual(extractEmail(null), '');
+  assert.deepStrictEqual(extractEmails(undefined), []);
+});
+
+test('processEmailData exposes names for from, to, cc, reply-to, sender and bcc', () => {
+  const { emailData } = processEmailData({
+    body: {
+      sender: 'alice@example.com',
+      from: 'Alice Smith <alice@example.com>',
+      recipient: 'support@example.com',
+      'message-headers': JSON.stringify([
+        ['To', 'Support Desk <support@example.com>'],
+        ['Cc', '"Roe, Jane" <jane@example.com>'],
+        ['Reply-To', 'Replies <replies@example.com>'],
+        ['Sender', 'List <list@example.com>'],
+        ['Bcc', 'hidden@example.com'],
+      ]),
+    },
+  });
+
+  assert.strictEqual(emailData.from, 'alice@example.com');
+  assert.strictEqual(emailData.fromName, 'Alice Smith');
+  assert.deepStrictEqual(emailData.to, ['support@example.com']);
+  assert.deepStrictEqual(emailData.toAddresses, [{ name: 'Support Desk', address: 'support@example.com' }]);
+  assert.deepStrictEqual(emailData.ccAddresses, [{ name: 'Roe, Jane', address: 'jane@example.com' }]);
+  assert.deepStrictEqual(emailData.replyTo, ['replies@example.com']);
+  assert.deepStrictEqual(emailData.senderAddress, { name: 'List', address: 'list@example.com' });
+  assert.deepStrictEqual(emailData.bcc, ['hidden@example.com']);
+});
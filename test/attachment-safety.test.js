@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sanitizeFilename, detectMimeType, processEmailData, DEFAULT_BLOCKED_EXTENSIONS } = require('..');
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+const exe = Buffer.from('MZ\x90\x00binary', 'latin1');
+
+function file(originalname, mimetype, buffer) {
+  return { fieldname: 'attachment-1', originalname, mimetype, size: buffer.length, buffer };
+}
+
+function parse(files, attachmentPolicy) {
+  return processEmailData({ body: { sender: 'alice@example.com' }, files }, { attachmentPolicy }).emailData;
+}
+
+test('sanitizeFilename strips paths, reserved characters and hidden-file dots', () => {
+  assert.strictEqual(sanitizeFilename('../../etc/passwd'), 'passwd');
+  assert.strictEqual(sanitizeFilename('C:\\Users\\x\\report.pdf'), 'report.pdf');
+  assert.strictEqual(sanitizeFilename('in<voi>ce?:*.pdf'), 'invoice.pdf');
+  assert.strictEqual(sanitizeFilename('.htaccess'), 'htaccess');
+  assert.strictEqual(sanitizeFilename('name\u0000.txt'), 'name.txt');
+  assert.strictEqual(sanitizeFilename('CON.txt'), '_CON.txt');
+  assert.strictEqual(sanitizeFilename('...', 'fallback'), 'fallback');
+  assert.strictEqual(sanitizeFilename(null), 'attachment');
+});
+
+test('sanitizeFilename cuts long names to 255 bytes and keeps the extension', () => {
+  const sanitized = sanitizeFilename(`${'ü'.repeat(300)}.pdf`);
+
+  assert.ok(Buffer.byteLength(sanitized) <= 255);
+  assert.ok(sanitized.endsWith('.pdf'));
+});
+
+test('detectMimeType recognizes content by magic bytes', () => {
+  assert.strictEqual(detectMimeType(png), 'image/png');
+  assert.strictEqual(detectMimeType(Buffer.from('%PDF-1.7')), 'application/pdf');
+  assert.strictEqual(detectMimeType(exe), 'application/x-msdownload');
+  assert.strictEqual(detectMimeType(Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1')), 'image/webp');
+  assert.strictEqual(detectMimeType(Buffer.from('plain text\n')), 'text/plain');
+  assert.strictEqual(detectMimeType(Buffer.from([0x01, 0x00, 0x02])), null);
+  assert.strictEqual(detectMimeType(Buffer.alloc(0)), null);
+  assert.strictEqual(detectMimeType('not a buffer'), null);
+});
+
+test('attachments carry sanitized names, hashes and type mismatch flags', () => {
+  const [photo, disguised, docx] = parse([
+    file('../photo.png', 'image/png', png),
+    file('invoice.pdf', 'application/pdf', exe),
+    file('doc.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', Buffer.from([0x50, 0x4b, 0x03, 0x04])),
+  ]).attachments;
+
+  assert.strictEqual(photo.filename, 'photo.png');
+  assert.strictEqual(photo.originalname, '../photo.png');
+  assert.strictEqual(photo.extension, 'png');
+  assert.match(photo.sha256, /^[0-9a-f]{64}$/);
+  assert.strictEqual(photo.typeMismatch, false);
+  assert.strictEqual(disguised.detectedType, 'application/x-msdownload');
+  assert.strictEqual(disguised.typeMismatch, true);
+  assert.strictEqual(docx.typeMismatch, false);
+});
+
+test('the default policy drops blocked extensions and discards their buffers', () => {
+  const emailData = parse([file('setup.EXE', 'application/octet-stream', exe), file('photo.png', 'image/png', png)], {});
+
+  assert.ok(DEFAULT_BLOCKED_EXTENSIONS.includes('exe'));
+  assert.deepStrictEqual(emailData.attachments.map(a => a.filename), ['photo.png']);
+  assert.strictEqual(emailData.blockedAttachments[0].reason, 'blocked_extension');
+  assert.strictEqual(emailData.blockedAttachments[0].action, 'dropped');
+  assert.strictEqual(emailData.blockedAttachments[0].buffer, null);
+});
+
+test('policies block types, mismatches, sizes and counts', () => {
+  const files = [
+    file('a.png', 'image/png', png),
+    file('invoice.pdf', 'application/pdf', exe),
+    file('b.txt', 'text/plain', Buffer.from('x'.repeat(100))),
+    file('c.txt', 'text/plain', Buffer.from('small')),
+    file('d.txt', 'text/plain', Buffer.from('small')),
+  ];
+
+  const reasons = (policy) => parse(files, policy).blockedAttachments.map(a => `${a.filename}:${a.reason}`);
+
+  assert.deepStrictEqual(reasons({ blockedTypes: ['image/*'] }), ['a.png:blocked_type']);
+  assert.deepStrictEqual(reasons({ blockedTypes: ['application/x-msdownload'] }), ['invoice.pdf:blocked_type']);
+  assert.deepStrictEqual(reasons({ blockTypeMismatch: true }), ['invoice.pdf:type_mismatch']);
+  assert.deepStrictEqual(reasons({ maxSize: 50 }), ['b.txt:max_size_exceeded']);
+  assert.deepStrictEqual(reasons({ maxCount: 3 }), ['c.txt:max_count_exceeded', 'd.txt:max_count_exceeded']);
+});
+
+test('quarantine keeps the buffer of blocked attachments', () => {
+  const [blocked] = parse([file('run.bat', 'text/plain', Buffer.from('@echo off'))], { action: 'quarantine' }).blockedAttachments;
+
+  assert.strictEqual(blocked.action, 'quarantined');
+  assert.strictEqual(blocked.buffer.toString(), '@echo off');
+});
@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  parseAuthenticationResults,
+  evaluateAuthenticationPolicy,
+  processEmailData,
+  createInboundHandler,
+} = require('..');
+const { buildMultipart, createRequest, createResponse } = require('./helpers/http');
+const { signToken } = require('./helpers/signature');
+
+function emailWith(headers) {
+  return processEmailData({
+    body: { sender: 'alice@example.com', 'message-headers': JSON.stringify(headers) },
+  }).emailData;
+}
+
+const mailgunFail = ['Authentication-Results', 'mx.mailgun.org; dmarc=fail (p=REJECT dis=NONE) header.from=example.com'];
+const forgedPass = ['Authentication-Results', 'mx.mailgun.org; dmarc=pass header.from=example.com'];
+
+test('parses methods, results, properties and comments', () => {
+  assert.deepStrictEqual(
+    parseAuthenticationResults('mx.example.com 1; spf=pass smtp.mailfrom=x.com; dkim=fail (bad sig) header.d=x.com header.s="s1"; none'),
+    [
+      { method: 'spf', result: 'pass', properties: { 'smtp.mailfrom': 'x.com' }, comment: null },
+      { method: 'dkim', result: 'fail', properties: { 'header.d': 'x.com', 'header.s': 's1' }, comment: 'bad sig' },
+    ]
+  );
+  assert.deepStrictEqual(parseAuthenticationResults('mx.example.com; none'), []);
+  assert.deepStrictEqual(parseAuthenticationResults(''), []);
+  assert.deepStrictEqual(parseAuthenticationResults(undefined), []);
+});
+
+test('builds verdicts, preferring the X-Mailgun headers', () => {
+  const { authentication } = emailWith([
+    ['X-Mailgun-Spf', 'Neutral'],
+    ['X-Mailgun-Sflag', 'Yes'],
+    ['X-Mailgun-Sscore', '7.5'],
+    ['Authentication-Results', 'mx.mailgun.org; spf=pass smtp.mailfrom=example.com; dkim=fail header.d=a.com; dkim=pass header.d=example.com; ' +
+      'dmarc=fail (p=QUARANTINE dis=NONE) header.from=example.com'],
+  ]);
+
+  assert.deepStrictEqual(authentication.spf, { result: 'neutral', domain: 'example.com' });
+  assert.strictEqual(authentication.dkim.result, 'pass');
+  assert.strictEqual(authentication.dkim.signatures.length, 2);
+  assert.deepStrictEqual(authentication.dmarc, { result: 'fail', policy: 'quarantine', disposition: 'none', domain: 'example.com' });
+  assert.deepStrictEqual(authentication.spam, { flagged: true, score: 7.5 });
+});
+
+test('ignores Authentication-Results headers injected below the topmost one', async () => {
+  const emailData = emailWith([mailgunFail, forgedPass]);
+
+  assert.strictEqual(emailData.authentication.dmarc.result, 'fail');
+  assert.strictEqual(await evaluateAuthenticationPolicy(emailData, { rejectDmarcFail: true }), 'dmarc_fail');
+});
+
+test('trustedAuthservIds only trusts results added by the listed hosts', async () => {
+  const emailData = emailWith([
+    ['Authentication-Results', 'attacker.example; dmarc=pass header.from=example.com'],
+    ['Authentication-Results', 'MX.Mailgun.org; dmarc=fail header.from=example.com'],
+  ]);
+
+  assert.strictEqual(await evaluateAuthenticationPolicy(emailData, { rejectDmarcFail: true }), null);
+  assert.strictEqual(
+    await evaluateAuthenticationPolicy(emailData, { rejectDmarcFail: true, trustedAuthservIds: ['mx.mailgun.org'] }),
+    'dmarc_fail'
+  );
+  assert.strictEqual(
+    await evaluateAuthenticationPolicy(emailWith([forgedPass]), { rejectDmarcFail: true, trustedAuthservIds: ['other.example'] }),
+    null
+  );
+});
+
+test('evaluates each policy rule', async () => {
+  const emailData = emailWith([
+    ['X-Mailgun-Spf', 'Fail'],
+    ['X-Mailgun-Dkim-Check-Result', 'Fail'],
+    ['X-Mailgun-Sflag', 'Yes'],
+    ['X-Mailgun-Sscore', '6'],
+  ]);
+
+  assert.strictEqual(await evaluateAuthenticationPolicy(emailData, null), null);
+  assert.strictEqual(await evaluateAuthenticationPolicy(emailData, {}), null);
+  assert.strictEqual(await evaluateAuthenticationPolicy(emailData, { rejectSpfFail: true }), 'spf_fail');
+  assert.strictEqual(await evaluateAuthenticationPolicy(emailData, { rejectDkimFail: true }), 'dkim_fail');
+  assert.strictEqual(await evaluateAuthenticationPolicy(emailData, { rejectSpamFlagged: true }), 'spam_flagged');
+  assert.strictEqual(await evaluateAuthenticationPolicy(emailData, { maxSpamScore: 6 }), null);
+  assert.strictEqual(await evaluateAuthenticationPolicy(emailData, { maxSpamScore: 5 }), 'spam_score_exceeded');
+});
+
+test('awaits async policy functions', async () => {
+  const emailData = emailWith([]);
+
+  assert.strictEqual(await evaluateAuthenticationPolicy(emailData, async () => false), null);
+  assert.strictEqual(await evaluateAuthenticationPolicy(emailData, async () => 'blocked_sender'), 'blocked_sender');
+  assert.strictEqual(await evaluateAuthenticationPolicy(emailData, () => 'sync_reason'), 'sync_reason');
+});
+
+test('the inbound handler accepts messages an async policy lets through', async () => {
+  const signingKey = 'test-signing-key';
+  const received = [];
+  const rejected = [];
+  const handler = createInboundHandler({
+    signingKey,
+    logger: false,
+    policy: async (emailData) => emailData.subject === 'Spam' && 'spam_subject',
+    onReject: async (emailData, { reason }) => rejected.push(reason),
+    onEmail: async (emailData) => received.push(emailData.subject),
+  });
+
+  for (const [token, subject] of [['t1', 'Hello'], ['t2', 'Spam']]) {
+    const res = createResponse();
+    await handler(createRequest(buildMultipart([
+      { name: 'sender', value: 'alice@example.com' },
+      { name: 'subject', value: subject },
+      ...Object.entries(signToken(signingKey, token)).map(([name, value]) => ({ name, value })),
+    ])), res, () => {});
+    assert.strictEqual(res.statusCode, 200);
+  }
+
+  assert.deepStrictEqual(received, ['Hello']);
+  assert.deepStrictEqual(rejected, ['spam_subject']);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createDeliveryTracker, normalizeMailgunEvent } = require('..');
+
+const messageId = '20240610.abc@mg.example.com';
+
+const event = (name, fields = {}) => normalizeMailgunEvent({
+  'event-data': {
+    event: name,
+    id: `${name}-1`,
+    recipient: 'alice@example.com',
+    timestamp: 1718000000,
+    message: { headers: { 'message-id': messageId } },
+    ...fields,
+  },
+});
+
+async function trackedMessage() {
+  const tracker = createDeliveryTracker();
+  await tracker.recordSend({ messageId: `<${messageId}>`, recipients: ['alice@example.com'] });
+  return tracker;
+}
+
+test('recordEvent moves the recipient to bounced on a bounced event', async () => {
+  const tracker = await trackedMessage();
+
+  await tracker.recordEvent(event('accepted'));
+  const recipient = await tracker.recordEvent(event('bounced'));
+
+  assert.strictEqual(recipient.status, 'bounced');
+  assert.deepStrictEqual(recipient.history.map(entry => entry.status), ['sent', 'accepted', 'bounced']);
+  const status = await tracker.getMessageStatus(messageId);
+  assert.deepStrictEqual(status.summary, { bounced: 1 });
+});
+
+test('bounced is final', async () => {
+  const tracker = await trackedMessage();
+
+  await tracker.recordEvent(event('bounced'));
+  const recipient = await tracker.recordEvent(event('opened'));
+
+  assert.strictEqual(recipient.status, 'bounced');
+});
+
+test('permanent bounce failures are reported as bounced and temporary ones as deferred', async () => {
+  const tracker = await trackedMessage();
+
+  const deferred = await tracker.recordEvent(event('failed', { id: 'failed-temporary', severity: 'temporary' }));
+  assert.strictEqual(deferred.status, 'deferred');
+
+  const bounced = await tracker.recordEvent(event('failed', { id: 'failed-permanent', severity: 'permanent', reason: 'bounce' }));
+  assert.strictEqual(bounced.status, 'bounced');
+});
@@ -0,0 +1,188 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const nodemailer = require('nodemailer');
+const { createEmailSender } = require('..');
+
+const SMTP_ENV = ['SMTP_HOST', 'SMTP_PORT', 'SMTP_AUTH_USER', 'SMTP_AUTH_PASSWORD', 'SMTP_FROM_ADDRESS', 'AWS_REGION'];
+
+// Run with only the given SMTP environment variables set
+function withEnv(t, env) {
+  const saved = {};
+  for (const name of SMTP_ENV) {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  }
+  Object.assign(process.env, env);
+  t.after(() => {
+    for (const name of SMTP_ENV) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  });
+}
+
+function smtpOptions(t, provider, options) {
+  const sendEmail = createEmailSender(provider, { logger: false, ...options });
+  t.after(() => sendEmail.close());
+  return sendEmail.transporter.transporter.options;
+}
+
+test('fills in host and port from the provider and region presets', (t) => {
+  withEnv(t, {});
+
+  assert.strictEqual(smtpOptions(t, 'mailgun', {}).host, 'smtp.mailgun.org');
+  assert.strictEqual(smtpOptions(t, 'mailgun', { region: 'EU' }).host, 'smtp.eu.mailgun.org');
+  assert.strictEqual(smtpOptions(t, 'aws-ses', {}).host, 'email-smtp.us-east-1.amazonaws.com');
+  const ses = smtpOptions(t, 'aws-ses', { region: 'eu-west-1' });
+  assert.strictEqual(ses.host, 'email-smtp.eu-west-1.amazonaws.com');
+  assert.strictEqual(ses.port, 465);
+  assert.strictEqual(ses.secure, true);
+  assert.throws(() => createEmailSender('mailgun', { region: 'asia' }), /Invalid Mailgun region/);
+  assert.throws(() => createEmailSender('aws-ses', { region: 'eu-west' }), /Invalid AWS region/);
+});
+
+test('uses STARTTLS on ports other than 465', (t) => {
+  withEnv(t, {});
+
+  const starttls = smtpOptions(t, 'mailgun', { port: 587, requireTLS: true, tls: { minVersion: 'TLSv1.2' } });
+  assert.strictEqual(starttls.secure, false);
+  assert.strictEqual(starttls.requireTLS, true);
+  assert.deepStrictEqual(starttls.tls, { minVersion: 'TLSv1.2' });
+  assert.strictEqual(smtpOptions(t, 'mailgun', { port: 2525, secure: true }).secure, true);
+  assert.strictEqual(smtpOptions(t, 'mailgun', { port: 25, ignoreTLS: true }).ignoreTLS, true);
+  assert.throws(() => createEmailSender('mailgun', { port: 465, ignoreTLS: true }), /ignoreTLS cannot be combined/);
+  assert.throws(() => createEmailSender('mailgun', { port: 70000 }), /Invalid SMTP port/);
+});
+
+test('prefers the config object over environment variables', (t) => {
+  withEnv(t, { SMTP_HOST: 'env.example.com', SMTP_PORT: '2525', SMTP_AUTH_USER: 'env-user', SMTP_AUTH_PASSWORD: 'env-pass' });
+
+  const fromEnv = smtpOptions(t, 'mailgun', {});
+  assert.strictEqual(fromEnv.host, 'env.example.com');
+  assert.strictEqual(fromEnv.port, 2525);
+  assert.deepStrictEqual(fromEnv.auth, { user: 'env-user', pass: 'env-pass' });
+
+  const fromConfig = smtpOptions(t, 'mailgun', { host: 'smtp.example.com', port: 587, auth: { user: 'u', pass: 'p' } });
+  assert.strictEqual(fromConfig.host, 'smtp.example.com');
+  assert.strictEqual(fromConfig.port, 587);
+  assert.deepStrictEqual(fromConfig.auth, { user: 'u', pass: 'p' });
+
+  // A region picks its preset host even when SMTP_HOST is set
+  assert.strictEqual(smtpOptions(t, 'mailgun', { region: 'eu' }).host, 'smtp.eu.mailgun.org');
+});
+
+test('passes pooling and timeout settings to the transport', (t) => {
+  withEnv(t, {});
+
+  const pooled = smtpOptions(t, 'mailgun', { pool: true, maxConnections: 3, maxMessages: 50, connectionTimeout: 1000, socketTimeout: 2000 });
+  assert.strictEqual(pooled.pool, true);
+  assert.strictEqual(pooled.maxConnections, 3);
+  assert.strictEqual(pooled.maxMessages, 50);
+  assert.strictEqual(pooled.connectionTimeout, 1000);
+  assert.strictEqual(pooled.socketTimeout, 2000);
+
+  const single = smtpOptions(t, 'mailgun', { maxConnections: 3 });
+  assert.strictEqual(single.pool, undefined);
+  assert.strictEqual(single.maxConnections, undefined);
+});
+
+test('runs independent senders side by side', (t) => {
+  withEnv(t, {});
+  const transactional = createEmailSender({ provider: 'mailgun', region: 'eu', auth: { user: 'tx', pass: 'a' }, logger: false });
+  const marketing = createEmailSender({ provider: 'aws-ses', region: 'eu-west-1', auth: { user: 'mk', pass: 'b' }, logger: false });
+  t.after(() => { transactional.close(); marketing.close(); });
+
+  assert.strictEqual(transactional.provider, 'mailgun');
+  assert.strictEqual(marketing.provider, 'aws-ses');
+  assert.notStrictEqual(transactional.transporter, marketing.transporter);
+  assert.strictEqual(transactional.transporter, transactional.transporter);
+  assert.strictEqual(transactional.transporter.transporter.options.auth.user, 'tx');
+  assert.strictEqual(marketing.transporter.transporter.options.auth.user, 'mk');
+  assert.throws(() => createEmailSender({ provider: 'sendgrid' }), /Provider must be either/);
+});
+
+test('renders templates from a custom templatesDir through a given transport', async (t) => {
+  withEnv(t, {});
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const sendEmail = createEmailSender('mailgun', {
+    transport,
+    from: 'noreply@example.com',
+    templatesDir: path.join(__dirname, 'fixtures', 'emails'),
+    logger: false,
+  });
+
+  const result = await sendEmail('welcome', { to: 'alice@example.com', subject: 'Welcome', locals: { name: 'Alice' }, tags: ['onboarding'] });
+  const message = JSON.parse(result.message);
+
+  assert.strictEqual(sendEmail.transporter, transport);
+  assert.strictEqual(message.from.address, 'noreply@example.com');
+  assert.strictEqual(message.subject, 'Welcome');
+  assert.match(message.html, /<p>Hello Alice<\/p>/);
+  assert.deepStrictEqual(message.headers['X-Mailgun-Tag'], ['onboarding']);
+});
+
+test('sends raw html and inline templates through the API without loading email-templates', () => {
+  // A fresh process, since other tests load email-templates into the module cache
+  const script = `
+    const { createEmailSender } = require(${JSON.stringify(path.join(__dirname, '..'))});
+    const sendEmail = createEmailSender('mailgun', { api: { apiKey: 'key-test', domain: 'mg.example.com' }, from: 'noreply@mg.example.com', logger: false });
+    Promise.all([
+      sendEmail(null, { to: 'alice@example.com', subject: ' Report ', html: '<style>p { color: red; }</style><p>Done</p>', send: false }),
+      sendEmail({ subject: 'Hi <%= name %>', html: '<p>Hello <%= name %></p>' }, { to: 'alice@example.com', locals: { name: 'Alice' }, send: false }),
+    ]).then((results) => {
+      const loaded = Object.keys(require.cache).some(file => file.includes(${JSON.stringify(`${path.sep}email-templates${path.sep}`)}));
+      process.stdout.write(JSON.stringify({ loaded, fields: results.map(result => result.fields) }));
+    });
+  `;
+  const { loaded, fields } = JSON.parse(execFileSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 30000 }));
+  const field = (index, name) => (fields[index].find(([key]) => key === name) || [])[1];
+
+  assert.strictEqual(loaded, false);
+  assert.strictEqual(field(0, 'subject'), 'Report');
+  assert.strictEqual(field(0, 'html'), '<p style="color: red;">Done</p>');
+  assert.strictEqual(field(0, 'text'), 'Done');
+  assert.strictEqual(field(1, 'subject'), 'Hi Alice');
+  assert.strictEqual(field(1, 'html'), '<p>Hello Alice</p>');
+  assert.strictEqual(field(1, 'text'), 'Hello Alice');
+});
+
+test('renders inline templates with the sender engine', async (t) => {
+  withEnv(t, {});
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const send = (engine, template, options) => createEmailSender('mailgun', { transport, engine, from: 'noreply@example.com', logger: false })(template, {
+    to: 'alice@example.com',
+    locals: { name: 'Alice <3' },
+    ...options,
+  }).then(result => JSON.parse(result.message));
+
+  const ejs = await send('ejs', { subject: 'Hi <%= name %>', html: '<p>Hello <%= name %></p>', text: 'Hello <%- name %>' });
+  assert.strictEqual(ejs.subject, 'Hi Alice &lt;3');
+  assert.strictEqual(ejs.html, '<p>Hello Alice &lt;3</p>');
+  assert.strictEqual(ejs.text, 'Hello Alice <3');
+
+  const pug = await send('pug', { html: 'p Hello #{name}' }, { subject: 'Explicit subject' });
+  assert.strictEqual(pug.subject, 'Explicit subject');
+  assert.strictEqual(pug.html, '<p>Hello Alice &lt;3</p>');
+
+  // Explicit html wins over the inline template
+  const explicit = await send('ejs', { html: '<p><%= name %></p>' }, { subject: 'x', html: '<p>Fixed</p>' });
+  assert.strictEqual(explicit.html, '<p>Fixed</p>');
+});
+
+test('rejects inline templates without content, an unknown engine or a missing engine package', async (t) => {
+  withEnv(t, {});
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const sendEmail = createEmailSender('mailgun', { transport, from: 'noreply@example.com', logger: false });
+
+  await assert.rejects(sendEmail(null, { to: 'alice@example.com', subject: 'Empty' }), /Nothing to send/);
+  assert.throws(() => createEmailSender('mailgun', { engine: 'mustache' }), /Unsupported template engine/);
+
+  let handlebarsInstalled = true;
+  try { require.resolve('handlebars'); } catch (error) { handlebarsInstalled = false; }
+  if (!handlebarsInstalled) {
+    const handlebars = createEmailSender('mailgun', { transport, engine: 'handlebars', from: 'noreply@example.com', logger: false });
+    await assert.rejects(handlebars({ html: '<p>{{name}}</p>' }, { to: 'alice@example.com', subject: 'x' }), /npm install handlebars/);
+  }
+});
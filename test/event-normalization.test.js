@@ -0,0 +1,144 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeMailgunEvent, getDedupeKey } = require('..');
+
+test('normalizes a permanent failure with delivery status, variables and envelope', () => {
+  const event = normalizeMailgunEvent({
+    signature: { token: 't', timestamp: '1', signature: 's' },
+    'event-data': {
+      id: 'failed-1',
+      event: 'failed',
+      severity: 'permanent',
+      reason: 'suppress-bounce',
+      'log-level': 'error',
+      timestamp: 1700000000.5,
+      recipient: 'alice@example.com',
+      'recipient-domain': 'example.com',
+      tags: ['newsletter'],
+      campaigns: [{ id: 'c1', name: 'Launch' }],
+      'user-variables': { 'user-id': 42 },
+      envelope: { sender: 'bounce@mg.example.com', 'sending-ip': '1.2.3.4', transport: 'smtp' },
+      flags: { 'is-authenticated': true, 'is-test-mode': false },
+      message: { headers: { 'message-id': '<abc@mg.example.com>', subject: 'Hi' }, size: 1234, attachments: [] },
+      'delivery-status': { code: 550, message: 'No such user', description: 'Mailbox unavailable', 'attempt-no': 1 },
+    },
+  });
+
+  assert.strictEqual(event.event, 'failed');
+  assert.strictEqual(event.eventId, 'failed-1');
+  assert.strictEqual(event.status, 'failed');
+  assert.strictEqual(event.severity, 'permanent');
+  assert.strictEqual(event.timestamp, '2023-11-14T22:13:20.500Z');
+  assert.strictEqual(event.failedAt, event.timestamp);
+  assert.strictEqual(event.reason, 'Mailbox unavailable');
+  assert.strictEqual(event.reasonCode, 'suppress-bounce');
+  assert.strictEqual(event.messageId, 'abc@mg.example.com');
+  assert.deepStrictEqual(event.tags, ['newsletter']);
+  assert.deepStrictEqual(event.campaigns, [{ id: 'c1', name: 'Launch' }]);
+  assert.deepStrictEqual(event.userVariables, { 'user-id': 42 });
+  assert.deepStrictEqual(event.envelope, { sender: 'bounce@mg.example.com', sendingIp: '1.2.3.4', transport: 'smtp' });
+  assert.deepStrictEqual(event.flags, { isAuthenticated: true, isTestMode: false });
+  assert.deepStrictEqual(event.deliveryStatus, { code: 550, message: 'No such user', description: 'Mailbox unavailable', attemptNo: 1 });
+  assert.strictEqual(event.message.size, 1234);
+  assert.strictEqual(getDedupeKey(event), 'event:failed-1');
+});
+
+test('derives failure severity from the log level when it is missing', () => {
+  assert.strictEqual(normalizeMailgunEvent({ event: 'failed', 'log-level': 'warn' }).severity, 'temporary');
+  assert.strictEqual(normalizeMailgunEvent({ event: 'failed', 'log-level': 'error' }).severity, 'permanent');
+  assert.strictEqual(normalizeMailgunEvent({ event: 'failed', severity: 'temporary', 'log-level': 'error' }).severity, 'temporary');
+  assert.strictEqual(normalizeMailgunEvent({ event: 'delivered' }).severity, null);
+});
+
+test('normalizes every current event type with its own timestamp field', () => {
+  const types = ['accepted', 'rejected', 'delivered', 'failed', 'opened', 'clicked', 'unsubscribed', 'complained',
+    'stored', 'list_member_uploaded', 'list_member_upload_error', 'list_uploaded'];
+
+  for (const type of types) {
+    const event = normalizeMailgunEvent({ event: type, timestamp: 1700000000 });
+    assert.strictEqual(event.status, type);
+    assert.strictEqual(event.fullEventData, undefined);
+  }
+  assert.strictEqual(normalizeMailgunEvent({ event: 'list_member_uploaded', timestamp: 1 }).listMemberUploadedAt, '1970-01-01T00:00:01.000Z');
+});
+
+test('keeps the storage URL, rejection details, client info and list upload data', () => {
+  const stored = normalizeMailgunEvent({ event: 'stored', storage: { url: 'https://storage.mailgun.net/v3/x', key: 'k1', region: 'us' } });
+  assert.deepStrictEqual(stored.storage, { url: 'https://storage.mailgun.net/v3/x', key: 'k1', region: 'us' });
+
+  const rejected = normalizeMailgunEvent({ event: 'rejected', reject: { reason: 'blocked', description: 'Sandbox recipient' } });
+  assert.strictEqual(rejected.reason, 'Sandbox recipient');
+  assert.strictEqual(rejected.reasonCode, 'blocked');
+
+  const clicked = normalizeMailgunEvent({
+    event: 'clicked',
+    url: 'https://example.com/x',
+    ip: '5.6.7.8',
+    'client-info': { 'client-name': 'Firefox', 'user-agent': 'Mozilla/5.0' },
+    geolocation: { country: 'US', city: 'Austin' },
+  });
+  assert.strictEqual(clicked.url, 'https://example.com/x');
+  assert.strictEqual(clicked.userAgent, 'Mozilla/5.0');
+  assert.deepStrictEqual(clicked.clientInfo, { clientName: 'Firefox', userAgent: 'Mozilla/5.0' });
+  assert.deepStrictEqual(clicked.geolocation, { country: 'US', city: 'Austin' });
+
+  const upload = normalizeMailgunEvent({ event: 'list_uploaded', 'task-id': 'task-1', 'upserted-count': 10, 'failed-count': 0, 'mailing-list': { address: 'list@example.com' } });
+  assert.strictEqual(upload.upload.taskId, 'task-1');
+  assert.strictEqual(upload.upload.upsertedCount, 10);
+  assert.strictEqual(upload.upload.failedCount, 0);
+  assert.deepStrictEqual(upload.mailingList, { address: 'list@example.com' });
+});
+
+test('fills every schema field with null or empty values', () => {
+  const event = normalizeMailgunEvent({ event: 'delivered' });
+
+  assert.deepStrictEqual(event.tags, []);
+  assert.deepStrictEqual(event.campaigns, []);
+  assert.deepStrictEqual(event.userVariables, {});
+  for (const field of ['eventId', 'recipient', 'messageId', 'envelope', 'flags', 'message', 'storage', 'deliveryStatus', 'url', 'clientInfo', 'reject', 'upload', 'legacyEvent']) {
+    assert.strictEqual(event[field], null, field);
+  }
+  assert.ok(!Number.isNaN(Date.parse(event.timestamp)));
+});
+
+test('keeps unknown event types with the raw payload', () => {
+  const event = normalizeMailgunEvent({ 'event-data': { event: 'teleported', id: 'x1', custom: true } });
+
+  assert.strictEqual(event.status, 'unknown');
+  assert.deepStrictEqual(event.fullEventData, { event: 'teleported', id: 'x1', custom: true });
+  assert.strictEqual(normalizeMailgunEvent({ 'event-data': {} }), null);
+  assert.strictEqual(normalizeMailgunEvent(null), null);
+});
+
+test('parses legacy form-encoded webhooks into the same schema', () => {
+  const bounced = normalizeMailgunEvent({
+    event: 'bounced',
+    recipient: 'alice@example.com',
+    domain: 'mg.example.com',
+    code: '550',
+    error: 'No such user',
+    timestamp: '1700000000',
+    token: 't',
+    signature: 'abc',
+    tag: 'newsletter',
+    'message-headers': JSON.stringify([['Message-Id', '<legacy@mg.example.com>'], ['Subject', 'Hi']]),
+    'my-var': 'custom',
+  });
+
+  assert.strictEqual(bounced.event, 'failed');
+  assert.strictEqual(bounced.legacyEvent, 'bounced');
+  assert.strictEqual(bounced.severity, 'permanent');
+  assert.strictEqual(bounced.messageId, 'legacy@mg.example.com');
+  assert.strictEqual(bounced.message.headers.subject, 'Hi');
+  assert.strictEqual(bounced.deliveryStatus.code, 550);
+  assert.strictEqual(bounced.reason, 'No such user');
+  assert.deepStrictEqual(bounced.tags, ['newsletter']);
+  assert.deepStrictEqual(bounced.userVariables, { 'my-var': 'custom' });
+  assert.strictEqual(bounced.timestamp, '2023-11-14T22:13:20.000Z');
+
+  const opened = normalizeMailgunEvent({ event: 'opened', recipient: 'a@example.com', 'Message-Id': '<o@x.com>', signature: 'abc', 'user-agent': 'Mozilla', country: 'DE' });
+  assert.strictEqual(opened.event, 'opened');
+  assert.strictEqual(opened.severity, null);
+  assert.strictEqual(opened.userAgent, 'Mozilla');
+  assert.strictEqual(opened.geolocation.country, 'DE');
+});
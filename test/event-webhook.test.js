@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createEventWebhook, createMemoryStore, createMemoryDeadLetterStore } = require('..');
+const { createRequest, createResponse } = require('./helpers/http');
+const { signToken } = require('./helpers/signature');
+
+const signingKey = 'test-signing-key';
+let tokenCount = 0;
+
+function eventRequest(eventData) {
+  return {
+    headers: {},
+    body: {
+      signature: signToken(signingKey, `token-${++tokenCount}`),
+      'event-data': { id: `event-${tokenCount}`, timestamp: Date.now() / 1000, recipient: 'alice@example.com', ...eventData },
+    },
+  };
+}
+
+async function deliver(webhook, eventData) {
+  const res = createResponse();
+  await webhook(eventRequest(eventData), res);
+  return res;
+}
+
+test('dispatches to event, severity and wildcard handlers in registration order', async () => {
+  const calls = [];
+  const webhook = createEventWebhook({ signingKey, logger: false })
+    .on('*', async (eventData) => calls.push(`*:${eventData.event}`))
+    .on('failed:permanent', async () => calls.push('failed:permanent'))
+    .on('failed', async () => calls.push('failed'))
+    .on('failed:temporary', async () => calls.push('failed:temporary'))
+    .on('delivered', async (eventData, context) => calls.push(`delivered:${context.payload.id}`));
+
+  await deliver(webhook, { event: 'failed', severity: 'permanent' });
+  await deliver(webhook, { event: 'failed', severity: 'temporary' });
+  const res = await deliver(webhook, { event: 'delivered', id: 'delivered-1' });
+
+  assert.deepStrictEqual(calls, [
+    '*:failed', 'failed:permanent', 'failed',
+    '*:failed', 'failed', 'failed:temporary',
+    '*:delivered', 'delivered:delivered-1',
+  ]);
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.received, true);
+  assert.strictEqual(res.body.event, 'delivered');
+  assert.strictEqual(res.body.eventId, 'delivered-1');
+});
+
+test('rejects invalid signatures and registrations', async () => {
+  const webhook = createEventWebhook({ signingKey: 'other-key', logger: false }).on('*', () => assert.fail('handler called'));
+
+  const res = await deliver(webhook, { event: 'delivered' });
+
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(res.body.reason, 'invalid_signature');
+  assert.throws(() => webhook.on('', () => {}), /non-empty string/);
+  assert.throws(() => webhook.on('delivered', null), /must be a function/);
+  assert.throws(() => createEventWebhook({ signingKey, ack: 'never' }), /Invalid ack mode/);
+});
+
+test('isolates handler errors, reports them and still acknowledges', async () => {
+  const calls = [];
+  const reported = [];
+  const deadLetterStore = createMemoryDeadLetterStore();
+  const webhook = createEventWebhook({
+    signingKey,
+    logger: false,
+    deadLetterStore,
+    onError: async (error, eventData, context) => reported.push([error.message, eventData.event, context.handler]),
+  })
+    .on('opened', async () => { throw new Error('first failed'); })
+    .on('opened', async () => calls.push('second ran'));
+
+  const res = await deliver(webhook, { event: 'opened' });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(calls, ['second ran']);
+  assert.deepStrictEqual(reported, [['first failed', 'opened', 'opened']]);
+  const [deadLetter] = await deadLetterStore.list();
+  assert.strictEqual(deadLetter.error.message, 'first failed');
+});
+
+test("'before' acknowledges before the handlers run", async () => {
+  let statusWhenHandled = null;
+  const res = createResponse();
+  const webhook = createEventWebhook({ signingKey, logger: false, ack: 'before' })
+    .on('clicked', async () => { statusWhenHandled = res.statusCode; });
+
+  await webhook(eventRequest({ event: 'clicked' }), res);
+
+  assert.strictEqual(statusWhenHandled, 200);
+});
+
+test("'retry' answers 503 when a handler fails and processes Mailgun's retry", async () => {
+  let attempts = 0;
+  const dedupeStore = createMemoryStore();
+  const webhook = createEventWebhook({ signingKey, logger: false, ack: 'retry', dedupeStore })
+    .on('delivered', async () => {
+      if (++attempts === 1) throw new Error('database down');
+    });
+
+  const failed = await deliver(webhook, { event: 'delivered', id: 'same-event' });
+  const retried = await deliver(webhook, { event: 'delivered', id: 'same-event' });
+
+  assert.strictEqual(failed.statusCode, 503);
+  assert.strictEqual(retried.statusCode, 200);
+  assert.strictEqual(retried.body.duplicate, undefined);
+  assert.strictEqual(attempts, 2);
+});
+
+test("'queue' acknowledges first and retries handlers with backoff", async () => {
+  let attempts = 0;
+  const webhook = createEventWebhook({ signingKey, logger: false, ack: 'queue', backoff: { initialDelay: 1, maxDelay: 1 } })
+    .on('accepted', async (eventData, context) => {
+      attempts = context.attempt;
+      if (context.attempt < 3) throw new Error('not yet');
+    });
+
+  const res = await deliver(webhook, { event: 'accepted' });
+  assert.strictEqual(res.statusCode, 200);
+
+  await webhook.drain();
+  assert.strictEqual(attempts, 3);
+});
+
+test('acknowledges a retried event as a duplicate with a dedupeStore', async () => {
+  let handled = 0;
+  const webhook = createEventWebhook({ signingKey, logger: false, dedupeStore: createMemoryStore() })
+    .on('delivered', async () => { handled++; });
+
+  await deliver(webhook, { event: 'delivered', id: 'dup-1' });
+  const retry = await deliver(webhook, { event: 'delivered', id: 'dup-1' });
+
+  assert.strictEqual(handled, 1);
+  assert.strictEqual(retry.body.duplicate, true);
+});
+
+test('parses JSON bodies no body parser has read', async () => {
+  const events = [];
+  const webhook = createEventWebhook({ signingKey, logger: false }).on('*', async (eventData) => events.push(eventData.event));
+
+  const { body } = eventRequest({ event: 'complained' });
+  const res = createResponse();
+  await webhook(createRequest(JSON.stringify(body), { contentType: 'application/json' }), res);
+  const malformed = createResponse();
+  await webhook(createRequest('{not json', { contentType: 'application/json' }), malformed);
+
+  assert.deepStrictEqual(events, ['complained']);
+  assert.strictEqual(malformed.statusCode, 400);
+  assert.strictEqual(malformed.body.reason, 'MALFORMED_JSON');
+});
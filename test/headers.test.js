@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHeaderCollection, parseHeaders, processEmailData, parseMimeMessage } = require('..');
+
+const pairs = [
+  ['Received', 'from mx2 by mx1'],
+  ['Subject', '=?UTF-8?Q?Gr=C3=BC=C3=9Fe?='],
+  ['received', 'from client by mx2'],
+  ['Message-Id', '<first@example.com>'],
+  ['Message-ID', '<second@example.com>'],
+];
+
+test('keeps every occurrence in order with case-insensitive access', () => {
+  const headers = createHeaderCollection(pairs);
+
+  assert.strictEqual(headers.get('RECEIVED'), 'from mx2 by mx1');
+  assert.deepStrictEqual(headers.getAll('received'), ['from mx2 by mx1', 'from client by mx2']);
+  assert.strictEqual(headers.has('message-id'), true);
+  assert.strictEqual(headers.has('X-Missing'), false);
+  assert.strictEqual(headers.get('X-Missing'), null);
+  assert.deepStrictEqual(headers.getAll('X-Missing'), []);
+  assert.deepStrictEqual(headers.names(), ['Received', 'Subject', 'Message-Id']);
+  assert.strictEqual(headers.size, 5);
+});
+
+test('decodes encoded words and keeps raw values', () => {
+  const headers = createHeaderCollection(pairs);
+
+  assert.strictEqual(headers.get('Subject'), 'Grüße');
+  assert.strictEqual(headers.getRaw('Subject'), '=?UTF-8?Q?Gr=C3=BC=C3=9Fe?=');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(headers))[1], ['Subject', 'Grüße']);
+});
+
+test('emailData fields use the first occurrence of a repeated header, like allHeaders.get', () => {
+  const { emailData } = processEmailData({
+    body: {
+      sender: 'alice@example.com',
+      'message-headers': JSON.stringify([
+        ...pairs,
+        ['In-Reply-To', '<parent-1@example.com>'],
+        ['In-Reply-To', '<parent-2@example.com>'],
+      ]),
+    },
+  });
+
+  assert.strictEqual(emailData.messageId, 'first@example.com');
+  assert.strictEqual(emailData.allHeaders.get('Message-ID'), '<first@example.com>');
+  assert.deepStrictEqual(emailData.inReplyTo, ['parent-1@example.com']);
+  // The plain headers object is kept for backward compatibility: last value wins
+  assert.strictEqual(emailData.headers.received, 'from client by mx2');
+  assert.strictEqual(emailData.headers.Received, 'from mx2 by mx1');
+});
+
+test('raw MIME messages resolve repeated headers the same way', () => {
+  const emailData = parseMimeMessage([
+    'Received: from mx2 by mx1',
+    'Received: from client by mx2',
+    'From: first@example.com',
+    'From: second@example.com',
+    'Subject: Duplicates',
+    '',
+    'Body',
+  ].join('\r\n'));
+
+  assert.strictEqual(emailData.from, 'first@example.com');
+  assert.deepStrictEqual(emailData.allHeaders.getAll('Received'), ['from mx2 by mx1', 'from client by mx2']);
+});
+
+test('parseHeaders accepts JSON strings and arrays, and ignores junk', () => {
+  assert.deepStrictEqual(parseHeaders('[["To","a@x.com"]]'), [['To', 'a@x.com']]);
+  assert.deepStrictEqual(parseHeaders([['To', 'a@x.com']]), [['To', 'a@x.com']]);
+  assert.deepStrictEqual(parseHeaders('not json'), []);
+  assert.deepStrictEqual(parseHeaders(undefined), []);
+});
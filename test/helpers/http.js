@@ -0,0 +1,56 @@
+const { Readable } = require('stream');
+
+/**
+ * Build a multipart/form-data body
+ * @param {Array<Object>} parts - { name, value } fields or { name, filename, contentType, content } files
+ * @param {string} boundary - Boundary
+ * @returns {Buffer} Body
+ */
+function buildMultipart(parts, boundary = 'test-boundary') {
+  const chunks = [];
+  parts.forEach(part => {
+    let head = `--${boundary}\r\nContent-Disposition: form-data; name="${part.name}"`;
+    if (part.filename !== undefined) {
+      head += `; filename="${part.filename}"\r\nContent-Type: ${part.contentType || 'application/octet-stream'}`;
+    }
+    chunks.push(Buffer.from(`${head}\r\n\r\n`));
+    chunks.push(Buffer.from(part.filename !== undefined ? part.content : part.value));
+    chunks.push(Buffer.from('\r\n'));
+  });
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Create a readable request carrying a body
+ * @param {Buffer|string} body - Request body
+ * @param {Object} options - { contentType, headers, chunkSize }
+ * @returns {Readable} Request with headers
+ */
+function createRequest(body, { contentType = 'multipart/form-data; boundary=test-boundary', headers = {}, chunkSize = 0 } = {}) {
+  const buffer = Buffer.from(body);
+  const chunks = [];
+  const size = chunkSize || buffer.length || 1;
+  for (let start = 0; start < buffer.length; start += size) chunks.push(buffer.slice(start, start + size));
+  const req = Readable.from(chunks, { objectMode: false });
+  req.headers = { 'content-type': contentType, ...headers };
+  return req;
+}
+
+/**
+ * Create an Express-like response that records status, headers and body
+ * @returns {Object} Response
+ */
+function createResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    headers: {},
+    headersSent: false,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.headersSent = true; return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+  };
+}
+
+module.exports = { buildMultipart, createRequest, createResponse };
@@ -0,0 +1,65 @@
+const http = require('http');
+
+/**
+ * Parse a multipart/form-data body into [name, value] pairs
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {Array<Array>} Fields; files are { filename, contentType, content }
+ */
+function parseMultipart(body, contentType) {
+  const boundary = /boundary=(.+)$/.exec(contentType)[1];
+  return body.toString('latin1')
+    .split(`--${boundary}`)
+    .slice(1, -1)
+    .map(part => {
+      const [head, ...rest] = part.replace(/^\r\n/, '').replace(/\r\n$/, '').split('\r\n\r\n');
+      const value = rest.join('\r\n\r\n');
+      const name = /name="([^"]*)"/.exec(head)[1];
+      const filename = /filename="([^"]*)"/.exec(head);
+      if (!filename) return [name, Buffer.from(value, 'latin1').toString('utf8')];
+      return [name, {
+        filename: filename[1],
+        contentType: /Content-Type: (.+)/.exec(head)[1],
+        content: Buffer.from(value, 'latin1'),
+      }];
+    });
+}
+
+/**
+ * Start a local stand-in for Mailgun's messages API
+ * @param {Function} respond - (request, count) => { status, body }; defaults to a queued message
+ * @returns {Promise<Object>} { baseUrl, requests, close }
+ */
+async function startMailgunApi(respond = null) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        fields: parseMultipart(Buffer.concat(chunks), req.headers['content-type']),
+      };
+      request.field = (name) => (request.fields.find(([field]) => field === name) || [])[1];
+      request.all = (name) => request.fields.filter(([field]) => field === name).map(([, value]) => value);
+      requests.push(request);
+
+      const { status = 200, body = { id: `<${requests.length}.queued@mg.example.com>`, message: 'Queued. Thank you.' } } =
+        (respond && respond(request, requests.length)) || {};
+      res.statusCode = status;
+      res.setHeader('content-type', typeof body === 'string' ? 'text/plain' : 'application/json');
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = { parseMultipart, startMailgunApi };
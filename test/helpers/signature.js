@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+/**
+ * Build Mailgun signature fields for a token
+ * @param {string} signingKey - Webhook signing key
+ * @param {string} token - Token
+ * @param {number} timestamp - Unix timestamp in seconds (default: now)
+ * @returns {Object} { token, timestamp, signature }
+ */
+function signToken(signingKey, token, timestamp = Math.floor(Date.now() / 1000)) {
+  const stamp = String(timestamp);
+  const signature = crypto.createHmac('sha256', signingKey).update(stamp + token).digest('hex');
+  return { token, timestamp: stamp, signature };
+}
+
+module.exports = { signToken };
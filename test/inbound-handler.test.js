@@ -0,0 +1,198 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createInboundHandler, createMemoryStore, createMemoryDeadLetterStore } = require('..');
+const { buildMultipart, createRequest, createResponse } = require('./helpers/http');
+const { signToken } = require('./helpers/signature');
+
+const signingKey = 'test-signing-key';
+
+function inboundRequest(token = 'token-1', extra = [], files = []) {
+  const { timestamp, signature } = signToken(signingKey, token);
+  return createRequest(buildMultipart([
+    { name: 'recipient', value: 'support@example.com' },
+    { name: 'sender', value: 'alice@example.com' },
+    { name: 'from', value: 'Alice <alice@example.com>' },
+    { name: 'subject', value: 'Help' },
+    { name: 'body-plain', value: 'Hello' },
+    { name: 'message-headers', value: JSON.stringify([['Message-Id', '<abc@example.com>']]) },
+    ...extra,
+    { name: 'token', value: token },
+    { name: 'timestamp', value: timestamp },
+    { name: 'signature', value: signature },
+    ...files,
+  ]));
+}
+
+async function handle(handler, req) {
+  const res = createResponse();
+  let nextCalled = false;
+  await handler(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+test('passes the parsed email to onEmail and answers 200', async () => {
+  const received = [];
+  const handler = createInboundHandler({ signingKey, logger: false, onEmail: async (emailData) => received.push(emailData) });
+
+  const { res } = await handle(handler, inboundRequest());
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.received, true);
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].subject, 'Help');
+  assert.strictEqual(received[0].messageId, 'abc@example.com');
+});
+
+test('sets req.emailData and calls next() without onEmail', async () => {
+  const handler = createInboundHandler({ signingKey, logger: false });
+  const req = inboundRequest();
+
+  const { res, nextCalled } = await handle(handler, req);
+
+  assert.strictEqual(nextCalled, true);
+  assert.strictEqual(res.statusCode, null);
+  assert.strictEqual(req.emailData.from, 'alice@example.com');
+  assert.strictEqual(req.emailData.fromName, 'Alice');
+});
+
+test('deduplicates retried messages only with a dedupeStore', async () => {
+  let handled = 0;
+  const onEmail = async () => { handled++; };
+  const plain = createInboundHandler({ signingKey, logger: false, onEmail });
+  const deduped = createInboundHandler({ signingKey, logger: false, onEmail, dedupeStore: createMemoryStore() });
+
+  await handle(plain, inboundRequest('token-a'));
+  const { res: processed } = await handle(plain, inboundRequest('token-b'));
+  await handle(deduped, inboundRequest('token-c'));
+  const { res: duplicate } = await handle(deduped, inboundRequest('token-d'));
+
+  assert.strictEqual(handled, 3);
+  assert.strictEqual(processed.body.duplicate, undefined);
+  assert.strictEqual(duplicate.statusCode, 200);
+  assert.strictEqual(duplicate.body.duplicate, true);
+});
+
+test('rejects invalid signatures with 401', async () => {
+  const handler = createInboundHandler({ signingKey: 'other-key', logger: false, onEmail: () => assert.fail('onEmail called') });
+
+  const { res } = await handle(handler, inboundRequest());
+
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(res.body.reason, 'invalid_signature');
+});
+
+test('answers 503 when the request fails before onEmail, so Mailgun retries', async () => {
+  let resolverCalls = 0;
+  const received = [];
+  const handler = createInboundHandler({
+    signingKey: async () => {
+      if (++resolverCalls === 1) throw new Error('Key service unavailable');
+      return signingKey;
+    },
+    nonceStore: createMemoryStore(),
+    logger: false,
+    onEmail: async (emailData) => received.push(emailData),
+  });
+
+  const failed = await handle(handler, inboundRequest('token-1'));
+  assert.strictEqual(failed.res.statusCode, 503);
+  assert.strictEqual(failed.res.body.reason, 'PROCESSING_FAILED');
+  assert.strictEqual(received.length, 0);
+
+  const retried = await handle(handler, inboundRequest('token-1'));
+  assert.strictEqual(retried.res.statusCode, 200);
+  assert.strictEqual(received.length, 1);
+});
+
+test('answers 406 for bodies over the limits', async () => {
+  const handler = createInboundHandler({ signingKey, logger: false, limits: { maxFiles: 0 }, onEmail: () => assert.fail('onEmail called') });
+  const req = inboundRequest('token-1', [{ name: 'attachment-1', filename: 'a.txt', content: 'a' }]);
+
+  const { res } = await handle(handler, req);
+
+  assert.strictEqual(res.statusCode, 406);
+  assert.strictEqual(res.body.reason, 'LIMIT_FILE_COUNT');
+  assert.strictEqual(res.headers.connection, 'close');
+});
+
+test('does not store attachments of requests with a bad signature', async () => {
+  const puts = [];
+  const storage = {
+    put: async (key, stream) => {
+      puts.push(key);
+      stream.resume();
+      return key;
+    },
+    delete: async () => {},
+  };
+  const received = [];
+  const handler = createInboundHandler({ signingKey, storage, logger: false, onEmail: async (emailData) => received.push(emailData) });
+  const attachment = { name: 'attachment-1', filename: 'a.txt', contentType: 'text/plain', content: 'file' };
+
+  const forged = createInboundHandler({ signingKey: 'other-key', storage, logger: false, onEmail: () => assert.fail('onEmail called') });
+  const rejected = await handle(forged, inboundRequest('token-1', [], [attachment]));
+  assert.strictEqual(rejected.res.statusCode, 401);
+  assert.strictEqual(rejected.res.body.reason, 'invalid_signature');
+  assert.deepStrictEqual(puts, []);
+
+  const accepted = await handle(handler, inboundRequest('token-2', [], [attachment]));
+  assert.strictEqual(accepted.res.statusCode, 200);
+  assert.strictEqual(puts.length, 1);
+  assert.strictEqual(received[0].attachments[0].storageKey, puts[0]);
+});
+
+test("'after' dead-letters plain data and replays it through onEmail", async () => {
+  const storage = {
+    put: async (key, stream) => {
+      stream.resume();
+      return key;
+    },
+    delete: async () => {},
+  };
+  const deadLetterStore = createMemoryDeadLetterStore();
+  const received = [];
+  let failing = true;
+  const handler = createInboundHandler({
+    signingKey,
+    storage,
+    deadLetterStore,
+    logger: false,
+    onEmail: async (emailData, context) => {
+      if (failing) throw new Error('database down');
+      received.push({ emailData, context });
+    },
+  });
+  const attachment = { name: 'attachment-1', filename: 'a.txt', contentType: 'text/plain', content: 'file' };
+
+  const { res } = await handle(handler, inboundRequest('token-1', [], [attachment]));
+  assert.strictEqual(res.statusCode, 200);
+
+  const [entry] = JSON.parse(JSON.stringify(deadLetterStore.list()));
+  assert.deepStrictEqual(deadLetterStore.list()[0].payload, entry.payload);
+  assert.strictEqual(entry.source, 'InboundHandler');
+  assert.strictEqual(entry.error.message, 'database down');
+  assert.strictEqual(entry.payload.fields.subject, 'Help');
+  assert.strictEqual(entry.payload.fields.signature, undefined);
+  assert.strictEqual(entry.payload.attachments[0].filename, 'a.txt');
+  assert.ok(entry.payload.attachments[0].storageKey);
+  assert.strictEqual('buffer' in entry.payload.attachments[0], false);
+  assert.strictEqual(entry.payload.emailData, undefined);
+
+  // A store that round-trips through JSON, like a database would
+  deadLetterStore.clear();
+  deadLetterStore.add(entry);
+  failing = false;
+  const result = await handler.replayDeadLetters();
+
+  assert.deepStrictEqual(result, { replayed: 1, failed: 0, errors: [] });
+  assert.strictEqual(deadLetterStore.size, 0);
+  const [{ emailData, context }] = received;
+  assert.strictEqual(emailData.subject, 'Help');
+  assert.strictEqual(emailData.messageId, 'abc@example.com');
+  assert.strictEqual(emailData.allHeaders.get('Message-Id'), '<abc@example.com>');
+  assert.strictEqual(emailData.attachments[0].storageKey, entry.payload.attachments[0].storageKey);
+  assert.strictEqual(emailData.attachments[0].buffer, null);
+  assert.strictEqual(emailData.receivedAt, entry.payload.receivedAt);
+  assert.strictEqual(context.replay, true);
+  assert.strictEqual(context.attempt, 2);
+});
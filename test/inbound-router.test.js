@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createInboundRouter, processEmailData } = require('..');
+
+function email({ to = 'support@example.com', from = 'alice@example.com', subject = 'Hello', headers = [] } = {}) {
+  return processEmailData({
+    body: { recipient: to, sender: from, subject, 'message-headers': JSON.stringify(headers) },
+  }).emailData;
+}
+
+test('passes recipient captures and the matched recipient to the handler', async () => {
+  const calls = [];
+  const router = createInboundRouter()
+    .matchRecipient(/^support-(\d+)@/, async (emailData, context) => calls.push(context));
+
+  const matched = await router.dispatch(email({ to: 'info@example.com, support-42@example.com' }), { correlationId: 'c1' });
+
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(calls[0].captures, ['42']);
+  assert.strictEqual(calls[0].recipient, 'support-42@example.com');
+  assert.strictEqual(calls[0].correlationId, 'c1');
+  assert.strictEqual(calls[0].rule, 'route-1');
+  assert.deepStrictEqual(matched.map(entry => entry.captures), [['42']]);
+});
+
+test('parses Mailgun route expressions with named groups', async () => {
+  const calls = [];
+  const router = createInboundRouter().route(
+    'match_recipient("^(?P<team>[a-z]+)@example\\.com$") and match_header("X-Priority", "^1")',
+    async (emailData, { groups, captures, rule }) => calls.push({ groups, captures, rule }),
+    { name: 'urgent-team' }
+  );
+
+  await router.dispatch(email({ to: 'billing@example.com' }));
+  await router.dispatch(email({ to: 'billing@example.com', headers: [['X-Priority', '3'], ['X-Priority', '1 (Highest)']] }));
+
+  assert.deepStrictEqual(calls, [{ groups: { team: 'billing' }, captures: ['billing'], rule: 'urgent-team' }]);
+});
+
+test('rejects invalid route expressions and rules without conditions', () => {
+  const router = createInboundRouter();
+  const handler = async () => {};
+
+  assert.throws(() => router.route('match_subject("x")', handler), /Invalid route expression/);
+  assert.throws(() => router.route('match_recipient("a") or catch_all()', handler), /Invalid route expression/);
+  assert.throws(() => router.route('match_header("only-one")', handler), /Wrong number of arguments/);
+  assert.throws(() => router.route('match_recipient("unterminated)', handler), /Unterminated string/);
+  assert.throws(() => router.route({ handler }), /at least one condition/);
+  assert.throws(() => router.route({ catchAll: true }), /handler must be a function/);
+  assert.throws(() => createInboundRouter({ mode: 'all' }), /Invalid router mode/);
+});
+
+test('stop mode runs only the first matching rule, by priority', async () => {
+  const calls = [];
+  const router = createInboundRouter()
+    .catchAll(async () => calls.push('catch-all'), { priority: 10 })
+    .matchSender(/@example\.com$/, async () => calls.push('sender'))
+    .matchSubject(/^hello/i, async () => calls.push('subject'), { priority: -1 });
+
+  await router.dispatch(email());
+
+  assert.deepStrictEqual(calls, ['subject']);
+});
+
+test('continue mode runs every matching rule until one stops', async () => {
+  const calls = [];
+  const router = createInboundRouter({ mode: 'continue' })
+    .matchSender(/alice/, async () => calls.push('sender'))
+    .matchSubject(/nomatch/, async () => calls.push('never'))
+    .matchHeader('Subject', /hello/i, async () => calls.push('header'), { stop: true })
+    .catchAll(async () => calls.push('catch-all'));
+
+  const matched = await router.dispatch(email({ headers: [['Subject', 'Hello']] }));
+
+  assert.deepStrictEqual(calls, ['sender', 'header']);
+  assert.deepStrictEqual(matched.map(entry => entry.rule), ['route-1', 'route-3']);
+});
+
+test('calls onNoMatch when no rule matches', async () => {
+  const unmatched = [];
+  const router = createInboundRouter({ onNoMatch: async (emailData, context) => unmatched.push([emailData.subject, context.correlationId]) })
+    .matchRecipient('^sales@', async () => assert.fail('handler called'));
+
+  const matched = await router.dispatch(email(), { correlationId: 'c2' });
+
+  assert.deepStrictEqual(matched, []);
+  assert.deepStrictEqual(unmatched, [['Hello', 'c2']]);
+});
+
+test('a handler error stops dispatching and rejects', async () => {
+  const calls = [];
+  const router = createInboundRouter({ mode: 'continue' })
+    .catchAll(async () => { throw new Error('handler failed'); })
+    .catchAll(async () => calls.push('second'));
+
+  await assert.rejects(router.dispatch(email()), /handler failed/);
+  assert.deepStrictEqual(calls, []);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { rewriteCidReferences, parseContentIdMap, processEmailData } = require('..');
+
+const logo = { contentId: 'logo@example.com', mimetype: 'image/png', buffer: Buffer.from('png-bytes') };
+const logoUri = `data:image/png;base64,${Buffer.from('png-bytes').toString('base64')}`;
+
+test('parseContentIdMap maps field names to cleaned Content-IDs', () => {
+  assert.deepStrictEqual(parseContentIdMap('{"<ii_abc>": "attachment-1", "<ii_def>": "attachment-2"}'), {
+    'attachment-1': 'ii_abc',
+    'attachment-2': 'ii_def',
+  });
+  assert.deepStrictEqual(parseContentIdMap('not json'), {});
+  assert.deepStrictEqual(parseContentIdMap(['a']), {});
+});
+
+test('processEmailData marks files from content-id-map as inline', () => {
+  const { emailData } = processEmailData({
+    body: { sender: 'alice@example.com', 'content-id-map': '{"<logo@example.com>": "attachment-1"}' },
+    files: [
+      { fieldname: 'attachment-1', originalname: 'logo.png', mimetype: 'image/png', size: 9, buffer: Buffer.from('png-bytes') },
+      { fieldname: 'attachment-2', originalname: 'doc.txt', mimetype: 'text/plain', size: 3, buffer: Buffer.from('doc') },
+    ],
+  });
+
+  assert.strictEqual(emailData.attachments[0].contentId, 'logo@example.com');
+  assert.strictEqual(emailData.attachments[0].isInline, true);
+  assert.strictEqual(emailData.attachments[1].contentId, null);
+  assert.strictEqual(emailData.attachments[1].isInline, false);
+});
+
+test('rewrites cid: references in attributes and CSS to data URIs', async () => {
+  const html = await rewriteCidReferences({
+    html: `<img src="cid:logo@example.com"><img src='CID:LOGO@EXAMPLE.COM'><td style="background: url(cid:logo%40example.com)"><img src=cid:missing>`,
+    attachments: [logo],
+  });
+
+  assert.strictEqual(html,
+    `<img src="${logoUri}"><img src='${logoUri}'><td style="background: url(${logoUri})"><img src=cid:missing>`);
+});
+
+test('calls the resolver once per attachment and keeps unresolved references', async () => {
+  const calls = [];
+  const html = await rewriteCidReferences({
+    html: '<img src="cid:logo@example.com"><img src="cid:logo@example.com"><img src="cid:other">',
+    attachments: [logo, { contentId: 'other', mimetype: 'image/gif', buffer: Buffer.from('gif') }],
+  }, async (attachment) => {
+    calls.push(attachment.contentId);
+    return attachment.contentId === 'other' ? null : 'https://cdn.example.com/logo.png';
+  });
+
+  assert.deepStrictEqual(calls, ['logo@example.com', 'other']);
+  assert.strictEqual(html,
+    '<img src="https://cdn.example.com/logo.png"><img src="https://cdn.example.com/logo.png"><img src="cid:other">');
+});
+
+test('does not let the attachment mimetype break out of the attribute', async () => {
+  const html = await rewriteCidReferences({
+    html: '<img src="cid:x">',
+    attachments: [{ contentId: 'x', mimetype: 'image/png"><script>alert(1)</script>', buffer: Buffer.from('hi') }],
+  });
+
+  assert.strictEqual(html, `<img src="data:application/octet-stream;base64,${Buffer.from('hi').toString('base64')}">`);
+});
+
+test('percent-encodes quotes, parentheses and spaces in resolver URLs', async () => {
+  const html = await rewriteCidReferences({
+    html: `<img src="cid:x"><img src='cid:x'><div style="background:url(cid:x)">`,
+    attachments: [{ contentId: 'x', mimetype: 'image/png', buffer: Buffer.from('hi') }],
+  }, async () => `https://cdn.example.com/a b/"onerror='x'"(1).png`);
+
+  const url = 'https://cdn.example.com/a%20b/%22onerror=%27x%27%22%281%29.png';
+  assert.strictEqual(html, `<img src="${url}"><img src='${url}'><div style="background:url(${url})">`);
+});
+
+test('returns an empty string without html', async () => {
+  assert.strictEqual(await rewriteCidReferences({ attachments: [logo] }), '');
+  assert.strictEqual(await rewriteCidReferences(null), '');
+});
@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLogger, mailgunWebhook } = require('..');
+const { createResponse } = require('./helpers/http');
+const { signToken } = require('./helpers/signature');
+
+function captureTarget() {
+  const entries = [];
+  const target = {};
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    target[level] = (entry) => entries.push({ level, ...entry });
+  }
+  return { target, entries };
+}
+
+test('writes structured entries with child bindings', () => {
+  const { target, entries } = captureTarget();
+  const log = createLogger({ logger: target }).child({ component: 'Test' }).child({ correlationId: 'c1' });
+
+  log.info('Message received', { size: 10 });
+
+  assert.deepStrictEqual(entries, [{ level: 'info', message: 'Message received', component: 'Test', correlationId: 'c1', size: 10 }]);
+});
+
+test('masks email addresses, tokens and signatures but keeps Message-IDs', () => {
+  const { target, entries } = captureTarget();
+  const log = createLogger({ logger: target });
+
+  log.warn('Invalid signature', {
+    recipient: 'john@example.com',
+    note: 'from Alice <alice@example.org>',
+    token: 'abc',
+    signature: { token: 't', timestamp: '1', signature: 's' },
+    messageId: 'abc123@mail.example.com',
+    apiKey: null,
+  });
+
+  const [entry] = entries;
+  assert.strictEqual(entry.recipient, 'j***@example.com');
+  assert.strictEqual(entry.note, 'from Alice <a***@example.org>');
+  assert.strictEqual(entry.token, '[REDACTED]');
+  assert.strictEqual(entry.signature, '[REDACTED]');
+  assert.strictEqual(entry.messageId, 'abc123@mail.example.com');
+  assert.strictEqual(entry.apiKey, null);
+});
+
+test('accepts custom redaction policies', () => {
+  const { target, entries } = captureTarget();
+
+  createLogger({ logger: target, redact: { emails: false, keys: ['ssn'], mask: '***' } })
+    .info('Custom', { to: 'john@example.com', ssn: '123', token: 'abc' });
+  createLogger({ logger: target, redact: false }).info('Off', { token: 'abc' });
+  createLogger({ logger: target, redact: (entry) => ({ message: entry.message.toUpperCase() }) }).info('fn', { token: 'abc' });
+
+  assert.deepStrictEqual(entries.map(({ level, ...entry }) => entry), [
+    { message: 'Custom', component: undefined, correlationId: undefined, to: 'john@example.com', ssn: '***', token: '***' },
+    { message: 'Off', token: 'abc' },
+    { message: 'FN' },
+  ]);
+});
+
+test('filters by level and stays silent with logger: false', () => {
+  const { target, entries } = captureTarget();
+  const log = createLogger({ logger: target, level: 'warn' });
+
+  log.debug('hidden');
+  log.info('hidden');
+  log.warn('shown');
+  log.error('shown');
+  createLogger({ logger: target, level: 'silent' }).error('hidden');
+  createLogger({ logger: false }).error('hidden');
+
+  assert.deepStrictEqual(entries.map(entry => entry.level), ['warn', 'error']);
+  assert.throws(() => createLogger({ level: 'verbose' }), /Invalid log level/);
+});
+
+test('falls back to info and never throws from a broken target', () => {
+  const infos = [];
+  const log = createLogger({ logger: { info: (entry) => infos.push(entry.message) } });
+  log.error('no error method');
+  createLogger({ logger: { info() { throw new Error('disk full'); } } }).info('swallowed');
+
+  assert.deepStrictEqual(infos, ['no error method']);
+});
+
+test('passes a structured logger through unchanged', () => {
+  const log = createLogger({ logger: false });
+
+  assert.strictEqual(createLogger({ logger: log }), log);
+});
+
+test('mailgunWebhook logs redacted entries with the request correlation ID', async () => {
+  const { target, entries } = captureTarget();
+  const signingKey = 'test-signing-key';
+  const req = {
+    headers: { 'x-request-id': 'req-1' },
+    body: {
+      signature: signToken(signingKey, 'token-1'),
+      'event-data': { event: 'delivered', id: 'e1', timestamp: Date.now() / 1000, recipient: 'alice@example.com' },
+    },
+  };
+
+  await mailgunWebhook(req, createResponse(), { signingKey, logger: target });
+  await mailgunWebhook({ headers: {}, body: { signature: signToken(signingKey, 'token-2'), recipient: 'bob@example.com' } },
+    createResponse(), { signingKey, logger: target });
+
+  const delivered = entries.find(entry => entry.event === 'delivered');
+  assert.strictEqual(delivered.component, 'MailgunWebhook');
+  assert.strictEqual(delivered.correlationId, 'req-1');
+  assert.strictEqual(delivered.recipient, 'a***@example.com');
+  const missing = entries.find(entry => entry.message === 'Missing event type');
+  assert.deepStrictEqual(missing.fields, ['signature', 'recipient']);
+  assert.ok(!JSON.stringify(entries).includes('bob@example.com'));
+});
@@ -0,0 +1,119 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createEmailSender } = require('..');
+const { startMailgunApi } = require('./helpers/mailgun-api');
+
+const templatesDir = path.join(__dirname, 'fixtures', 'emails');
+
+let api;
+
+beforeEach(async () => {
+  api = await startMailgunApi((request) => {
+    if (request.field('to').startsWith('unauthorized')) return { status: 401, body: { message: 'Invalid private key' } };
+    if (request.field('to').startsWith('unavailable')) return { status: 503, body: 'Service Unavailable' };
+    return null;
+  });
+});
+
+afterEach(() => api.close());
+
+const createSender = (options = {}) => createEmailSender('mailgun', {
+  api: { apiKey: 'key-test', domain: 'mg.example.com', baseUrl: api.baseUrl },
+  from: 'Example <noreply@mg.example.com>',
+  templatesDir,
+  logger: false,
+  ...options,
+});
+
+test('sends a multipart form to the messages endpoint with basic auth', async () => {
+  const sendEmail = createSender();
+
+  const result = await sendEmail('welcome', {
+    to: [{ name: 'Alice', address: 'alice@example.com' }, 'bob@example.com'],
+    subject: 'Welcome!',
+    locals: { name: 'Alice' },
+    replyTo: 'support@example.com',
+    tags: ['onboarding'],
+    attachments: [{ filename: 'terms.txt', content: 'Terms and conditions', contentType: 'text/plain' }],
+    mailgun: { trackingClicks: false, testMode: true, variables: { userId: 42 } },
+  });
+
+  assert.deepStrictEqual(result, {
+    messageId: '<1.queued@mg.example.com>',
+    message: 'Queued. Thank you.',
+    accepted: ['"Alice" <alice@example.com>', 'bob@example.com'],
+  });
+  assert.strictEqual(api.requests.length, 1);
+  const [request] = api.requests;
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.url, '/v3/mg.example.com/messages');
+  assert.strictEqual(request.headers.authorization, `Basic ${Buffer.from('api:key-test').toString('base64')}`);
+  assert.match(request.headers['content-type'], /^multipart\/form-data; boundary=/);
+
+  assert.strictEqual(request.field('from'), 'Example <noreply@mg.example.com>');
+  assert.deepStrictEqual(request.all('to'), ['"Alice" <alice@example.com>', 'bob@example.com']);
+  assert.strictEqual(request.field('subject'), 'Welcome!');
+  assert.match(request.field('html'), /<p>Hello Alice<\/p>/);
+  assert.match(request.field('text'), /Hello Alice/);
+  assert.strictEqual(request.field('h:Reply-To'), 'support@example.com');
+  assert.deepStrictEqual(request.all('o:tag'), ['onboarding']);
+  assert.strictEqual(request.field('o:tracking-clicks'), 'no');
+  assert.strictEqual(request.field('o:testmode'), 'yes');
+  assert.strictEqual(request.field('v:userId'), '42');
+
+  const attachment = request.field('attachment');
+  assert.strictEqual(attachment.filename, 'terms.txt');
+  assert.strictEqual(attachment.contentType, 'text/plain');
+  assert.strictEqual(attachment.content.toString(), 'Terms and conditions');
+});
+
+test('rejects unknown regions and missing credentials when the sender is created', () => {
+  assert.throws(
+    () => createEmailSender('mailgun', { api: { apiKey: 'key-test', domain: 'mg.example.com', region: 'ap' }, logger: false }),
+    /Invalid Mailgun region: ap/
+  );
+  assert.throws(
+    () => createEmailSender('mailgun', { api: { apiKey: 'key-test', domain: '' }, logger: false }),
+    /Mailgun API requires apiKey and domain/
+  );
+});
+
+test('rejects with MAILGUN_API_ERROR and the status code when Mailgun refuses the message', async () => {
+  const sendEmail = createSender();
+
+  await assert.rejects(
+    sendEmail(null, { to: 'unauthorized@example.com', subject: 'Hi', text: 'Hello' }),
+    { code: 'MAILGUN_API_ERROR', statusCode: 401, message: 'Mailgun API request failed: Invalid private key' }
+  );
+  await assert.rejects(
+    sendEmail(null, { to: 'unavailable@example.com', subject: 'Hi', text: 'Hello' }),
+    { code: 'MAILGUN_API_ERROR', statusCode: 503, message: 'Mailgun API request failed: Service Unavailable' }
+  );
+});
+
+test('rejects without a request when no from address is configured', async () => {
+  const previous = process.env.SMTP_FROM_ADDRESS;
+  delete process.env.SMTP_FROM_ADDRESS;
+  try {
+    const sendEmail = createSender({ from: undefined });
+
+    await assert.rejects(
+      sendEmail(null, { to: 'alice@example.com', subject: 'Hi', text: 'Hello' }),
+      /Mailgun API requires a from address/
+    );
+    assert.strictEqual(api.requests.length, 0);
+  } finally {
+    if (previous !== undefined) process.env.SMTP_FROM_ADDRESS = previous;
+  }
+});
+
+test('dry runs return the form fields without a request', async () => {
+  const sendEmail = createSender();
+
+  const result = await sendEmail(null, { to: 'alice@example.com', subject: 'Hi', html: '<p>Hi</p>', send: false });
+
+  assert.strictEqual(result.messageId, null);
+  assert.deepStrictEqual(result.fields.slice(0, 3), [['from', 'Example <noreply@mg.example.com>'], ['to', 'alice@example.com'], ['subject', 'Hi']]);
+  assert.strictEqual(api.requests.length, 0);
+});
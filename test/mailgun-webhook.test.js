@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { mailgunWebhook, createMemoryStore } = require('..');
+
+const signingKey = 'test-signing-key';
+
+function request(token) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', signingKey).update(timestamp + token).digest('hex');
+  return {
+    headers: {},
+    body: {
+      signature: { token, timestamp, signature },
+      'event-data': {
+        event: 'delivered',
+        id: 'CPgfbmQMTCKtHW6uIWtuVe',
+        recipient: 'alice@example.com',
+        timestamp: Date.now() / 1000,
+        message: { headers: { 'message-id': 'abc@example.com' } },
+      },
+    },
+  };
+}
+
+function response() {
+  return {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+test('mailgunWebhook processes retried events when no dedupeStore is given', async () => {
+  const first = await mailgunWebhook(request('token-1'), response(), { signingKey, logger: false });
+  const retry = await mailgunWebhook(request('token-2'), response(), { signingKey, logger: false });
+
+  assert.strictEqual(first.eventId, 'CPgfbmQMTCKtHW6uIWtuVe');
+  assert.strictEqual(retry.eventId, 'CPgfbmQMTCKtHW6uIWtuVe');
+});
+
+test('mailgunWebhook acknowledges retried events as duplicates with a dedupeStore', async () => {
+  const dedupeStore = createMemoryStore();
+  const res = response();
+
+  const first = await mailgunWebhook(request('token-1'), response(), { signingKey, dedupeStore, logger: false });
+  const retry = await mailgunWebhook(request('token-2'), res, { signingKey, dedupeStore, logger: false });
+
+  assert.strictEqual(first.event, 'delivered');
+  assert.strictEqual(retry, null);
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.duplicate, true);
+});
+
+test('mailgunWebhook answers 500 for invalid ack options instead of throwing', async () => {
+  const invalid = response();
+  const missingQueue = response();
+
+  assert.strictEqual(await mailgunWebhook(request('token-7'), invalid, { signingKey, logger: false, ack: 'never' }), null);
+  assert.strictEqual(await mailgunWebhook(request('token-8'), missingQueue, { signingKey, logger: false, ack: 'queue' }), null);
+
+  assert.strictEqual(invalid.statusCode, 500);
+  assert.strictEqual(invalid.body.error, 'Webhook misconfigured');
+  assert.strictEqual(missingQueue.statusCode, 500);
+});
@@ -0,0 +1,204 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseMimeMessage, processEmailData } = require('..');
+
+const crlf = (lines) => lines.join('\r\n');
+
+test('parses a single-part message and its headers', () => {
+  const emailData = parseMimeMessage(crlf([
+    'From: "Doe, John" <john@example.com>',
+    'To: Support <support@example.com>',
+    'Subject: =?UTF-8?B?SGVsbG8gd8O2cmxk?=',
+    'Message-ID: <m1@example.com>',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'Plain body',
+  ]));
+
+  assert.strictEqual(emailData.from, 'john@example.com');
+  assert.strictEqual(emailData.fromName, 'Doe, John');
+  assert.deepStrictEqual(emailData.to, ['support@example.com']);
+  assert.strictEqual(emailData.subject, 'Hello wörld');
+  assert.strictEqual(emailData.messageId, 'm1@example.com');
+  assert.strictEqual(emailData.text, 'Plain body');
+  assert.strictEqual(emailData.html, '');
+  assert.deepStrictEqual(emailData.attachments, []);
+});
+
+test('walks nested multiparts and extracts attachments as buffers', () => {
+  const pdf = Buffer.from('%PDF-1.4 test');
+  const emailData = parseMimeMessage(Buffer.from(crlf([
+    'From: alice@example.com',
+    'Subject: Nested',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    '--outer',
+    'Content-Type: multipart/alternative; boundary="inner"',
+    '',
+    '--inner',
+    'Content-Type: text/plain; charset=us-ascii',
+    '',
+    'Text part',
+    '--inner',
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    '<p>HTML part</p>',
+    '--inner--',
+    '--outer',
+    'Content-Type: application/pdf; name="report.pdf"',
+    'Content-Disposition: attachment; filename="report.pdf"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    pdf.toString('base64'),
+    '--outer--',
+    '',
+  ])));
+
+  assert.strictEqual(emailData.text, 'Text part');
+  assert.strictEqual(emailData.html, '<p>HTML part</p>');
+  assert.strictEqual(emailData.attachments.length, 1);
+  const [attachment] = emailData.attachments;
+  assert.strictEqual(attachment.filename, 'report.pdf');
+  assert.strictEqual(attachment.mimetype, 'application/pdf');
+  assert.strictEqual(attachment.detectedType, 'application/pdf');
+  assert.ok(Buffer.isBuffer(attachment.buffer));
+  assert.ok(attachment.buffer.equals(pdf));
+  assert.strictEqual(emailData.attachmentCount, 1);
+});
+
+test('decodes quoted-printable and converts charsets to UTF-8', () => {
+  const latin1 = Buffer.from('Café ünd Grüße', 'latin1').toString('base64');
+  const emailData = parseMimeMessage(crlf([
+    'From: alice@example.com',
+    'Content-Type: multipart/alternative; boundary=b',
+    '',
+    '--b',
+    'Content-Type: text/plain; charset=iso-8859-1',
+    'Content-Transfer-Encoding: base64',
+    '',
+    latin1,
+    '--b',
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    '<p>Caf=C3=A9 with a soft=',
+    ' line break</p>',
+    '--b--',
+  ]));
+
+  assert.strictEqual(emailData.text, 'Café ünd Grüße');
+  assert.strictEqual(emailData.html, '<p>Café with a soft line break</p>');
+});
+
+test('keeps inline parts, attached messages and RFC 2231 filenames', () => {
+  const emailData = parseMimeMessage(crlf([
+    'From: alice@example.com',
+    'Content-Type: multipart/related; boundary=rel',
+    '',
+    '--rel',
+    'Content-Type: text/html',
+    '',
+    '<img src="cid:logo@example.com">',
+    '--rel',
+    'Content-Type: image/png',
+    'Content-Disposition: inline',
+    'Content-ID: <logo@example.com>',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).toString('base64'),
+    '--rel',
+    'Content-Type: message/rfc822',
+    '',
+    'Subject: Forwarded',
+    '',
+    'Original body',
+    '--rel',
+    'Content-Type: text/plain',
+    "Content-Disposition: attachment; filename*=UTF-8''r%C3%A9sum%C3%A9.txt",
+    '',
+    'cv',
+    '--rel--',
+  ]));
+
+  const [logo, forwarded, resume] = emailData.attachments;
+  assert.strictEqual(logo.isInline, true);
+  assert.strictEqual(logo.contentId, 'logo@example.com');
+  assert.strictEqual(logo.detectedType, 'image/png');
+  assert.strictEqual(forwarded.mimetype, 'message/rfc822');
+  assert.match(forwarded.filename, /\.eml$/);
+  assert.match(forwarded.buffer.toString(), /Original body/);
+  assert.strictEqual(resume.filename, 'résumé.txt');
+  assert.strictEqual(resume.buffer.toString(), 'cv');
+  assert.strictEqual(emailData.text, '');
+});
+
+test('processEmailData parses body-mime and prefers the Mailgun fields', () => {
+  const { emailData, token } = processEmailData({
+    body: {
+      token: 't',
+      sender: 'bounce@example.com',
+      recipient: 'support@example.com',
+      'body-mime': crlf([
+        'From: Alice <alice@example.com>',
+        'To: other@example.com',
+        'Subject: From the headers',
+        'Message-ID: <mime@example.com>',
+        '',
+        'Raw body',
+      ]),
+    },
+  });
+
+  assert.strictEqual(token, 't');
+  assert.strictEqual(emailData.from, 'bounce@example.com');
+  assert.strictEqual(emailData.fromName, 'Alice');
+  assert.deepStrictEqual(emailData.to, ['support@example.com']);
+  assert.strictEqual(emailData.subject, 'From the headers');
+  assert.strictEqual(emailData.messageId, 'mime@example.com');
+  assert.strictEqual(emailData.text, 'Raw body');
+});
+
+test('applies the attachment policy to MIME attachments', () => {
+  const emailData = parseMimeMessage(crlf([
+    'From: alice@example.com',
+    'Content-Type: multipart/mixed; boundary=b',
+    '',
+    '--b',
+    'Content-Type: text/plain',
+    '',
+    'See attached',
+    '--b',
+    'Content-Type: application/octet-stream',
+    'Content-Disposition: attachment; filename="setup.exe"',
+    '',
+    'MZ binary',
+    '--b--',
+  ]), { attachmentPolicy: {} });
+
+  assert.deepStrictEqual(emailData.attachments, []);
+  assert.strictEqual(emailData.blockedAttachments.length, 1);
+  assert.strictEqual(emailData.blockedAttachments[0].filename, 'setup.exe');
+});
+
+test('tolerates malformed input', () => {
+  assert.strictEqual(parseMimeMessage('').text, '');
+  assert.strictEqual(parseMimeMessage('no headers at all').from, '');
+
+  const unterminated = parseMimeMessage(crlf([
+    'Content-Type: multipart/mixed; boundary=b',
+    '',
+    '--b',
+    'Content-Type: text/plain',
+    '',
+    'Cut off',
+  ]));
+  assert.strictEqual(unterminated.text, 'Cut off');
+
+  const badBase64 = parseMimeMessage(crlf([
+    'Content-Type: text/plain',
+    'Content-Transfer-Encoding: base64',
+    '',
+    '!!!not base64!!!',
+  ]));
+  assert.strictEqual(typeof badBase64.text, 'string');
+});
@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseInboundRequest } = require('..');
+const { buildMultipart, createRequest } = require('./helpers/http');
+
+const message = [
+  { name: 'recipient', value: 'support@example.com' },
+  { name: 'subject', value: 'Hello' },
+  { name: 'attachment-1', filename: 'a.txt', contentType: 'text/plain', content: 'first file' },
+  { name: 'body-plain', value: 'Text after a file' },
+  { name: 'attachment-2', filename: 'b.bin', content: Buffer.from([0, 1, 2, 255]) },
+  { name: 'X-Tag', value: 'one' },
+  { name: 'X-Tag', value: 'two' },
+];
+
+test('parses fields before and after file parts', async () => {
+  const req = createRequest(buildMultipart(message));
+
+  const { fields, files } = await parseInboundRequest(req);
+
+  assert.deepStrictEqual(fields, {
+    recipient: 'support@example.com',
+    subject: 'Hello',
+    'body-plain': 'Text after a file',
+    'X-Tag': ['one', 'two'],
+  });
+  assert.deepStrictEqual(files.map(({ fieldname, originalname, mimetype, size }) => ({ fieldname, originalname, mimetype, size })), [
+    { fieldname: 'attachment-1', originalname: 'a.txt', mimetype: 'text/plain', size: 10 },
+    { fieldname: 'attachment-2', originalname: 'b.bin', mimetype: 'application/octet-stream', size: 4 },
+  ]);
+  assert.strictEqual(files[0].buffer.toString(), 'first file');
+  assert.deepStrictEqual([...files[1].buffer], [0, 1, 2, 255]);
+  assert.strictEqual(req.body, fields);
+  assert.strictEqual(req.files, files);
+});
+
+test('finds boundaries split across chunks', async () => {
+  const body = buildMultipart(message);
+  const whole = await parseInboundRequest(createRequest(body));
+
+  for (const chunkSize of [1, 7, 40]) {
+    const split = await parseInboundRequest(createRequest(body, { chunkSize }));
+    assert.deepStrictEqual(split.fields, whole.fields, `chunk size ${chunkSize}`);
+    assert.deepStrictEqual(split.files.map(file => file.buffer), whole.files.map(file => file.buffer), `chunk size ${chunkSize}`);
+  }
+});
+
+test('keeps partial boundaries inside a part', async () => {
+  const content = 'line\r\n--test-boundar\r\n--test\r\n\r\n--end';
+  const body = buildMultipart([{ name: 'file', filename: 'tricky.txt', content }]);
+
+  const { files } = await parseInboundRequest(createRequest(body, { chunkSize: 5 }));
+
+  assert.strictEqual(files[0].buffer.toString(), content);
+});
+
+test('accepts a preamble, transport padding and an epilogue', async () => {
+  const body = 'This is the preamble\r\n' +
+    '--test-boundary  \t\r\nContent-Disposition: form-data; name="subject"\r\n\r\nPadded\r\n' +
+    '--test-boundary--\r\nThis is the epilogue';
+
+  const { fields } = await parseInboundRequest(createRequest(body));
+
+  assert.deepStrictEqual(fields, { subject: 'Padded' });
+});
+
+test('decodes RFC 2231 filenames and field charsets', async () => {
+  const body = '--b\r\nContent-Disposition: form-data; name="attachment-1"; filename="fallback.txt"; filename*=UTF-8\'\'na%C3%AFve%20file.txt\r\n\r\nx\r\n' +
+    '--b\r\nContent-Disposition: form-data; name="subject"\r\nContent-Type: text/plain; charset=iso-8859-1\r\n\r\n' +
+    'caf\xe9\r\n--b--\r\n';
+
+  const { fields, files } = await parseInboundRequest(createRequest(Buffer.from(body, 'latin1'), { contentType: 'multipart/form-data; boundary=b' }));
+
+  assert.strictEqual(files[0].originalname, 'naïve file.txt');
+  assert.strictEqual(fields.subject, 'café');
+});
+
+test('keeps body-mime as raw bytes', async () => {
+  const raw = Buffer.from('Subject: caf\xe9\r\n\r\nbody', 'latin1');
+  const body = buildMultipart([{ name: 'body-mime', value: raw }]);
+
+  const { fields } = await parseInboundRequest(createRequest(body));
+
+  assert.ok(Buffer.isBuffer(fields['body-mime']));
+  assert.deepStrictEqual(fields['body-mime'], raw);
+});
+
+test('parses urlencoded bodies', async () => {
+  const req = createRequest('recipient=support%40example.com&subject=Hi+there&tag=a&tag=b', {
+    contentType: 'application/x-www-form-urlencoded',
+  });
+
+  const { fields, files } = await parseInboundRequest(req);
+
+  assert.deepStrictEqual(fields, { recipient: 'support@example.com', subject: 'Hi there', tag: ['a', 'b'] });
+  assert.deepStrictEqual(files, []);
+});
+
+const rejects = (body, limits, expected, options) => assert.rejects(parseInboundRequest(createRequest(body, options), limits), expected);
+
+test('enforces the limits with 406', async () => {
+  const body = buildMultipart(message);
+
+  await rejects(body, { maxFiles: 1 }, { statusCode: 406, code: 'LIMIT_FILE_COUNT' });
+  await rejects(body, { maxFileSize: 5 }, { statusCode: 406, code: 'LIMIT_FILE_SIZE', message: 'Attachment "a.txt" exceeds 5 bytes' });
+  await rejects(body, { maxFields: 3 }, { statusCode: 406, code: 'LIMIT_FIELD_COUNT' });
+  await rejects(body, { maxFieldSize: 8 }, { statusCode: 406, code: 'LIMIT_FIELD_VALUE', message: 'Field "recipient" exceeds 8 bytes' });
+  await rejects(body, { maxBodySize: 100 }, { statusCode: 406, code: 'LIMIT_BODY_SIZE' });
+  await rejects(body, { maxBodySize: 100 }, { statusCode: 406, code: 'LIMIT_BODY_SIZE' }, { headers: { 'content-length': String(body.length) } });
+  await rejects(`--test-boundary\r\nContent-Disposition: form-data; name="a"${' '.repeat(200)}`, { maxHeaderSize: 100 },
+    { statusCode: 406, code: 'LIMIT_HEADER_SIZE' });
+});
+
+test('rejects malformed bodies with 400 and other content types with 415', async () => {
+  const truncated = buildMultipart(message).slice(0, 120);
+
+  await rejects(truncated, {}, { statusCode: 400, code: 'MALFORMED_MULTIPART', message: 'Unexpected end of multipart body' });
+  await rejects('--test-boundary\r\nContent-Type: text/plain\r\n\r\nno name\r\n--test-boundary--\r\n', {},
+    { statusCode: 400, code: 'MALFORMED_MULTIPART', message: 'Multipart part without a field name' });
+  await rejects('--test-boundaryjunk\r\n\r\n', {}, { statusCode: 400, code: 'MALFORMED_MULTIPART', message: 'Malformed multipart boundary' });
+  await rejects('', {}, { statusCode: 400, code: 'MALFORMED_MULTIPART' }, { contentType: 'multipart/form-data' });
+  await rejects('{}', {}, { statusCode: 415, code: 'UNSUPPORTED_MEDIA_TYPE' }, { contentType: 'application/json' });
+});
+
+test('gives up when storage stops accepting data', async () => {
+  const storage = { put: () => new Promise(() => {}), delete: async () => {} };
+  const req = createRequest(buildMultipart([
+    { name: 'attachment-1', filename: 'big.bin', content: Buffer.alloc(256 * 1024) },
+  ]));
+
+  await assert.rejects(parseInboundRequest(req, { storageTimeout: 50 }, { storage }), {
+    statusCode: 503,
+    code: 'STORAGE_TIMEOUT',
+  });
+});
+
+test('streams files to storage only after verifyFields accepts the signature fields', async () => {
+  const stored = [];
+  const storage = {
+    put: async (key, stream) => {
+      for await (const chunk of stream) stored.push(chunk);
+      return key;
+    },
+    delete: async () => {},
+  };
+  const seen = [];
+  const verifyFields = async (fields) => {
+    seen.push(Object.keys(fields));
+    return { valid: fields.signature === 'good', reason: 'invalid_signature' };
+  };
+  const parts = (signature) => [
+    { name: 'attachment-1', filename: 'early.txt', content: 'before the signature' },
+    { name: 'token', value: 't' },
+    { name: 'timestamp', value: '1' },
+    { name: 'signature', value: signature },
+    { name: 'attachment-2', filename: 'late.txt', content: 'after the signature' },
+  ];
+
+  const { files } = await parseInboundRequest(createRequest(buildMultipart(parts('good'))), {}, { storage, verifyFields });
+  assert.strictEqual(files[0].buffer.toString(), 'before the signature');
+  assert.strictEqual(files[0].storageKey, undefined);
+  assert.strictEqual(files[1].buffer, null);
+  assert.ok(files[1].storageKey);
+  assert.strictEqual(Buffer.concat(stored).toString(), 'after the signature');
+  assert.deepStrictEqual(seen, [['token', 'timestamp', 'signature']]);
+
+  stored.length = 0;
+  await assert.rejects(parseInboundRequest(createRequest(buildMultipart(parts('forged'))), {}, { storage, verifyFields }), {
+    statusCode: 401,
+    code: 'invalid_signature',
+  });
+  assert.deepStrictEqual(stored, []);
+});
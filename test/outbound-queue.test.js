@@ -0,0 +1,196 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOutboundQueue, createFileQueueStore } = require('..');
+
+function createStore() {
+  const jobs = new Map();
+  return {
+    jobs,
+    save: (job) => { jobs.set(job.id, JSON.parse(JSON.stringify(job))); },
+    delete: (id) => { jobs.delete(id); },
+    list: () => [...jobs.values()],
+  };
+}
+
+function createSender(outcomes = []) {
+  const calls = [];
+  const sendEmail = async (template, options) => {
+    calls.push({ template, options });
+    const outcome = outcomes.shift();
+    if (outcome instanceof Error) throw outcome;
+    return outcome || { messageId: `<${calls.length}@example.com>` };
+  };
+  sendEmail.calls = calls;
+  return sendEmail;
+}
+
+const smtpError = (responseCode) => Object.assign(new Error(`SMTP ${responseCode}`), { responseCode });
+
+test('a sent job is removed from the store', async () => {
+  const store = createStore();
+  const sendEmail = createSender();
+  const sent = [];
+  const queue = createOutboundQueue(sendEmail, { store, logger: false, onSent: (job, result) => sent.push(result.messageId) });
+
+  await queue.enqueue('welcome', { to: 'alice@example.com', subject: 'Welcome' });
+  await queue.drain();
+
+  assert.strictEqual(sendEmail.calls.length, 1);
+  assert.deepStrictEqual(sent, ['<1@example.com>']);
+  assert.strictEqual(store.jobs.size, 0);
+});
+
+test('temporary failures are retried and permanent ones dead-lettered', async () => {
+  const store = createStore();
+  const sendEmail = createSender([smtpError(421), undefined, smtpError(550)]);
+  const dead = [];
+  const queue = createOutboundQueue(sendEmail, {
+    store,
+    backoff: () => 1,
+    concurrency: 1,
+    logger: false,
+    onDeadLetter: (job) => dead.push(job.id),
+  });
+
+  const retried = await queue.enqueue('welcome', { to: 'alice@example.com' });
+  await queue.drain();
+  const failed = await queue.enqueue('welcome', { to: 'bob@example.com' });
+  await queue.drain();
+
+  assert.strictEqual(sendEmail.calls.length, 3);
+  assert.strictEqual(await queue.getJob(retried.id), null);
+  assert.deepStrictEqual(dead, [failed.id]);
+  assert.strictEqual(store.jobs.get(failed.id).status, 'dead');
+  assert.strictEqual(store.jobs.get(failed.id).lastError.responseCode, 550);
+});
+
+test('store and onSent failures after a send are logged, not retried', async () => {
+  const store = createStore();
+  store.delete = () => { throw new Error('Disk unavailable'); };
+  const errors = [];
+  const logger = { debug() {}, info() {}, warn() {}, error: (entry) => errors.push(entry.message) };
+  const sendEmail = createSender();
+  const queue = createOutboundQueue(sendEmail, {
+    store,
+    logger,
+    onSent: () => { throw new Error('Callback failed'); },
+  });
+
+  const job = await queue.enqueue('welcome', { to: 'alice@example.com' });
+  await queue.drain();
+
+  assert.strictEqual(sendEmail.calls.length, 1);
+  assert.strictEqual(await queue.getJob(job.id), null);
+  assert.deepStrictEqual(await queue.listDeadLetters(), []);
+  assert.deepStrictEqual(errors, ['Failed to delete sent outbound job', 'onSent failed']);
+});
+
+test('a store or a directory is required', () => {
+  assert.throws(() => createOutboundQueue(createSender(), { logger: false }), /requires a store or a directory/);
+  assert.throws(() => createFileQueueStore(), /requires a directory/);
+});
+
+test('the file store skips and logs job files that cannot be parsed', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'outbound-queue-'));
+  try {
+    const errors = [];
+    const logger = { debug() {}, info() {}, warn() {}, error: (entry) => errors.push(entry) };
+    const store = createFileQueueStore({ directory, logger });
+    await store.save({ id: 'good', status: 'pending' });
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{"id": "bro');
+
+    const jobs = await store.list();
+
+    assert.deepStrictEqual(jobs, [{ id: 'good', status: 'pending' }]);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].message, 'Skipping unreadable outbound job file');
+    assert.strictEqual(errors[0].file, path.join(directory, 'broken.json'));
+    assert.ok(fs.existsSync(path.join(directory, 'broken.json')));
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('loading is retried after the store fails to list jobs', async () => {
+  const store = createStore();
+  const list = store.list;
+  let failures = 1;
+  store.list = () => {
+    if (failures-- > 0) throw new Error('Store unavailable');
+    return list();
+  };
+  const queue = createOutboundQueue(createSender(), { store, autoStart: false, logger: false });
+
+  await assert.rejects(queue.start(), /Store unavailable/);
+  await queue.start();
+  const job = await queue.enqueue('welcome', { to: 'alice@example.com' });
+  await queue.drain();
+
+  assert.strictEqual(await queue.getJob(job.id), null);
+});
+
+test('the attempt is stored before the message is sent', async () => {
+  const store = createStore();
+  const storedAttempts = [];
+  const sendEmail = async () => {
+    const [stored] = store.jobs.values();
+    storedAttempts.push(stored.attempts);
+    if (storedAttempts.length === 1) throw smtpError(421);
+    return { messageId: '<sent@example.com>' };
+  };
+  const queue = createOutboundQueue(sendEmail, { store, backoff: () => 1, logger: false });
+
+  await queue.enqueue('welcome', { to: 'alice@example.com' });
+  await queue.drain();
+
+  assert.deepStrictEqual(storedAttempts, [1, 2]);
+});
+
+test('a job whose attempt cannot be stored is not sent', async () => {
+  const store = createStore();
+  const save = store.save;
+  let failSaves = 0;
+  store.save = (job) => {
+    if (job.attempts > 0 && failSaves-- > 0) throw new Error('Disk unavailable');
+    return save(job);
+  };
+  const sendEmail = createSender();
+  const queue = createOutboundQueue(sendEmail, { store, backoff: () => 1, logger: false, autoStart: false });
+
+  const job = await queue.enqueue('welcome', { to: 'alice@example.com' });
+  failSaves = 1;
+  await queue.start();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await queue.drain();
+
+  assert.strictEqual(sendEmail.calls.length, 1);
+  assert.strictEqual(await queue.getJob(job.id), null);
+});
+
+test('requeued dead letters stay dead when the store fails', async () => {
+  const store = createStore();
+  const sendEmail = createSender([smtpError(550), smtpError(550)]);
+  const queue = createOutboundQueue(sendEmail, { store, concurrency: 1, logger: false });
+
+  const first = await queue.enqueue('welcome', { to: 'alice@example.com' });
+  const second = await queue.enqueue('welcome', { to: 'bob@example.com' });
+  await queue.drain();
+
+  const save = store.save;
+  store.save = (job) => {
+    if (job.id === second.id) throw new Error('Disk unavailable');
+    return save(job);
+  };
+  await assert.rejects(queue.requeueDeadLetters(), /Disk unavailable/);
+  await queue.drain();
+
+  assert.strictEqual(sendEmail.calls.length, 3);
+  assert.strictEqual(await queue.getJob(first.id), null);
+  const stillDead = await queue.getJob(second.id);
+  assert.strictEqual(stillDead.status, 'dead');
+  assert.strictEqual(stillDead.attempts, 1);
+  assert.strictEqual(store.jobs.get(second.id).status, 'dead');
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore, verifyMailgunSignature, verifyRequestSignature, verifyMailgunRequest } = require('..');
+const { signToken } = require('./helpers/signature');
+
+const signingKey = 'test-signing-key';
+
+test('createMemoryStore remembers keys until they expire', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1718000000000 });
+  const store = createMemoryStore();
+
+  assert.strictEqual(store.add('token-1', 60), true);
+  assert.strictEqual(store.add('token-1', 60), false);
+  assert.strictEqual(store.has('token-1'), true);
+
+  t.mock.timers.tick(60 * 1000);
+  assert.strictEqual(store.has('token-1'), false);
+  assert.strictEqual(store.add('token-1', 60), true);
+  assert.strictEqual(store.delete('token-1'), true);
+  assert.strictEqual(store.size, 0);
+});
+
+test('createMemoryStore evicts the oldest keys when full', () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+
+  store.add('a', 60);
+  store.add('b', 60);
+  store.add('c', 60);
+
+  assert.strictEqual(store.size, 2);
+  assert.strictEqual(store.has('a'), false);
+  assert.strictEqual(store.has('c'), true);
+});
+
+test('verifyMailgunSignature rejects a replayed token', () => {
+  const nonceStore = createMemoryStore();
+  const { token, timestamp, signature } = signToken(signingKey, 'token-1');
+
+  assert.strictEqual(verifyMailgunSignature(token, timestamp, signature, signingKey, { nonceStore }), true);
+  assert.strictEqual(verifyMailgunSignature(token, timestamp, signature, signingKey, { nonceStore }), false);
+});
+
+test('invalid signatures are not recorded in the nonce store', () => {
+  const nonceStore = createMemoryStore();
+  const { token, timestamp } = signToken(signingKey, 'token-1');
+
+  assert.strictEqual(verifyMailgunSignature(token, timestamp, 'forged', signingKey, { nonceStore }), false);
+  assert.strictEqual(nonceStore.has(token), false);
+});
+
+test('timestamps outside the tolerance window are rejected', () => {
+  const old = signToken(signingKey, 'token-1', Math.floor(Date.now() / 1000) - 901);
+  const recent = signToken(signingKey, 'token-2', Math.floor(Date.now() / 1000) - 200);
+
+  assert.strictEqual(verifyMailgunSignature(old.token, old.timestamp, old.signature, signingKey), false);
+  assert.strictEqual(verifyMailgunSignature(recent.token, recent.timestamp, recent.signature, signingKey, { toleranceSeconds: 100 }), false);
+  assert.strictEqual(verifyMailgunSignature(recent.token, recent.timestamp, recent.signature, signingKey), true);
+});
+
+test('verifyRequestSignature reads event and inbound signature fields', () => {
+  const nonceStore = createMemoryStore();
+  const event = { body: { signature: signToken(signingKey, 'event-token') } };
+  const inbound = { body: { ...signToken(signingKey, 'inbound-token'), recipient: 'support@example.com' } };
+
+  assert.strictEqual(verifyRequestSignature(event, signingKey, { nonceStore }), true);
+  assert.strictEqual(verifyRequestSignature(inbound, signingKey, { nonceStore }), true);
+  assert.strictEqual(verifyRequestSignature(event, signingKey, { nonceStore }), false);
+  assert.strictEqual(verifyRequestSignature({}, signingKey), false);
+});
+
+test('synchronous verification rejects asynchronous stores instead of throwing', () => {
+  const errors = [];
+  const logger = { debug() {}, info() {}, warn() {}, error: (entry) => errors.push(entry.message) };
+  const { token, timestamp, signature } = signToken(signingKey, 'token-1');
+
+  const valid = verifyMailgunSignature(token, timestamp, signature, signingKey, { nonceStore: { add: async () => true }, logger });
+
+  assert.strictEqual(valid, false);
+  assert.match(errors[0], /nonceStore is asynchronous/);
+});
+
+test('verifyMailgunRequest works with asynchronous stores and reports replays', async () => {
+  const seen = new Set();
+  const nonceStore = {
+    add: async (key) => {
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    },
+  };
+  const req = { body: { signature: signToken(signingKey, 'token-1') } };
+
+  const first = await verifyMailgunRequest(req, { signingKey, nonceStore });
+  assert.strictEqual(first.valid, true);
+  assert.strictEqual(first.keyIndex, 0);
+  assert.strictEqual((await verifyMailgunRequest(req, { signingKey, nonceStore })).reason, 'replayed_token');
+});
+
+test('verifyMailgunRequest reports why verification failed', async () => {
+  const fields = signToken(signingKey, 'token-1');
+
+  assert.strictEqual((await verifyMailgunRequest({ body: { signature: fields } }, { signingKey: '' })).reason, 'missing_signing_key');
+  assert.strictEqual((await verifyMailgunRequest({ body: {} }, { signingKey })).reason, 'missing_signature_data');
+  assert.strictEqual((await verifyMailgunRequest({ body: { signature: { ...fields, signature: 'forged' } } }, { signingKey })).reason, 'invalid_signature');
+  assert.strictEqual(
+    (await verifyMailgunRequest({ body: { signature: signToken(signingKey, 'token-2', 1000) } }, { signingKey })).reason,
+    'timestamp_out_of_window'
+  );
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createReplyAddress, verifyReplyAddress, decodeReplyAddress, createEmailSender } = require('..');
+const { startMailgunApi } = require('./helpers/mailgun-api');
+
+const options = { secret: 'reply-secret', domain: 'inbound.example.com' };
+
+test('round-trips an entity through a signed address', () => {
+  const address = createReplyAddress('ticket_42', options);
+
+  assert.match(address, /^reply\+ticket_42\.[0-9a-f]{16}@inbound\.example\.com$/);
+  assert.deepStrictEqual(verifyReplyAddress(`Support <${address}>`, options), {
+    valid: true,
+    entity: 'ticket_42',
+    expiresAt: null,
+    reason: null,
+  });
+  // Expiry and signature survive MTAs that change case
+  assert.strictEqual(verifyReplyAddress(address.replace(/\.([0-9a-f]+)@/, (m, sig) => `.${sig.toUpperCase()}@`), options).valid, true);
+});
+
+test('rejects forged entities and signatures', () => {
+  const address = createReplyAddress('ticket_42', options);
+
+  assert.strictEqual(verifyReplyAddress(address.replace('ticket_42', 'ticket_43'), options).reason, 'invalid_signature');
+  const signature = address.match(/\.([0-9a-f]+)@/)[1];
+  const tampered = `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`;
+  assert.strictEqual(verifyReplyAddress(address.replace(signature, tampered), options).reason, 'invalid_signature');
+  assert.strictEqual(verifyReplyAddress(address.replace(signature, signature.slice(1)), options).reason, 'invalid_signature');
+  assert.strictEqual(verifyReplyAddress(address, { ...options, secret: 'other-secret' }).reason, 'invalid_signature');
+  assert.strictEqual(verifyReplyAddress(address, { ...options, domain: 'other.example.com' }).reason, 'not_reply_address');
+  assert.strictEqual(verifyReplyAddress('support@inbound.example.com', options).reason, 'not_reply_address');
+});
+
+test('expires addresses created with expiresIn', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+  const address = createReplyAddress('comment-7', { ...options, expiresIn: 3600 });
+
+  const fresh = verifyReplyAddress(address, options);
+  assert.strictEqual(fresh.valid, true);
+  assert.strictEqual(fresh.expiresAt.getTime(), 1700003600000);
+
+  t.mock.timers.tick(3601 * 1000);
+  const expired = verifyReplyAddress(address, options);
+  assert.strictEqual(expired.valid, false);
+  assert.strictEqual(expired.reason, 'expired');
+  assert.strictEqual(expired.entity, 'comment-7');
+});
+
+test('accepts addresses signed with any secret of a rotation list', () => {
+  const old = createReplyAddress('ticket_1', { ...options, secret: 'old-secret' });
+
+  assert.strictEqual(verifyReplyAddress(old, { ...options, secret: ['new-secret', 'old-secret'] }).valid, true);
+  assert.strictEqual(
+    createReplyAddress('ticket_1', { ...options, secret: ['new-secret', 'old-secret'] }),
+    createReplyAddress('ticket_1', { ...options, secret: 'new-secret' })
+  );
+});
+
+test('validates its inputs', () => {
+  assert.throws(() => createReplyAddress('x', { domain: 'inbound.example.com', secret: '' }), /require a secret/);
+  assert.throws(() => createReplyAddress('x', { secret: 's', domain: '' }), /require a domain/);
+  assert.throws(() => createReplyAddress('a.b', options), /Invalid reply address entity/);
+  assert.throws(() => createReplyAddress('x'.repeat(60), options), /exceeds 64 characters/);
+  assert.throws(() => createReplyAddress('x', { ...options, signatureLength: 4 }), /signatureLength/);
+});
+
+test('decodeReplyAddress finds the signed address among the recipients', () => {
+  const address = createReplyAddress('ticket_42', options);
+
+  const reply = decodeReplyAddress({ to: ['support@example.com', address] }, options);
+  assert.strictEqual(reply.valid, true);
+  assert.strictEqual(reply.entity, 'ticket_42');
+  assert.strictEqual(reply.address, address);
+
+  const forged = decodeReplyAddress({ to: [address.replace('ticket_42', 'ticket_1')] }, options);
+  assert.strictEqual(forged.valid, false);
+  assert.strictEqual(forged.reason, 'invalid_signature');
+
+  assert.strictEqual(decodeReplyAddress({ to: ['support@example.com'] }, options).reason, 'not_reply_address');
+  assert.strictEqual(decodeReplyAddress(null, options).reason, 'not_reply_address');
+});
+
+test('the sender sets Reply-To from the entity option', async (t) => {
+  const api = await startMailgunApi(() => null);
+  t.after(() => api.close());
+  const sendEmail = createEmailSender('mailgun', {
+    api: { apiKey: 'key-test', domain: 'mg.example.com', baseUrl: api.baseUrl },
+    from: 'noreply@mg.example.com',
+    templatesDir: path.join(__dirname, 'fixtures', 'emails'),
+    replyAddress: options,
+    logger: false,
+  });
+
+  await sendEmail('welcome', { to: 'alice@example.com', subject: 'Update', entity: 'ticket_42', locals: { name: 'Alice' } });
+  await sendEmail('welcome', { to: 'alice@example.com', subject: 'Update', entity: 'ticket_42', replyTo: 'me@example.com', locals: { name: 'Alice' } });
+
+  const replyTo = api.requests[0].field('h:Reply-To');
+  assert.strictEqual(verifyReplyAddress(replyTo, options).entity, 'ticket_42');
+  assert.strictEqual(api.requests[1].field('h:Reply-To'), 'me@example.com');
+});
@@ -0,0 +1,154 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createRetryQueue, createMemoryDeadLetterStore } = require('..');
+
+const backoff = { initialDelay: 1, maxDelay: 1 };
+
+test('retries a failing job with backoff until it succeeds', async () => {
+  const attempts = [];
+  const delays = [];
+  const queue = createRetryQueue({
+    logger: false,
+    backoff: (attempt) => { delays.push(attempt); return 1; },
+    process: async (payload, { attempt, replay }) => {
+      attempts.push([payload.id, attempt, replay]);
+      if (attempt < 3) throw new Error('not yet');
+    },
+  });
+
+  queue.push({ id: 'a' });
+  assert.strictEqual(queue.size, 1);
+  await queue.drain();
+
+  assert.deepStrictEqual(attempts, [['a', 1, false], ['a', 2, false], ['a', 3, false]]);
+  assert.deepStrictEqual(delays, [1, 2]);
+  assert.strictEqual(queue.size, 0);
+  assert.strictEqual(queue.deadLetterStore.size, 0);
+});
+
+test('dead-letters a job after maxAttempts', async () => {
+  const deadLetterStore = createMemoryDeadLetterStore();
+  const queue = createRetryQueue({
+    source: 'test',
+    maxAttempts: 2,
+    backoff,
+    deadLetterStore,
+    logger: false,
+    process: async () => {
+      const error = new Error('database down');
+      error.code = 'ECONNREFUSED';
+      throw error;
+    },
+  });
+
+  queue.push({ id: 'a' });
+  await queue.drain();
+
+  const [entry] = deadLetterStore.list();
+  assert.strictEqual(deadLetterStore.size, 1);
+  assert.strictEqual(entry.source, 'test');
+  assert.deepStrictEqual(entry.payload, { id: 'a' });
+  assert.strictEqual(entry.attempts, 2);
+  assert.deepStrictEqual(entry.error, { message: 'database down', code: 'ECONNREFUSED' });
+  assert.strictEqual(entry.firstFailedAt, entry.failedAt);
+  assert.match(entry.id, /^[0-9a-f]{32}$/);
+});
+
+test('replays dead letters, deleting the ones that succeed', async () => {
+  const deadLetterStore = createMemoryDeadLetterStore();
+  const fixed = new Set();
+  const replays = [];
+  const queue = createRetryQueue({
+    deadLetterStore,
+    logger: false,
+    process: async (payload, context) => {
+      replays.push([payload.id, context]);
+      if (!fixed.has(payload.id)) throw new Error(`${payload.id} failed`);
+    },
+  });
+
+  const first = await queue.deadLetter({ id: 'a' }, new Error('a failed'));
+  await queue.deadLetter({ id: 'b' }, new Error('b failed'), 3);
+  fixed.add('a');
+
+  const result = await queue.replayDeadLetters();
+
+  assert.strictEqual(result.replayed, 1);
+  assert.strictEqual(result.failed, 1);
+  assert.strictEqual(result.errors[0].error, 'b failed');
+  assert.deepStrictEqual(replays.map(([id, context]) => [id, context.attempt, context.replay]), [['a', 2, true], ['b', 4, true]]);
+  assert.strictEqual(deadLetterStore.get(first.id), null);
+
+  const [remaining] = deadLetterStore.list();
+  assert.strictEqual(remaining.id, result.errors[0].id);
+  assert.strictEqual(remaining.attempts, 4);
+  assert.ok(remaining.failedAt >= remaining.firstFailedAt);
+});
+
+test('replays only entries matching filter, up to limit', async () => {
+  const processed = [];
+  const queue = createRetryQueue({ logger: false, process: async (payload) => processed.push(payload.id) });
+
+  for (const id of ['a', 'b', 'c', 'd']) {
+    await queue.deadLetter({ id, kind: id === 'b' ? 'other' : 'event' }, new Error('failed'));
+  }
+  await queue.replayDeadLetters({ filter: (entry) => entry.payload.kind === 'event', limit: 2 });
+
+  assert.deepStrictEqual(processed, ['a', 'c']);
+  assert.deepStrictEqual(queue.deadLetterStore.list().map(entry => entry.payload.id), ['b', 'd']);
+});
+
+test('serializes payloads before they are dead-lettered', async () => {
+  const seen = [];
+  const queue = createRetryQueue({
+    maxAttempts: 1,
+    logger: false,
+    serialize: (payload) => (payload.buffer ? { text: payload.buffer.toString() } : payload),
+    process: async (payload) => {
+      seen.push(payload);
+      throw new Error('failed');
+    },
+  });
+
+  queue.push({ buffer: Buffer.from('hello') });
+  await queue.drain();
+  await queue.replayDeadLetters();
+
+  assert.ok(Buffer.isBuffer(seen[0].buffer));
+  assert.deepStrictEqual(seen[1], { text: 'hello' });
+  assert.deepStrictEqual(queue.deadLetterStore.list()[0].payload, { text: 'hello' });
+});
+
+test('keeps processing when the dead-letter store fails', async () => {
+  const errors = [];
+  const queue = createRetryQueue({
+    maxAttempts: 1,
+    deadLetterStore: { add: async () => { throw new Error('store down'); }, list: () => [], delete: () => {} },
+    logger: { error: (entry) => errors.push(entry) },
+    process: async () => { throw new Error('failed'); },
+  });
+
+  queue.push({});
+  await queue.drain();
+
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].message, 'Failed to write dead letter');
+  assert.strictEqual(errors[0].storeError, 'store down');
+  assert.throws(() => createRetryQueue({}), /requires a process function/);
+});
+
+test('the memory dead-letter store replaces by id and evicts the oldest entries', () => {
+  const store = createMemoryDeadLetterStore({ maxEntries: 2 });
+
+  store.add({ id: 'a', attempts: 1 });
+  store.add({ id: 'b', attempts: 1 });
+  store.add({ id: 'a', attempts: 2 });
+  assert.deepStrictEqual(store.list(), [{ id: 'b', attempts: 1 }, { id: 'a', attempts: 2 }]);
+
+  store.add({ id: 'c', attempts: 1 });
+  assert.deepStrictEqual(store.list().map(entry => entry.id), ['a', 'c']);
+  assert.strictEqual(store.delete('a'), true);
+  assert.strictEqual(store.get('a'), null);
+  store.clear();
+  assert.strictEqual(store.size, 0);
+});
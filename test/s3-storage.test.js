@@ -0,0 +1,114 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { Readable } = require('stream');
+const { createS3Storage } = require('..');
+
+const credentials = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret-example' };
+const region = 'eu-west-1';
+
+let server;
+let endpoint;
+let requests;
+
+beforeEach(async () => {
+  requests = [];
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) };
+      requests.push(request);
+      if (req.method === 'GET') {
+        res.setHeader('content-type', 'text/plain');
+        return res.end('stored content');
+      }
+      if (req.url.includes('missing')) {
+        res.statusCode = 403;
+        return res.end('<?xml version="1.0"?><Error><Code>AccessDenied</Code><Message>Access Denied</Message></Error>');
+      }
+      res.setHeader('etag', '"etag-1"');
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(() => new Promise(resolve => server.close(resolve)));
+
+// Independent SigV4 computation from what the server received
+function expectedAuthorization(request) {
+  const [path, query = ''] = request.url.split('?');
+  const amzDate = request.headers['x-amz-date'];
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+  const signedHeaders = /SignedHeaders=([^,]+)/.exec(request.headers.authorization)[1];
+  const canonicalHeaders = signedHeaders.split(';').map(name => `${name}:${request.headers[name]}\n`).join('');
+  const canonicalRequest = [
+    request.method, path, query, canonicalHeaders, signedHeaders, request.headers['x-amz-content-sha256'],
+  ].join('\n');
+  const stringToSign = [
+    'AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+  ].join('\n');
+  const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+  const signingKey = [amzDate.slice(0, 8), region, 's3', 'aws4_request']
+    .reduce(hmac, `AWS4${credentials.secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+test('put sends a signed PUT with the key and content type', async () => {
+  const storage = createS3Storage({ bucket: 'inbound', region, endpoint, ...credentials });
+  const content = Buffer.from('attachment body');
+
+  const result = await storage.put('2024/06/report (final).pdf', Readable.from([content]), { contentType: 'application/pdf' });
+
+  assert.deepStrictEqual(result, { key: '2024/06/report (final).pdf' });
+  assert.strictEqual(requests.length, 1);
+  const [request] = requests;
+  assert.strictEqual(request.method, 'PUT');
+  assert.strictEqual(request.url, '/inbound/2024/06/report%20%28final%29.pdf');
+  assert.strictEqual(request.headers['content-type'], 'application/pdf');
+  assert.deepStrictEqual(request.body, content);
+
+  assert.match(request.headers['x-amz-date'], /^\d{8}T\d{6}Z$/);
+  assert.strictEqual(request.headers['x-amz-content-sha256'], crypto.createHash('sha256').update(content).digest('hex'));
+  assert.match(request.headers.authorization, /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/eu-west-1\/s3\/aws4_request, /);
+  const signedHeaders = /SignedHeaders=([^,]+)/.exec(request.headers.authorization)[1].split(';');
+  ['content-type', 'host', 'x-amz-content-sha256', 'x-amz-date'].forEach(name => assert.ok(signedHeaders.includes(name), name));
+  assert.strictEqual(request.headers.authorization, expectedAuthorization(request));
+});
+
+test('put signs the session token when temporary credentials are used', async () => {
+  const storage = createS3Storage({ bucket: 'inbound', region, endpoint, ...credentials, sessionToken: 'session' });
+
+  await storage.put('a.txt', Readable.from([Buffer.from('a')]), { contentType: 'text/plain' });
+
+  const [request] = requests;
+  assert.strictEqual(request.headers['x-amz-security-token'], 'session');
+  assert.match(request.headers.authorization, /SignedHeaders=[^,]*x-amz-security-token/);
+  assert.strictEqual(request.headers.authorization, expectedAuthorization(request));
+});
+
+test('get and delete send signed requests for the key', async () => {
+  const storage = createS3Storage({ bucket: 'inbound', region, endpoint, ...credentials });
+
+  const stream = await storage.get('a.txt');
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  await storage.delete('a.txt');
+
+  assert.strictEqual(Buffer.concat(chunks).toString(), 'stored content');
+  assert.deepStrictEqual(requests.map(request => `${request.method} ${request.url}`), ['GET /inbound/a.txt', 'DELETE /inbound/a.txt']);
+  requests.forEach(request => assert.strictEqual(request.headers.authorization, expectedAuthorization(request)));
+});
+
+test('S3 error documents are surfaced with their code and status', async () => {
+  const storage = createS3Storage({ bucket: 'inbound', region, endpoint, ...credentials });
+
+  await assert.rejects(
+    storage.put('missing.txt', Readable.from([Buffer.from('a')])),
+    { code: 'AccessDenied', statusCode: 403, message: 'S3 PUT missing.txt failed: Access Denied' }
+  );
+});
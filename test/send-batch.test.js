@@ -0,0 +1,161 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createEmailSender, createSuppressionList, verifyReplyAddress } = require('..');
+const { startMailgunApi } = require('./helpers/mailgun-api');
+
+const templatesDir = path.join(__dirname, 'fixtures', 'emails');
+
+let api;
+
+afterEach(() => api && api.close());
+
+const createApiSender = (options = {}) => createEmailSender('mailgun', {
+  api: { apiKey: 'key-test', domain: 'mg.example.com', baseUrl: api.baseUrl },
+  from: 'noreply@mg.example.com',
+  templatesDir,
+  logger: false,
+  ...options,
+});
+
+test('API batches carry at most 1000 recipients with their recipient-variables', async () => {
+  api = await startMailgunApi();
+  const sendEmail = createApiSender();
+  const recipients = Array.from({ length: 2500 }, (_, index) => ({
+    to: `user${index}@example.com`,
+    locals: { name: `User ${index}` },
+  }));
+
+  const report = await sendEmail.sendBatch('welcome', { recipients, subject: 'Hello %recipient.name%', concurrency: 1 });
+
+  assert.deepStrictEqual(api.requests.map(request => request.all('to').length), [1000, 1000, 500]);
+  api.requests.forEach((request, batch) => {
+    const variables = JSON.parse(request.field('recipient-variables'));
+    const to = request.all('to');
+    assert.deepStrictEqual(Object.keys(variables), to);
+    assert.strictEqual(to[0], `user${batch * 1000}@example.com`);
+    assert.deepStrictEqual(variables[to[0]], { name: `User ${batch * 1000}` });
+    assert.strictEqual(request.field('subject'), 'Hello %recipient.name%');
+    assert.match(request.field('html'), /Hello %recipient\.name%/);
+  });
+
+  assert.deepStrictEqual({ ...report, results: undefined }, { total: 2500, sent: 2500, failed: 0, skipped: 0, results: undefined });
+  assert.strictEqual(report.results[0].messageId, '1.queued@mg.example.com');
+  assert.strictEqual(report.results[2499].messageId, '3.queued@mg.example.com');
+});
+
+test('the report lists sent, failed and skipped recipients', async () => {
+  api = await startMailgunApi((request, count) => (count === 2 ? { status: 500, body: { message: 'Internal error' } } : null));
+  const suppressionList = createSuppressionList();
+  await suppressionList.add('blocked@example.com', { type: 'complaint' });
+  const sendEmail = createApiSender({ suppressionList });
+
+  const report = await sendEmail.sendBatch(null, {
+    recipients: [
+      'a@example.com',
+      'b@example.com',
+      'not-an-address',
+      'A@example.com',
+      'blocked@example.com',
+      'c@example.com',
+    ],
+    subject: 'Notice',
+    text: 'Hello',
+    batchSize: 2,
+    concurrency: 1,
+  });
+
+  assert.strictEqual(report.total, 6);
+  assert.strictEqual(report.sent, 2);
+  assert.strictEqual(report.failed, 1);
+  assert.strictEqual(report.skipped, 3);
+  assert.deepStrictEqual(report.results.map(({ to, status, reason }) => [to, status, reason]), [
+    ['a@example.com', 'sent', undefined],
+    ['b@example.com', 'sent', undefined],
+    ['not-an-address', 'skipped', 'invalid_address'],
+    ['a@example.com', 'skipped', 'duplicate'],
+    ['blocked@example.com', 'skipped', 'suppressed'],
+    ['c@example.com', 'failed', undefined],
+  ]);
+  assert.deepStrictEqual(report.results[5].error, {
+    message: 'Mailgun API request failed: Internal error',
+    code: 'MAILGUN_API_ERROR',
+    statusCode: 500,
+  });
+  assert.deepStrictEqual(api.requests.map(request => request.all('to')), [['a@example.com', 'b@example.com'], ['c@example.com']]);
+});
+
+test('SMTP batches send one message per recipient and report failures', async () => {
+  api = null;
+  const sent = [];
+  const transport = {
+    async sendMail(message) {
+      if (message.to.includes('bounce@example.com')) {
+        const error = new Error('Mailbox unavailable');
+        error.responseCode = 550;
+        throw error;
+      }
+      sent.push(message);
+      return { messageId: `<${sent.length}@smtp.example.com>` };
+    },
+  };
+  const sendEmail = createEmailSender('aws-ses', { transport, from: 'noreply@example.com', templatesDir, logger: false });
+
+  const report = await sendEmail.sendBatch('welcome', {
+    recipients: [
+      { to: 'alice@example.com', locals: { name: 'Alice' } },
+      { to: 'bounce@example.com', locals: { name: 'Bounce' } },
+      { to: 'bob@example.com', locals: { name: 'Bob' } },
+    ],
+    subject: 'Welcome',
+    concurrency: 1,
+  });
+
+  assert.deepStrictEqual([report.total, report.sent, report.failed, report.skipped], [3, 2, 1, 0]);
+  assert.deepStrictEqual(report.results.map(result => result.status), ['sent', 'failed', 'sent']);
+  assert.strictEqual(report.results[1].error.message, 'Mailbox unavailable');
+  assert.match(sent[0].html, /Hello Alice/);
+  assert.match(sent[1].html, /Hello Bob/);
+});
+
+test('API batches set Reply-To from the shared or per-recipient entity', async () => {
+  api = await startMailgunApi();
+  const replyAddress = { secret: 'reply-secret', domain: 'inbound.example.com' };
+  const sendEmail = createApiSender({ replyAddress });
+
+  const report = await sendEmail.sendBatch(null, {
+    recipients: [
+      'a@example.com',
+      { to: 'b@example.com', entity: 'ticket_2' },
+      'c@example.com',
+      { to: 'd@example.com', entity: 'a.b' },
+    ],
+    entity: 'ticket_1',
+    subject: 'Ticket updated',
+    text: 'Reply to this email',
+    concurrency: 1,
+  });
+
+  const byReplyTo = api.requests.map(request => [verifyReplyAddress(request.field('h:Reply-To'), replyAddress).entity, request.all('to')]);
+  assert.deepStrictEqual(byReplyTo, [['ticket_1', ['a@example.com', 'c@example.com']], ['ticket_2', ['b@example.com']]]);
+  assert.deepStrictEqual(report.results.map(result => result.status), ['sent', 'sent', 'sent', 'failed']);
+  assert.match(report.results[3].error.message, /Invalid reply address entity/);
+});
+
+test('SMTP batches pass the recipient entity to every message', async () => {
+  api = null;
+  const sent = [];
+  const transport = { async sendMail(message) { sent.push(message); return { messageId: `<${sent.length}@smtp.example.com>` }; } };
+  const replyAddress = { secret: 'reply-secret', domain: 'inbound.example.com' };
+  const sendEmail = createEmailSender('aws-ses', { transport, from: 'noreply@example.com', replyAddress, logger: false });
+
+  await sendEmail.sendBatch(null, {
+    recipients: ['a@example.com', { to: 'b@example.com', entity: 'ticket_2' }],
+    entity: 'ticket_1',
+    subject: 'Ticket updated',
+    text: 'Reply to this email',
+    concurrency: 1,
+  });
+
+  assert.deepStrictEqual(sent.map(message => verifyReplyAddress(message.replyTo, replyAddress).entity), ['ticket_1', 'ticket_2']);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyMailgunSignature, verifyRequestSignature, verifyMailgunRequest } = require('..');
+const { signToken } = require('./helpers/signature');
+
+const NEW_KEY = 'new-signing-key';
+const OLD_KEY = 'old-signing-key';
+
+test('every key in a list is accepted during rotation', () => {
+  const signedWithOld = signToken(OLD_KEY, 'token-1');
+  const signedWithOther = signToken('other-key', 'token-2');
+
+  assert.strictEqual(verifyRequestSignature({ body: { signature: signedWithOld } }, [NEW_KEY, OLD_KEY]), true);
+  assert.strictEqual(verifyRequestSignature({ body: { signature: signedWithOther } }, [NEW_KEY, OLD_KEY]), false);
+});
+
+test('verifyMailgunRequest reports which key matched', async () => {
+  const signingKey = [{ id: '2025-new', key: NEW_KEY }, { id: '2024-old', key: OLD_KEY }, 'unnamed-key'];
+
+  const old = await verifyMailgunRequest({ body: { signature: signToken(OLD_KEY, 'token-1') } }, { signingKey });
+  const unnamed = await verifyMailgunRequest({ body: { signature: signToken('unnamed-key', 'token-2') } }, { signingKey });
+
+  assert.deepStrictEqual(old, { valid: true, reason: null, keyId: '2024-old', keyIndex: 1 });
+  assert.strictEqual(unnamed.keyId, crypto.createHash('sha256').update('unnamed-key').digest('hex').slice(0, 8));
+  assert.strictEqual(unnamed.keyIndex, 2);
+});
+
+test('resolvers pick keys from the event sender domain or the inbound recipient', async () => {
+  const contexts = [];
+  const keys = { 'mg.example.com': NEW_KEY, 'mg.example.org': OLD_KEY };
+  const signingKey = async ({ domain, recipient }) => {
+    contexts.push({ domain, recipient });
+    return keys[domain] || [];
+  };
+
+  const event = {
+    body: {
+      signature: signToken(NEW_KEY, 'token-1'),
+      'event-data': { event: 'delivered', recipient: 'alice@example.net', envelope: { sender: 'bounce@mg.example.com' } },
+    },
+  };
+  const inbound = { body: { ...signToken(OLD_KEY, 'token-2'), recipient: 'support@MG.example.org' } };
+  const unknown = { body: { ...signToken(OLD_KEY, 'token-3'), recipient: 'support@unknown.example' } };
+
+  assert.strictEqual((await verifyMailgunRequest(event, { signingKey })).valid, true);
+  assert.strictEqual((await verifyMailgunRequest(inbound, { signingKey })).valid, true);
+  assert.strictEqual((await verifyMailgunRequest(unknown, { signingKey })).reason, 'missing_signing_key');
+  assert.deepStrictEqual(contexts, [
+    { domain: 'mg.example.com', recipient: 'alice@example.net' },
+    { domain: 'mg.example.org', recipient: 'support@MG.example.org' },
+    { domain: 'unknown.example', recipient: 'support@unknown.example' },
+  ]);
+});
+
+test('synchronous verifiers throw when given a resolver function', () => {
+  const resolver = async () => NEW_KEY;
+  const fields = signToken(NEW_KEY, 'token-1');
+
+  assert.throws(() => verifyRequestSignature({ body: { signature: fields } }, resolver), /Use verifyMailgunRequest\(\)/);
+  assert.throws(() => verifyMailgunSignature(fields.token, fields.timestamp, fields.signature, resolver), /resolvers are asynchronous/);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createSuppressionList, normalizeMailgunEvent } = require('..');
+
+const bounce = (event, severity) => normalizeMailgunEvent({
+  'event-data': {
+    event,
+    id: `${event}-${severity}`,
+    severity,
+    recipient: 'Alice@Example.com',
+    timestamp: 1718000000,
+    reason: 'bounce',
+    'delivery-status': { code: 550, description: 'Mailbox does not exist' },
+  },
+});
+
+test('recordEvent suppresses the recipient of a permanent failure', async () => {
+  const suppressionList = createSuppressionList();
+
+  const added = await suppressionList.recordEvent(bounce('failed', 'permanent'));
+
+  assert.strictEqual(added.length, 1);
+  assert.strictEqual(added[0].type, 'bounce');
+  assert.strictEqual(added[0].code, 550);
+  assert.ok(await suppressionList.check('alice@example.com'));
+});
+
+test('recordEvent suppresses the recipient of a bounced event', async () => {
+  const suppressionList = createSuppressionList();
+
+  const added = await suppressionList.recordEvent(bounce('bounced'));
+
+  assert.strictEqual(added.length, 1);
+  assert.strictEqual(added[0].address, 'alice@example.com');
+  assert.strictEqual(added[0].type, 'bounce');
+  assert.strictEqual((await suppressionList.check('alice@example.com')).type, 'bounce');
+});
+
+test('recordEvent ignores temporary failures', async () => {
+  const suppressionList = createSuppressionList();
+
+  const added = await suppressionList.recordEvent(bounce('failed', 'temporary'));
+
+  assert.deepStrictEqual(added, []);
+  assert.strictEqual(await suppressionList.check('alice@example.com'), null);
+});
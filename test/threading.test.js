@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseMessageIds, cleanMessageId, normalizeSubject, resolveThreadId, processEmailData } = require('..');
+
+test('parses In-Reply-To and References into cleaned, de-duplicated IDs', () => {
+  assert.deepStrictEqual(parseMessageIds('<a@x.com> <b@x.com>\r\n <a@x.com>'), ['a@x.com', 'b@x.com']);
+  assert.deepStrictEqual(parseMessageIds('<a@x.com> (comment) <b@x.com>'), ['a@x.com', 'b@x.com']);
+  assert.deepStrictEqual(parseMessageIds('a@x.com, b@x.com'), ['a@x.com', 'b@x.com']);
+  assert.deepStrictEqual(parseMessageIds(''), []);
+  assert.deepStrictEqual(parseMessageIds(null), []);
+  assert.strictEqual(cleanMessageId('<a@x.com>'), 'a@x.com');
+  assert.strictEqual(cleanMessageId('<>'), null);
+});
+
+test('strips reply and forward prefixes from subjects', () => {
+  assert.strictEqual(normalizeSubject('Re: Fwd: RE:  Order   42'), 'Order 42');
+  assert.strictEqual(normalizeSubject('AW: WG: Bestellung'), 'Bestellung');
+  assert.strictEqual(normalizeSubject('Re[2]: SV: Status'), 'Status');
+  assert.strictEqual(normalizeSubject('回复：问题'), '问题');
+  assert.strictEqual(normalizeSubject('Regarding: the plan'), 'Regarding: the plan');
+  assert.strictEqual(normalizeSubject('Request'), 'Request');
+  assert.strictEqual(normalizeSubject(undefined), '');
+});
+
+test('emailData carries messageId, inReplyTo, references and normalizedSubject', () => {
+  const { emailData } = processEmailData({
+    body: {
+      sender: 'alice@example.com',
+      subject: 'Re: Order 42',
+      'message-headers': JSON.stringify([
+        ['Message-Id', '<reply@example.com>'],
+        ['In-Reply-To', '<parent@example.com>'],
+        ['References', '<root@example.com> <parent@example.com>'],
+      ]),
+    },
+  });
+
+  assert.strictEqual(emailData.messageId, 'reply@example.com');
+  assert.deepStrictEqual(emailData.inReplyTo, ['parent@example.com']);
+  assert.deepStrictEqual(emailData.references, ['root@example.com', 'parent@example.com']);
+  assert.strictEqual(emailData.normalizedSubject, 'Order 42');
+});
+
+test('returns the thread of the first known reference, root first', async () => {
+  const known = { 'parent@example.com': 'thread-parent' };
+  const lookups = [];
+  const threadId = await resolveThreadId(
+    { messageId: 'reply@example.com', references: ['root@example.com', 'parent@example.com'], inReplyTo: ['parent@example.com'] },
+    async (query) => {
+      lookups.push(query);
+      return known[query.messageId] || null;
+    }
+  );
+
+  assert.strictEqual(threadId, 'thread-parent');
+  assert.deepStrictEqual(lookups, [{ messageId: 'root@example.com' }, { messageId: 'parent@example.com' }]);
+});
+
+test('replies to an unknown root share a stable thread ID', async () => {
+  const none = async () => null;
+  const first = await resolveThreadId({ messageId: 'r1@x.com', references: ['root@x.com'] }, none);
+  const second = await resolveThreadId({ messageId: 'r2@x.com', references: ['root@x.com', 'r1@x.com'] }, none);
+  const root = await resolveThreadId({ messageId: 'root@x.com', subject: 'Hello' }, none);
+
+  assert.match(first, /^[0-9a-f]{32}$/);
+  assert.strictEqual(second, first);
+  assert.strictEqual(root, first);
+});
+
+test('falls back to the subject only for prefixed subjects', async () => {
+  const lookups = [];
+  const lookup = async (query) => {
+    lookups.push(query);
+    return query.subject === 'Order 42' ? 'thread-subject' : null;
+  };
+
+  assert.strictEqual(await resolveThreadId({ messageId: 'a@x.com', subject: 'Re: Order 42' }, lookup), 'thread-subject');
+  const fresh = await resolveThreadId({ messageId: 'b@x.com', subject: 'Order 42' }, lookup);
+  assert.notStrictEqual(fresh, 'thread-subject');
+  assert.deepStrictEqual(lookups, [{ subject: 'Order 42' }]);
+});
+
+test('rejects missing arguments', async () => {
+  await assert.rejects(resolveThreadId(null, async () => null), /message object/);
+  await assert.rejects(resolveThreadId({}, null), /lookup function/);
+});